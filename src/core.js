@@ -7,15 +7,17 @@
 // ============================================================================
 
 // Default time map with standard work hours
+// Intervals use "HH:MM" boundaries; the legacy { startHour, endHour } format is still accepted
+// A time map can also hold dateOverrides ({ 'YYYY-MM-DD': null | interval(s) }) for specific dates
 const DEFAULT_TIME_MAP = {
   name: 'Default',
   days: {
     0: null,  // Sunday: skip
-    1: { startHour: 9, endHour: 17 },  // Monday
-    2: { startHour: 9, endHour: 17 },  // Tuesday
-    3: { startHour: 9, endHour: 17 },  // Wednesday
-    4: { startHour: 9, endHour: 17 },  // Thursday
-    5: { startHour: 9, endHour: 17 },  // Friday
+    1: { start: '09:00', end: '17:00' },  // Monday
+    2: { start: '09:00', end: '17:00' },  // Tuesday
+    3: { start: '09:00', end: '17:00' },  // Wednesday
+    4: { start: '09:00', end: '17:00' },  // Thursday
+    5: { start: '09:00', end: '17:00' },  // Friday
     6: null,  // Saturday: skip
   }
 };
@@ -34,22 +36,55 @@ export const DEFAULT_CONFIG = {
   // Dynamic scheduling options (auto-adjust urgency weight when deadlines can't be met)
   autoAdjustUrgency: true, // If true, reduce urgency weight when tasks can't meet deadlines
   urgencyWeight: 1.0, // Weight for non-deadline urgency factors (0.0 to 1.0)
+  // 'greedy' (most urgent first), 'optimal' (search for the order with the least deadline lateness)
+  // or 'alap' (deadline tasks as late as possible, the rest by urgency)
+  schedulingMode: 'greedy',
+  optimizeTimeBudgetMs: 2000, // Time the optimal mode may spend searching
+  alapMarginHours: 24, // 'alap' mode: deadline tasks are planned to end at least this long before their deadline
+  // Monte Carlo estimate of the deadline probabilities in dry runs (see AutoPlanner.simulateDeadlineProbabilities)
+  monteCarloRuns: 0, // Schedules to simulate (0 = off)
+  monteCarloSeed: 1, // Seed of the random estimates, so a preview can be reproduced
+  inflateEstimates: false, // Plan remaining work times the learned overrun factor of the task's project and tags
+  overrunHistoryDays: 90, // Done tasks worked on within this many days count toward the overrun factors
+  // Open tasks that used up their estimate: 'skip' (reported in the preview), 'block' (plan overrunBlockMinutes more)
+  // or 'percent' (plan overrunPercent of the estimate more)
+  overrunPolicy: 'skip',
+  overrunBlockMinutes: 60,
+  overrunPercent: 25,
   maxDaysAhead: 30,
   autoRunOnStart: false,
+  lastAutoRunDate: null, // Date key (YYYY-MM-DD) of the last auto-run on startup
+  reactiveRescheduling: false, // Reschedule affected tasks when tasks are completed, edited or deleted
+  stabilityMode: 'none', // Keep already-planned blocks: 'none', 'today' (rest of today) or 'hours' (next stabilityHours)
+  stabilityHours: 4, // Stability horizon in hours for stabilityMode 'hours'
+  stabilityHysteresis: 0, // Urgency points another task needs over the planned one to take its slot (0 = off)
   splitPrefix: '', // Prefix for split task names (empty = use original name)
   splitSuffix: true, // Add roman numerals as suffix
-  // Legacy work hours (used as fallback when timeMaps not configured)
-  workdayStartHour: 9,
-  workdayHours: 8,
-  skipDays: [0, 6], // Days of week to skip (0 = Sunday, 6 = Saturday)
   // Time Maps: per-project and per-tag scheduling windows
   timeMaps: {
     'default': DEFAULT_TIME_MAP,
   },
   projectTimeMaps: {}, // { projectId: timeMapId }
   tagTimeMaps: {}, // { tagId: timeMapId } - maps tags to time maps
+  projectBlockSizes: {}, // { projectId: { blockSizeMinutes, minimumBlockSizeMinutes } } - either may be omitted
+  tagBlockSizes: {}, // { tagId: { blockSizeMinutes, minimumBlockSizeMinutes } } - either may be omitted
+  projectCaps: {}, // { projectId: { dailyMinutes, weeklyMinutes, dailyBlocks, weeklyBlocks } } - any may be omitted
+  tagCaps: {}, // { tagId: { dailyMinutes, weeklyMinutes, dailyBlocks, weeklyBlocks } } - any may be omitted
+  projectQuotas: {}, // { projectId: { weeklyMinutes } } - time reserved every week
+  tagQuotas: {}, // { tagId: { weeklyMinutes } } - time reserved every week
+  projectTimePreferences: {}, // { projectId: { start: 'HH:MM', end: 'HH:MM' } } - preferred time of day
+  tagTimePreferences: {}, // { tagId: { start: 'HH:MM', end: 'HH:MM' } } - preferred time of day
+  timePreferenceWeight: 5, // Priority points added inside (and taken away outside) a task's preferred time of day
+  projectContextSwitch: {}, // { projectId: { penalty } } - priority points taken from blocks that switch away from the project
+  tagContextSwitch: {}, // { tagId: { penalty } } - priority points taken from blocks that switch away from the tag
+  bufferMinutes: 0, // Free time after each block (0 = pack blocks back to back)
+  bufferOnlyOnTaskChange: false, // Only add the buffer between blocks of different tasks
+  breakEveryMinutes: 0, // Take a break after this much work without a pause (0 = no breaks), e.g. 120
+  breakMinutes: 10, // Length of those breaks
   defaultTimeMap: 'default', // Fallback time map for unassigned tasks
+  dateOverrides: {}, // { 'YYYY-MM-DD': null | interval(s) } - holidays and special hours for all time maps
   doNotRescheduleTagId: null, // Tag ID for tasks that should not be rescheduled
+  atomicTagId: null, // Tag ID for tasks that must be done in one sitting (never split)
   treatIcalAsFixed: true, // Treat iCal tasks as fixed (don't reschedule)
   excludeBacklogTasks: false, // Exclude tasks in project backlog from scheduling
 };
@@ -75,6 +110,28 @@ export function createTimeMapFromLegacy(config) {
   return { name: 'Default', days };
 }
 
+/**
+ * Move the legacy work hours of a stored config into its default time map
+ * Configs saved before time maps keep workdayStartHour, workdayHours and skipDays, which used to
+ * override the default time map's days. They become those days and are dropped from the config.
+ * @param {Object} config - Stored configuration
+ * @returns {Object|null} - The migrated config, or null if it has no legacy work hours
+ */
+export function migrateLegacyWorkHours(config) {
+  const { workdayStartHour, workdayHours, skipDays, ...rest } = config;
+  if (workdayStartHour === undefined && workdayHours === undefined && skipDays === undefined) {
+    return null;
+  }
+  const legacyTimeMap = createTimeMapFromLegacy(config);
+  return {
+    ...rest,
+    timeMaps: {
+      ...config.timeMaps,
+      'default': { ...legacyTimeMap, ...config.timeMaps?.['default'], days: legacyTimeMap.days },
+    },
+  };
+}
+
 /**
  * Get the time map for a task based on its project and tags
  * Returns the first matching time map (project takes priority, then tags)
@@ -92,14 +149,141 @@ export function getTimeMapForTask(task, config) {
   return timeMap;
 }
 
+/**
+ * Parse a time of day into minutes from midnight
+ * Accepts "HH:MM" (or "H.MM") strings and plain hour numbers (legacy format, e.g. 9 or 8.5)
+ * @param {string|number} value - The time of day
+ * @returns {number|null} - Minutes from midnight (0-1440) or null if invalid
+ */
+export function parseTimeOfDay(value) {
+  let minutes = null;
+  if (typeof value === 'number') {
+    minutes = Number.isFinite(value) ? Math.round(value * 60) : null;
+  } else if (typeof value === 'string') {
+    const match = value.trim().match(/^(\d{1,2})[:.](\d{2})$/);
+    if (match && parseInt(match[2], 10) < 60) {
+      minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    }
+  }
+  if (minutes === null || minutes < 0 || minutes > 24 * 60) return null;
+  return minutes;
+}
+
+/**
+ * Format minutes from midnight as "HH:MM"
+ * @param {number} minutes - Minutes from midnight
+ * @returns {string} - The formatted time of day
+ */
+export function formatTimeOfDay(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
 /**
  * Get schedule for a specific day from a time map
- * @returns {{ startHour: number, endHour: number } | null} - null means skip this day
+ * A day holds either a single interval or a list of intervals (e.g. a lunch break
+ * or split shifts). Intervals are { start: 'HH:MM', end: 'HH:MM' } or the legacy
+ * { startHour, endHour }. Use getDayIntervals for a normalized view.
+ * @returns {Object | Array<Object> | null} - null means skip this day
  */
 export function getDaySchedule(timeMap, dayOfWeek) {
   return timeMap?.days?.[dayOfWeek] ?? null;
 }
 
+/**
+ * Get the work intervals for a specific day from a time map
+ * Accepts both the single-interval and the list-of-intervals day format.
+ * Invalid intervals are dropped and overlapping ones are merged.
+ * @returns {Array<{ start: number, end: number }>} - Sorted intervals in minutes from midnight (empty means skip this day)
+ */
+export function getDayIntervals(timeMap, dayOfWeek) {
+  return normalizeDayIntervals(getDaySchedule(timeMap, dayOfWeek));
+}
+
+/**
+ * Get the date key (YYYY-MM-DD) for a given date in local time
+ */
+export function getDateKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Get the week key (date key of the week's Monday) for a given date in local time
+ */
+function getWeekKey(date) {
+  const monday = new Date(date);
+  monday.setDate(monday.getDate() - (monday.getDay() + 6) % 7);
+  return getDateKey(monday);
+}
+
+/**
+ * Get the date override of a time map for a specific date
+ * The time map's own overrides win over the global config.dateOverrides.
+ * @returns {Object | Array<Object> | null | undefined} - undefined means no override,
+ *   null means the day is off, otherwise the interval(s) replacing the weekday hours
+ */
+export function getDateOverride(timeMap, date, globalOverrides = {}) {
+  const dateKey = getDateKey(date);
+  if (timeMap?.dateOverrides && dateKey in timeMap.dateOverrides) {
+    return timeMap.dateOverrides[dateKey];
+  }
+  if (globalOverrides && dateKey in globalOverrides) {
+    return globalOverrides[dateKey];
+  }
+  return undefined;
+}
+
+/**
+ * Get the work intervals of a time map for a specific date
+ * Uses the date override when there is one, otherwise the weekday schedule.
+ * @returns {Array<{ start: number, end: number }>} - Sorted intervals in minutes from midnight (empty means skip this day)
+ */
+export function getDayIntervalsForDate(timeMap, date, globalOverrides = {}) {
+  const override = getDateOverride(timeMap, date, globalOverrides);
+  if (override !== undefined) {
+    return normalizeDayIntervals(override);
+  }
+  return getDayIntervals(timeMap, date.getDay());
+}
+
+/**
+ * Normalize a day schedule (single interval, list of intervals or null) into
+ * sorted, merged intervals in minutes from midnight
+ */
+function normalizeDayIntervals(daySchedule) {
+  if (!daySchedule) return [];
+
+  const rawIntervals = Array.isArray(daySchedule) ? daySchedule : [daySchedule];
+  const intervals = rawIntervals
+    .filter(Boolean)
+    .map(interval => ({
+      start: parseTimeOfDay(interval.start ?? interval.startHour),
+      end: parseTimeOfDay(interval.end ?? interval.endHour),
+    }))
+    .filter(interval => interval.start !== null && interval.end !== null && interval.end > interval.start);
+
+  return mergeIntervals(intervals);
+}
+
+/**
+ * Sort intervals in minutes from midnight and merge overlapping or touching ones
+ */
+function mergeIntervals(intervals) {
+  const merged = [];
+  for (const interval of [...intervals].sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  }
+  return merged;
+}
+
 /**
  * Get the time map ID for a task based on its project and tags
  * Returns the first matching time map ID (project takes priority, then tags)
@@ -111,13 +295,35 @@ export function getTimeMapIdForTask(task, config) {
 }
 
 /**
- * Get all time map IDs for a task based on its project and tags
- * A task can belong to multiple time maps if it has multiple mapped tags
+ * Resolve a time map reference (ID or name) from a task directive
+ * @param {string} reference - Time map ID or name (case-insensitive)
+ * @param {Object} config - Configuration object
+ * @returns {string|null} - The time map ID or null if there is no such time map
+ */
+export function resolveTimeMapId(reference, config) {
+  const timeMaps = config.timeMaps || {};
+  if (reference === 'default' || timeMaps[reference]) return reference;
+
+  const name = reference.toLowerCase();
+  const match = Object.entries(timeMaps).find(([, timeMap]) => (timeMap?.name || '').toLowerCase() === name);
+  return match ? match[0] : null;
+}
+
+/**
+ * Get all time map IDs for a task based on its directive, project and tags
+ * A task can belong to multiple time maps if it has multiple mapped tags.
+ * A time map set in the task's directive ("AutoPlan: map=...") replaces the mappings.
  * @param {Object} task - The task to get time maps for
  * @param {Object} config - Configuration object
  * @returns {Array<string>} - Array of time map IDs (empty if only default applies)
  */
 export function getTimeMapIdsForTask(task, config) {
+  const directive = parseAutoplanDirective(task.notes);
+  if (directive.timeMap) {
+    const directiveTimeMapId = resolveTimeMapId(directive.timeMap, config);
+    if (directiveTimeMapId) return [directiveTimeMapId];
+  }
+
   const timeMapIds = new Set();
   
   // Check project mapping first
@@ -137,13 +343,75 @@ export function getTimeMapIdsForTask(task, config) {
   return Array.from(timeMapIds);
 }
 
+/**
+ * Get the block size and minimum block size for a task
+ * Each size comes from the first of these that sets it: the task's directive ("AutoPlan: block=... min=..."),
+ * its project, its tags (in order) and finally the global settings.
+ * @param {Object} task - The task to get block sizes for
+ * @param {Object} config - Configuration object
+ * @param {number} globalBlockSizeMinutes - Global block size (defaults to config.blockSizeMinutes)
+ * @returns {Object} - { blockSizeMinutes, minimumBlockSizeMinutes }
+ */
+export function getBlockSizesForTask(task, config, globalBlockSizeMinutes = config.blockSizeMinutes) {
+  const directive = parseAutoplanDirective(task.notes);
+  const sources = [
+    { blockSizeMinutes: directive.blockSizeMinutes, minimumBlockSizeMinutes: directive.minBlockSizeMinutes },
+    task.projectId && config.projectBlockSizes?.[task.projectId],
+    ...(task.tagIds || []).map(tagId => config.tagBlockSizes?.[tagId]),
+    { blockSizeMinutes: globalBlockSizeMinutes, minimumBlockSizeMinutes: config.minimumBlockSizeMinutes },
+    DEFAULT_CONFIG,
+  ];
+  const resolve = (key) => sources.find(source => Number(source?.[key]) > 0)[key];
+
+  return {
+    blockSizeMinutes: Number(resolve('blockSizeMinutes')),
+    minimumBlockSizeMinutes: Number(resolve('minimumBlockSizeMinutes')),
+  };
+}
+
 /**
  * Get available minutes for a day in a specific time map
  */
 export function getTimeMapDayMinutes(timeMap, dayOfWeek) {
-  const daySchedule = getDaySchedule(timeMap, dayOfWeek);
-  if (!daySchedule) return 0;
-  return (daySchedule.endHour - daySchedule.startHour) * 60;
+  return sumIntervalMinutes(getDayIntervals(timeMap, dayOfWeek));
+}
+
+/**
+ * Get available minutes of a time map on a specific date (respects date overrides)
+ */
+export function getTimeMapDateMinutes(timeMap, date, globalOverrides = {}) {
+  return sumIntervalMinutes(getDayIntervalsForDate(timeMap, date, globalOverrides));
+}
+
+function sumIntervalMinutes(intervals) {
+  return intervals.reduce((sum, interval) => sum + (interval.end - interval.start), 0);
+}
+
+/**
+ * Remove busy intervals (e.g. meetings) from a day's work intervals
+ * @param {Array<{ start: number, end: number }>} intervals - Sorted work intervals in minutes from midnight
+ * @param {Array<{ start: number, end: number }>} busyIntervals - Intervals to cut out
+ * @returns {Array<{ start: number, end: number }>} - The free parts of the work intervals, sorted
+ */
+export function subtractIntervals(intervals, busyIntervals = []) {
+  let free = intervals.map(interval => ({ ...interval }));
+  for (const busy of busyIntervals) {
+    const next = [];
+    for (const interval of free) {
+      if (busy.end <= interval.start || busy.start >= interval.end) {
+        next.push(interval);
+        continue;
+      }
+      if (busy.start > interval.start) {
+        next.push({ start: interval.start, end: busy.start });
+      }
+      if (busy.end < interval.end) {
+        next.push({ start: busy.end, end: interval.end });
+      }
+    }
+    free = next;
+  }
+  return free;
 }
 
 // ============================================================================
@@ -166,6 +434,9 @@ const OLDNESS_EXPONENTIAL_BASE = 1.1;
 const DEADLINE_OVERDUE_THRESHOLD_DAYS = 7;
 const DEADLINE_LINEAR_RANGE_DAYS = 21;
 
+// Done tasks needed before their overruns are learned from (Monte Carlo ratios and overrun factors)
+const MIN_OVERRUN_SAMPLES = 5;
+
 /**
  * Convert number to Roman numerals
  */
@@ -224,36 +495,65 @@ export function getEstimatedHours(task) {
 
 /**
  * Get remaining time in hours
+ * @param {Object} task - The task
+ * @param {number} overrunFactor - Multiplier of the remaining time (see OverrunAnalytics.getFactorForTask)
  */
-export function getRemainingHours(task) {
+export function getRemainingHours(task, overrunFactor = 1) {
   const estimated = getEstimatedHours(task);
   const spent = task.timeSpent ? task.timeSpent / MS_PER_HOUR : 0;
-  return Math.max(0, estimated - spent);
+  return Math.max(0, estimated - spent) * overrunFactor;
 }
 
 /**
- * Parse a deadline from task notes
- * Supports formats like:
- *   - "Due: 2024-01-20" or "due: 2024-01-20"
- *   - "Deadline: 2024-01-20" or "deadline: 2024-01-20"
- *   - "Due: Jan 20, 2024"
- *   - "Due: 20/01/2024" (DD/MM/YYYY)
- *   - "Due: 01/20/2024" (MM/DD/YYYY) - ambiguous, treated as MM/DD/YYYY
+ * Get the extra time to plan for a task that used up its estimate, following config.overrunPolicy
+ * @param {Object} task - The task
+ * @param {Object} config - Configuration object
+ * @returns {number} - Extra hours, 0 if the task still has time left or overrun tasks are skipped
+ */
+export function getOverrunHours(task, config) {
+  if (!(task.timeEstimate > 0) || (task.timeSpent || 0) < task.timeEstimate) return 0;
+
+  const policy = config.overrunPolicy ?? DEFAULT_CONFIG.overrunPolicy;
+  if (policy === 'block') {
+    return Math.max(0, config.overrunBlockMinutes ?? DEFAULT_CONFIG.overrunBlockMinutes) / 60;
+  }
+  if (policy === 'percent') {
+    return Math.max(0, config.overrunPercent ?? DEFAULT_CONFIG.overrunPercent) / 100 * getEstimatedHours(task);
+  }
+  return 0;
+}
+
+/**
+ * Get the overrun ratios (time spent / estimate) of the done tasks with an estimate and tracked time
+ * @param {Array} tasks - All tasks
+ * @returns {Array} - Ratios, 1.5 for a task that took half again its estimate
+ */
+export function getOverrunRatios(tasks) {
+  return tasks
+    .filter(task => task.isDone && task.timeEstimate > 0 && task.timeSpent > 0)
+    .map(task => task.timeSpent / task.timeEstimate);
+}
+
+/**
+ * Parse the date after a keyword ("Deadline:", "Start:", ...) in task notes
+ * Supports ISO (2024-01-20), named month (Jan 20, 2024) and slash (01/20/2024, 20/01/2024)
+ * dates, each with an optional time like "9.15" or "9:15". Dates are local.
  * @param {string} notes - The notes field from a task
- * @returns {Date|null} The parsed due date or null if not found
+ * @param {string} keywords - Regex alternatives for the keyword, e.g. 'start|wait'
+ * @returns {Date|null} The parsed date or null if not found
  */
-export function parseDeadlineFromNotes(notes) {
+function parseDateFromNotes(notes, keywords) {
   if (!notes || typeof notes !== 'string') return null;
   
-  // Match patterns like "Due: <date>" or "Deadline: <date>"
-  // Now also supports time like "Deadline: 2024-01-20 9.15" or "Deadline: 2024-01-20 9:15"
+  const keyword = `\\b(?:${keywords})\\s*:\\s*`;
+  const time = '(?:\\s+(\\d{1,2})[.:](\\d{2}))?';
   const patterns = [
     // ISO format with optional time: Deadline: 2024-01-20 or Deadline: 2024-01-20 9.15
-    /(?:deadline)\s*:\s*(\d{4}-\d{2}-\d{2})(?:\s+(\d{1,2})[.:](\d{2}))?/i,
+    new RegExp(`${keyword}(\\d{4}-\\d{2}-\\d{2})${time}`, 'i'),
     // Named month with optional time: Deadline: Jan 20, 2024 9.15
-    /(?:deadline)\s*:\s*([A-Za-z]{3,9}\s+\d{1,2},?\s+\d{4})(?:\s+(\d{1,2})[.:](\d{2}))?/i,
+    new RegExp(`${keyword}([A-Za-z]{3,9}\\s+\\d{1,2},?\\s+\\d{4})${time}`, 'i'),
     // Slash format with optional time: Deadline: 01/20/2024 9.15
-    /(?:deadline)\s*:\s*(\d{1,2}\/\d{1,2}\/\d{4})(?:\s+(\d{1,2})[.:](\d{2}))?/i,
+    new RegExp(`${keyword}(\\d{1,2}\\/\\d{1,2}\\/\\d{4})${time}`, 'i'),
   ];
   
   for (const pattern of patterns) {
@@ -280,6 +580,10 @@ export function parseDeadlineFromNotes(notes) {
             date = new Date(year, first - 1, second);
           }
         }
+      } else if (/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
+        // ISO dates are parsed as local dates (new Date() would read them as UTC midnight)
+        const [year, month, day] = dateStr.split('-').map(p => parseInt(p, 10));
+        date = new Date(year, month - 1, day);
       } else {
         // Standard date parsing for other formats
         const parsed = new Date(dateStr);
@@ -301,6 +605,185 @@ export function parseDeadlineFromNotes(notes) {
   return null;
 }
 
+/**
+ * Parse a deadline from task notes
+ * Supports formats like:
+ *   - "Deadline: 2024-01-20" or "deadline: 2024-01-20"
+ *   - "Deadline: Jan 20, 2024"
+ *   - "Deadline: 20/01/2024" (DD/MM/YYYY)
+ *   - "Deadline: 01/20/2024" (MM/DD/YYYY) - ambiguous, treated as MM/DD/YYYY
+ *   - "Deadline: 2024-01-20 9.15" (with time)
+ * @param {string} notes - The notes field from a task
+ * @returns {Date|null} The parsed due date or null if not found
+ */
+export function parseDeadlineFromNotes(notes) {
+  return parseDateFromNotes(notes, 'deadline');
+}
+
+/**
+ * Parse an earliest start date from task notes (taskwarrior's wait/scheduled)
+ * Supports "Start: <date>" and "Wait: <date>" in the same formats as parseDeadlineFromNotes.
+ * A date without time means the start of that day.
+ * @param {string} notes - The notes field from a task
+ * @returns {Date|null} The parsed start date or null if not found
+ */
+export function parseStartFromNotes(notes) {
+  return parseDateFromNotes(notes, 'start|wait');
+}
+
+/**
+ * Parse the per-task AutoPlan directive from task notes
+ * A line like "AutoPlan: block=45 min=15 map=deep-work boost=5 nosplit" overrides the
+ * configured settings for this task; map names with spaces can be quoted (map="Deep work")
+ * and "atomic" is an alias of "nosplit". Caps can be given more than once ("cap=1block/day cap=5h/week", see parseCap),
+ * and so can preferred times of day ("prefer=09:00-12:00").
+ * "estimate=3h-6h" gives the range the task's estimate may turn out to be (see parseEstimateRange).
+ * Unknown or invalid options are ignored. Unlike the "[AutoPlan]" split markers, directives
+ * are written by the user and are never removed from the notes.
+ * @param {string} notes - The notes field from a task
+ * @returns {Object} - { blockSizeMinutes, minBlockSizeMinutes, timeMap, boost, noSplit, caps, preferences,
+ *                     estimateRange },
+ *                     only the options that are set
+ */
+export function parseAutoplanDirective(notes) {
+  const directive = {};
+  if (!notes || typeof notes !== 'string') return directive;
+
+  const linePattern = /^\s*autoplan\s*:(.*)$/gim;
+  let lineMatch;
+  while ((lineMatch = linePattern.exec(notes)) !== null) {
+    const optionPattern = /([a-z]+)(?:=(?:"([^"]*)"|(\S+)))?/gi;
+    let optionMatch;
+    while ((optionMatch = optionPattern.exec(lineMatch[1])) !== null) {
+      const key = optionMatch[1].toLowerCase();
+      const value = optionMatch[2] ?? optionMatch[3];
+      const number = parseFloat(value);
+
+      if (key === 'block' && number > 0) {
+        directive.blockSizeMinutes = number;
+      } else if (key === 'min' && number > 0) {
+        directive.minBlockSizeMinutes = number;
+      } else if (key === 'map' && value) {
+        directive.timeMap = value;
+      } else if (key === 'boost' && Number.isFinite(number)) {
+        directive.boost = number;
+      } else if ((key === 'nosplit' || key === 'atomic') && value === undefined) {
+        directive.noSplit = true;
+      } else if (key === 'cap' && parseCap(value)) {
+        directive.caps = { ...directive.caps, ...parseCap(value) };
+      } else if (key === 'prefer' && /^[\d:.]+-[\d:.]+$/.test(value || '')) {
+        const [start, end] = value.split('-');
+        directive.preferences = [...(directive.preferences || []), { start, end }];
+      } else if (key === 'estimate' && parseEstimateRange(value)) {
+        directive.estimateRange = parseEstimateRange(value);
+      }
+    }
+  }
+  return directive;
+}
+
+/**
+ * Parse a cap on the work scheduled per day or week, like "3h/day", "90m/day", "1block/day" or "12h/week"
+ * @param {string} text - The cap
+ * @returns {Object|null} - One of { dailyMinutes }, { weeklyMinutes }, { dailyBlocks } or { weeklyBlocks },
+ *                          or null if the cap is invalid
+ */
+export function parseCap(text) {
+  const match = /^(\d+(?:\.\d+)?)\s*(h|hours?|m|min|minutes?|blocks?)\s*\/\s*(day|week)$/i.exec(String(text ?? '').trim());
+  if (!match) return null;
+
+  const period = match[3].toLowerCase() === 'day' ? 'daily' : 'weekly';
+  const unit = match[2].toLowerCase();
+  const amount = unit.startsWith('block') ? Math.floor(match[1]) : parseFloat(match[1]) * (unit.startsWith('h') ? 60 : 1);
+  if (!(amount > 0)) return null;
+
+  return { [`${period}${unit.startsWith('block') ? 'Blocks' : 'Minutes'}`]: amount };
+}
+
+/**
+ * Parse the range of an estimate, like "3h-6h", "90m-2h" or "1-3h" (the unit of the end applies to a bare start)
+ * @param {string} text - The range
+ * @returns {Object|null} - { minMinutes, maxMinutes }, or null if the range is invalid
+ */
+export function parseEstimateRange(text) {
+  const match = /^(\d+(?:\.\d+)?)\s*(h|m)?\s*-\s*(\d+(?:\.\d+)?)\s*(h|m)$/i.exec(String(text ?? '').trim());
+  if (!match) return null;
+
+  const toMinutes = (amount, unit) => parseFloat(amount) * (unit.toLowerCase() === 'h' ? 60 : 1);
+  const minMinutes = toMinutes(match[1], match[2] || match[4]);
+  const maxMinutes = toMinutes(match[3], match[4]);
+  return minMinutes > 0 && maxMinutes >= minMinutes ? { minMinutes, maxMinutes } : null;
+}
+
+// The limits a cap can set, see parseCap
+const CAP_LIMITS = [
+  { key: 'dailyMinutes', period: 'day', unit: 'minutes' },
+  { key: 'weeklyMinutes', period: 'week', unit: 'minutes' },
+  { key: 'dailyBlocks', period: 'day', unit: 'blocks' },
+  { key: 'weeklyBlocks', period: 'week', unit: 'blocks' },
+];
+
+/**
+ * Get the caps that apply to a task: its own ("AutoPlan: cap=..."), its project's and its tags'
+ * Unlike block sizes, caps don't override each other: every one of them is enforced.
+ * @param {Object} task - The task to get caps for
+ * @param {Object} config - Configuration object
+ * @returns {Array} - [{ scope: 'task'|'project'|'tag', id, limits: { dailyMinutes, weeklyMinutes, dailyBlocks, weeklyBlocks } }]
+ */
+export function getCapsForTask(task, config) {
+  const caps = [
+    { scope: 'task', id: task.id, limits: parseAutoplanDirective(task.notes).caps },
+    { scope: 'project', id: task.projectId, limits: task.projectId && config.projectCaps?.[task.projectId] },
+    ...(task.tagIds || []).map(tagId => ({ scope: 'tag', id: tagId, limits: config.tagCaps?.[tagId] })),
+  ];
+  return caps.filter(cap => cap.limits && CAP_LIMITS.some(({ key }) => cap.limits[key] > 0));
+}
+
+/**
+ * Get the weekly quotas a task counts toward: its project's and its tags'
+ * @param {Object} task - The task to get quotas for
+ * @param {Object} config - Configuration object
+ * @returns {Array} - [{ scope: 'project'|'tag', id, weeklyMinutes }]
+ */
+export function getQuotasForTask(task, config) {
+  const quotas = [
+    { scope: 'project', id: task.projectId, weeklyMinutes: config.projectQuotas?.[task.projectId]?.weeklyMinutes },
+    ...(task.tagIds || []).map(tagId => ({ scope: 'tag', id: tagId, weeklyMinutes: config.tagQuotas?.[tagId]?.weeklyMinutes })),
+  ];
+  return quotas.filter(quota => quota.id && quota.weeklyMinutes > 0);
+}
+
+/**
+ * Get the preferred times of day of a task
+ * A preference in the task's directive ("AutoPlan: prefer=09:00-12:00") replaces those of its project and tags.
+ * A window without start begins at midnight, one without end lasts until midnight.
+ * @param {Object} task - The task to get preferences for
+ * @param {Object} config - Configuration object
+ * @returns {Array} - [{ start, end }] in minutes from midnight (empty if the task has no preference)
+ */
+export function getTimePreferencesForTask(task, config) {
+  const directive = parseAutoplanDirective(task.notes);
+  const windows = directive.preferences || [
+    config.projectTimePreferences?.[task.projectId],
+    ...(task.tagIds || []).map(tagId => config.tagTimePreferences?.[tagId]),
+  ].filter(Boolean);
+
+  return windows
+    .map(window => ({ start: parseTimeOfDay(window.start) ?? 0, end: parseTimeOfDay(window.end) ?? 24 * 60 }))
+    .filter(window => window.end > window.start);
+}
+
+/**
+ * Check whether a time is inside one of a task's preferred windows (see getTimePreferencesForTask)
+ * @returns {number} - 1 inside a window, -1 outside and 0 if there are no windows
+ */
+function getTimePreferenceScoreForWindows(windows, time) {
+  if (windows.length === 0) return 0;
+
+  const minutes = time.getHours() * 60 + time.getMinutes();
+  return windows.some(window => minutes >= window.start && minutes < window.end) ? 1 : -1;
+}
+
 /**
  * Get the due date of a task
  * Priority:
@@ -342,6 +825,35 @@ export function getTaskDueDate(task, allTasks = [], visitedTaskIds = new Set())
   return null;
 }
 
+/**
+ * Get the earliest start date of a task
+ * If no start date is set on the task, inherits from parent task (if available).
+ * @returns {Date|null} The start date or null if the task can start any time
+ */
+export function getTaskStartDate(task, allTasks = [], visitedTaskIds = new Set()) {
+  if (!task) return null;
+
+  if (task.id) {
+    if (visitedTaskIds.has(task.id)) return null;
+    visitedTaskIds.add(task.id);
+  }
+
+  const notesStart = parseStartFromNotes(task.notes);
+  if (notesStart) {
+    return notesStart;
+  }
+
+  // Inherit start date from parent task (for subtasks) if none is set on this task
+  if (task.parentId && Array.isArray(allTasks) && allTasks.length > 0) {
+    const parentTask = allTasks.find(t => t.id === task.parentId);
+    if (parentTask) {
+      return getTaskStartDate(parentTask, allTasks, visitedTaskIds);
+    }
+  }
+
+  return null;
+}
+
 /**
  * Ensure a deadline date has a time component
  * If the time is midnight (00:00:00), assume it's a date-only deadline
@@ -368,6 +880,120 @@ function ensureDeadlineTime(date) {
   return date;
 }
 
+/**
+ * Parse task dependencies from task notes
+ * Supports lines like:
+ *   - "Depends: Write migration" or "Depends on: Write migration"
+ *   - "Blocked by: task-id-123, Review PR"
+ *   - "Depends: "Fix bug, part 2"" (quote titles that contain commas)
+ * @param {string} notes - The notes field from a task
+ * @returns {Array<string>} References (task titles or IDs) in order of appearance
+ */
+export function parseDependenciesFromNotes(notes) {
+  if (!notes || typeof notes !== 'string') return [];
+
+  const references = [];
+  const linePattern = /^\s*(?:depends(?:\s+on)?|blocked\s+by)\s*:\s*(.+)$/gim;
+  let lineMatch;
+  while ((lineMatch = linePattern.exec(notes)) !== null) {
+    const referencePattern = /\s*"((?:[^"\\]|\\.)*)"\s*|([^,]+)/g;
+    let referenceMatch;
+    while ((referenceMatch = referencePattern.exec(lineMatch[1])) !== null) {
+      const reference = (referenceMatch[1] !== undefined
+        ? referenceMatch[1].replace(/\\"/g, '"')
+        : referenceMatch[2]).trim();
+      if (reference && !references.includes(reference)) {
+        references.push(reference);
+      }
+    }
+  }
+  return references;
+}
+
+/**
+ * Resolve a task reference (task ID or title) to a task
+ * IDs win over titles; titles match case-insensitively, preferring open tasks.
+ * @param {string} reference - Task ID or title
+ * @param {Array} allTasks - All tasks
+ * @returns {Object|null} The referenced task or null if not found
+ */
+export function resolveTaskReference(reference, allTasks) {
+  const byId = allTasks.find(t => t.id === reference);
+  if (byId) return byId;
+
+  const title = reference.toLowerCase();
+  const byTitle = allTasks.filter(t => (t.title || '').trim().toLowerCase() === title);
+  return byTitle.find(t => !t.isDone) || byTitle[0] || null;
+}
+
+/**
+ * Get the IDs of the tasks a task depends on (from its notes)
+ * Unknown references and references to the task itself are ignored.
+ * @param {Object} task - The task
+ * @param {Array} allTasks - All tasks (to resolve references)
+ * @returns {Array<string>} Prerequisite task IDs
+ */
+export function getTaskDependencyIds(task, allTasks) {
+  const ids = [];
+  for (const reference of parseDependenciesFromNotes(task?.notes)) {
+    const prerequisite = resolveTaskReference(reference, allTasks);
+    if (prerequisite && prerequisite.id !== task.id && !ids.includes(prerequisite.id)) {
+      ids.push(prerequisite.id);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Find dependency cycles between tasks
+ * @param {Map<string, Array<string>>} prerequisitesByTaskId - Task ID -> prerequisite task IDs
+ * @returns {Array<Array<string>>} Each cycle as the IDs of the tasks that depend on each other
+ */
+export function findDependencyCycles(prerequisitesByTaskId) {
+  // Tarjan's strongly connected components: every component with more than one task is a cycle
+  const cycles = [];
+  const indexById = new Map();
+  const lowLinkById = new Map();
+  const stack = [];
+  const onStack = new Set();
+  let nextIndex = 0;
+
+  const visit = (taskId) => {
+    indexById.set(taskId, nextIndex);
+    lowLinkById.set(taskId, nextIndex);
+    nextIndex++;
+    stack.push(taskId);
+    onStack.add(taskId);
+
+    for (const prerequisiteId of prerequisitesByTaskId.get(taskId) || []) {
+      if (!indexById.has(prerequisiteId)) {
+        visit(prerequisiteId);
+        lowLinkById.set(taskId, Math.min(lowLinkById.get(taskId), lowLinkById.get(prerequisiteId)));
+      } else if (onStack.has(prerequisiteId)) {
+        lowLinkById.set(taskId, Math.min(lowLinkById.get(taskId), indexById.get(prerequisiteId)));
+      }
+    }
+
+    if (lowLinkById.get(taskId) === indexById.get(taskId)) {
+      const component = [];
+      let memberId;
+      do {
+        memberId = stack.pop();
+        onStack.delete(memberId);
+        component.push(memberId);
+      } while (memberId !== taskId);
+      if (component.length > 1) {
+        cycles.push(component.reverse());
+      }
+    }
+  };
+
+  for (const taskId of prerequisitesByTaskId.keys()) {
+    if (!indexById.has(taskId)) visit(taskId);
+  }
+  return cycles;
+}
+
 /**
  * Escape special regex characters in a string
  */
@@ -400,6 +1026,16 @@ export function isBacklogTask(task, allProjects) {
   return project.backlogTaskIds.includes(task.id);
 }
 
+/**
+ * Check if a task is atomic: it must be scheduled as one block in a single sitting
+ * @param {Object} task - The task to check
+ * @param {Object} config - Configuration object with atomicTagId
+ * @returns {boolean} True if the task has the atomic tag or an "AutoPlan: nosplit" directive
+ */
+export function isAtomicTask(task, config) {
+  return hasTag(task, config?.atomicTagId) || !!parseAutoplanDirective(task?.notes).noSplit;
+}
+
 /**
  * Check if a task is a fixed task (has the do-not-reschedule tag)
  * @param {Object} task - The task to check
@@ -425,6 +1061,147 @@ export function isFixedTask(task, config) {
   return false;
 }
 
+/**
+ * Create a debouncer that collects events and hands them to the handler in one batch
+ * The handler runs once no new event arrived for delayMs, so a burst of edits
+ * triggers a single call.
+ * @param {Function} handler - Called with the array of collected events
+ * @param {number} delayMs - Quiet period before the handler runs
+ * @returns {{ push: Function, flush: Function, cancel: Function }}
+ */
+export function createBatchDebouncer(handler, delayMs) {
+  let pendingEvents = [];
+  let timer = null;
+
+  const cancel = () => {
+    if (timer !== null) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+
+  const flush = () => {
+    cancel();
+    const events = pendingEvents;
+    pendingEvents = [];
+    return events.length > 0 ? handler(events) : undefined;
+  };
+
+  return {
+    push(event) {
+      pendingEvents.push(event);
+      cancel();
+      timer = setTimeout(flush, delayMs);
+    },
+    flush,
+    cancel() {
+      cancel();
+      pendingEvents = [];
+    },
+  };
+}
+
+/**
+ * Create a priority queue (binary heap) that hands out its items in the order of compare
+ * @param {Function} compare - Sort comparator: items that compare lower come out first
+ * @param {Array} items - Initial items (heapified in linear time)
+ * @returns {{ size: number, push: Function, peek: Function, pop: Function }}
+ */
+export function createPriorityQueue(compare, items = []) {
+  const heap = [...items];
+
+  const siftDown = (index) => {
+    for (;;) {
+      const left = 2 * index + 1;
+      const right = left + 1;
+      let first = index;
+      if (left < heap.length && compare(heap[left], heap[first]) < 0) first = left;
+      if (right < heap.length && compare(heap[right], heap[first]) < 0) first = right;
+      if (first === index) return;
+      [heap[index], heap[first]] = [heap[first], heap[index]];
+      index = first;
+    }
+  };
+
+  const siftUp = (index) => {
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (compare(heap[index], heap[parent]) >= 0) return;
+      [heap[index], heap[parent]] = [heap[parent], heap[index]];
+      index = parent;
+    }
+  };
+
+  for (let i = (heap.length >> 1) - 1; i >= 0; i--) siftDown(i);
+
+  return {
+    get size() {
+      return heap.length;
+    },
+    push(item) {
+      heap.push(item);
+      siftUp(heap.length - 1);
+    },
+    peek() {
+      return heap[0];
+    },
+    pop() {
+      const first = heap[0];
+      const last = heap.pop();
+      if (heap.length > 0) {
+        heap[0] = last;
+        siftDown(0);
+      }
+      return first;
+    },
+  };
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - The seed; the same seed gives the same numbers
+ * @returns {Function} - Returns the next number in [0, 1)
+ */
+export function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Check if AutoPlan should run on startup
+ * Runs at most once per day, so restarting Super Productivity doesn't reschedule again.
+ * @param {Object} config - Configuration with autoRunOnStart and lastAutoRunDate
+ * @param {Date} now - Current time
+ * @returns {boolean} True if auto-run is enabled and hasn't run today yet
+ */
+export function shouldAutoRunToday(config, now = new Date()) {
+  if (!config?.autoRunOnStart) {
+    return false;
+  }
+  return config.lastAutoRunDate !== getDateKey(now);
+}
+
+/**
+ * Shorten warnings to fit in one notification: a count and the first few of them
+ * @param {Array<string>} warnings - Warning messages
+ * @param {number} shown - How many warnings to spell out
+ * @returns {string} Summary, or '' without warnings
+ */
+export function summarizeWarnings(warnings, shown = 3) {
+  if (warnings.length === 0) {
+    return '';
+  }
+  const more = warnings.length - shown;
+  return `${warnings.length} warning${warnings.length !== 1 ? 's' : ''}: ${warnings.slice(0, shown).join('; ')}` +
+    (more > 0 ? ` and ${more} more` : '');
+}
+
 /**
  * Get virtual tag IDs for a task (tags inherited from parent tasks, not the task's own tags)
  * @param {Object} task - The task to get virtual tags for
@@ -612,10 +1389,23 @@ export const PriorityCalculator = {
     if (formula === 'none') return 0;
     if (weight <= 0) return 0;
 
-    const dueDate = getTaskDueDate(task, allTasks);
-    if (!dueDate) return 0;
+    return this.calculateDueDatePriority(getTaskDueDate(task, allTasks), formula, weight, now);
+  },
 
-    // Calculate days until due (negative = overdue)
+  /**
+   * Calculate deadline-based priority factor from a due date (see calculateDeadlinePriority)
+   * @param {Date|null} dueDate - The task's due date from getTaskDueDate
+   * @param {string} formula - 'linear', 'aggressive', or 'none'
+   * @param {number} weight - Weight for deadline urgency
+   * @param {Date} now - Current time for calculations
+   * @returns {number} - Priority boost based on deadline proximity
+   */
+  calculateDueDatePriority(dueDate, formula, weight, now = new Date()) {
+    if (formula === 'none') return 0;
+    if (weight <= 0) return 0;
+    if (!dueDate) return 0;
+
+    // Calculate days until due (negative = overdue)
     const daysUntilDue = (dueDate - now) / MS_PER_DAY;
 
     let factor;
@@ -684,11 +1474,35 @@ export const PriorityCalculator = {
     const deadlinePriority = this.calculateDeadlinePriority(
       task, config.deadlineFormula || 'none', config.deadlineWeight ?? 12.0, now, allTasks
     );
+    // Per-task boost from the notes directive ("AutoPlan: boost=5")
+    const boostPriority = parseAutoplanDirective(task.notes).boost ?? 0;
+
+    return this.combineUrgency({
+      tag: tagPriority,
+      project: projectPriority,
+      duration: durationPriority,
+      oldness: oldnessPriority,
+      boost: boostPriority,
+      deadline: deadlinePriority,
+    }, config);
+  },
+
+  /**
+   * Combine the priority factors of a task into its urgency
+   * @param {Object} priorities - { tag, project, duration, oldness, boost, deadline }
+   * @param {Object} config - Configuration object (urgencyWeight)
+   * @returns {Object} - { total, components }
+   */
+  combineUrgency(priorities, config) {
+    const {
+      tag: tagPriority, project: projectPriority, duration: durationPriority,
+      oldness: oldnessPriority, boost: boostPriority, deadline: deadlinePriority,
+    } = priorities;
 
     // Apply urgencyWeight to non-deadline factors (like taskcheck's weight_urgency)
     // This allows dynamic scheduling to prioritize deadline-based urgency when needed
     const urgencyWeight = config.urgencyWeight ?? 1.0;
-    const nonDeadlineUrgency = (tagPriority + projectPriority + durationPriority + oldnessPriority) * urgencyWeight;
+    const nonDeadlineUrgency = (tagPriority + projectPriority + durationPriority + oldnessPriority + boostPriority) * urgencyWeight;
 
     return {
       total: nonDeadlineUrgency + deadlinePriority,
@@ -697,6 +1511,7 @@ export const PriorityCalculator = {
         project: projectPriority * urgencyWeight,
         duration: durationPriority * urgencyWeight,
         oldness: oldnessPriority * urgencyWeight,
+        boost: boostPriority * urgencyWeight,
         deadline: deadlinePriority
       }
     };
@@ -712,27 +1527,35 @@ export const TaskSplitter = {
    * Split a task into time blocks
    * Returns an array of split task objects
    * @param {Object} task - The task to split
-   * @param {number} blockSizeMinutes - Size of each block in minutes
+   * @param {number} blockSizeMinutes - Global size of each block in minutes (project, tag and directive settings take precedence)
    * @param {Object} config - Configuration object
    * @param {Array} allTasks - All tasks (optional, needed for computing virtualTagIds for subtasks)
+   * @param {number} overrunFactor - Multiplier of the remaining work (see OverrunAnalytics.getFactorForTask)
    */
-  splitTask(task, blockSizeMinutes, config, allTasks = []) {
-    // Validate inputs
-    if (!blockSizeMinutes || blockSizeMinutes <= 0) {
-      blockSizeMinutes = DEFAULT_CONFIG.blockSizeMinutes;
-    }
+  splitTask(task, blockSizeMinutes, config, allTasks = [], overrunFactor = 1) {
+    // The directive, project and tags can override the block sizes; atomic tasks aren't split at all
+    const blockSizes = getBlockSizesForTask(task, config, blockSizeMinutes);
+    const atomic = isAtomicTask(task, config);
+    blockSizeMinutes = blockSizes.blockSizeMinutes;
+    const globalMinBlockMinutes = config.minimumBlockSizeMinutes ?? DEFAULT_CONFIG.minimumBlockSizeMinutes;
 
     // Use total estimated hours (not remaining) to preserve time spent during merge
     // The first split inherits timeSpent, so total timeEstimate of all splits
     // should equal the original task's timeEstimate
-    const estimatedHours = getEstimatedHours(task);
-    if (estimatedHours <= 0) return [];
+    if (getEstimatedHours(task) <= 0) return [];
     
-    // Still check remaining hours to skip fully completed tasks
-    const remainingHours = getRemainingHours(task);
+    // Still check remaining hours to skip fully completed tasks; tasks that used up their
+    // estimate get the extra time of the overrun policy instead
+    const overrunHours = getOverrunHours(task, config);
+    const remainingHours = overrunHours || getRemainingHours(task, overrunFactor);
     if (remainingHours <= 0) return [];
 
-    const blockSizeHours = blockSizeMinutes / 60;
+    // Inflated remaining work and extra time make the total estimate larger too
+    const estimatedHours = overrunFactor === 1 && !overrunHours
+      ? getEstimatedHours(task)
+      : (task.timeSpent || 0) / MS_PER_HOUR + remainingHours;
+
+    const blockSizeHours = atomic ? estimatedHours : blockSizeMinutes / 60;
     
     // Calculate time already spent in hours
     const timeSpentHours = (task.timeSpent || 0) / (60 * 60 * 1000);
@@ -774,13 +1597,7 @@ export const TaskSplitter = {
       
       allocatedHours += blockHours;
 
-      let splitName = task.title;
-      if (config.splitPrefix) {
-        splitName = config.splitPrefix + splitName;
-      }
-      if (config.splitSuffix !== false) {
-        splitName = `${splitName} <${toRoman(i + 1)}>`;
-      }
+      const splitName = this.getSplitTitle(task.title, i, config);
 
       // First split inherits timeSpent and timeSpentOnDay from original task, others start empty
       const timeSpentMs = i === 0 ? (task.timeSpent || 0) : 0;
@@ -807,12 +1624,35 @@ export const TaskSplitter = {
         // Link to other splits
         prevSplitIndex: i > 0 ? i - 1 : null,
         nextSplitIndex: i < numBlocks - 1 ? i + 1 : null,
+        // Per-task overrides of the global settings (used by the scheduler)
+        ...(blockSizes.minimumBlockSizeMinutes !== globalMinBlockMinutes && { minBlockMinutes: blockSizes.minimumBlockSizeMinutes }),
+        ...(atomic && { noSplit: true }),
+        // Extra time of a task that used up its estimate (see getOverrunHours)
+        ...(overrunHours > 0 && { overrun: true }),
       });
     }
 
     return splits;
   },
 
+  /**
+   * Build the title of a split from the original title
+   * Applies the configured prefix and the roman numeral suffix (e.g. "Task <II>")
+   * @param {string} title - The original task title
+   * @param {number} splitIndex - Zero-based index of the split
+   * @param {Object} config - Configuration with splitPrefix and splitSuffix
+   */
+  getSplitTitle(title, splitIndex, config) {
+    let splitName = title;
+    if (config.splitPrefix) {
+      splitName = config.splitPrefix + splitName;
+    }
+    if (config.splitSuffix !== false) {
+      splitName = `${splitName} <${toRoman(splitIndex + 1)}>`;
+    }
+    return splitName;
+  },
+
   /**
    * Check if a task has already been processed by AutoPlan
    */
@@ -825,10 +1665,14 @@ export const TaskSplitter = {
    * Process all tasks and split them into blocks
    * Skips parent tasks that have subtasks
    * @param {Array} tasks - Tasks to process
-   * @param {number} blockSizeMinutes - Size of each block in minutes
+   * @param {number} blockSizeMinutes - Global size of each block in minutes (see getBlockSizesForTask)
    * @param {Object} config - Configuration object
+   * @param {Array} overrunFactors - Learned overrun factors to inflate the remaining work with
+   *                                 (see OverrunAnalytics.getOverrunFactors, empty = plan the estimates)
+   * @returns {Object} - { splits, skippedParents, alreadyProcessed, skippedOverrunTasks }, where
+   *                     skippedOverrunTasks used up their estimate and get no time (overrun policy 'skip')
    */
-  processAllTasks(tasks, blockSizeMinutes, config) {
+  processAllTasks(tasks, blockSizeMinutes, config, overrunFactors = []) {
     // Find parent task IDs (tasks that have subtasks)
     const parentIds = new Set();
     for (const task of tasks) {
@@ -840,6 +1684,7 @@ export const TaskSplitter = {
     const allSplits = [];
     const skippedParents = [];
     const alreadyProcessed = [];
+    const skippedOverrunTasks = [];
 
     for (const task of tasks) {
       // Skip if this task is a parent with subtasks
@@ -857,11 +1702,15 @@ export const TaskSplitter = {
         continue;
       }
 
-      const splits = this.splitTask(task, blockSizeMinutes, config, tasks);
+      const overrunFactor = OverrunAnalytics.getFactorForTask(task, overrunFactors);
+      const splits = this.splitTask(task, blockSizeMinutes, config, tasks, overrunFactor);
+      if (splits.length === 0 && getEstimatedHours(task) > 0 && getRemainingHours(task) <= 0) {
+        skippedOverrunTasks.push(task);
+      }
       allSplits.push(...splits);
     }
 
-    return { splits: allSplits, skippedParents, alreadyProcessed };
+    return { splits: allSplits, skippedParents, alreadyProcessed, skippedOverrunTasks };
   }
 };
 
@@ -891,11 +1740,10 @@ export const AutoPlanner = {
   },
 
   /**
-   * Check if a day should be skipped for a specific time map
+   * Check if a day should be skipped for a specific time map (respects the time map's date overrides)
    */
   shouldSkipDayForTimeMap(date, timeMap) {
-    const daySchedule = getDaySchedule(timeMap, date.getDay());
-    return daySchedule === null;
+    return getDayIntervalsForDate(timeMap, date).length === 0;
   },
 
   /**
@@ -918,23 +1766,24 @@ export const AutoPlanner = {
 
   /**
    * Advance to the next working day for a specific time map
+   * Searches up to maxDaysAhead days, so holidays and vacations longer than a week are skipped
    */
-  advanceToNextWorkdayForTimeMap(date, timeMap) {
+  advanceToNextWorkdayForTimeMap(date, timeMap, maxDaysAhead = DEFAULT_CONFIG.maxDaysAhead) {
     const newDate = new Date(date);
     newDate.setDate(newDate.getDate() + 1);
     
-    // Get the start hour for the new day from time map
-    const daySchedule = getDaySchedule(timeMap, newDate.getDay());
-    const startHour = daySchedule?.startHour ?? 9;
-    newDate.setHours(startHour, 0, 0, 0);
+    // Start at the first interval of the new day from time map
+    const intervals = getDayIntervalsForDate(timeMap, newDate);
+    const startMinutes = intervals.length > 0 ? intervals[0].start : 9 * 60;
+    newDate.setHours(Math.floor(startMinutes / 60), startMinutes % 60, 0, 0);
     
-    // Keep advancing while we're on a skip day (max 7 iterations to prevent infinite loop)
+    // Keep advancing while we're on a skip day (up to the planning horizon to prevent infinite loop)
     let iterations = 0;
-    while (this.shouldSkipDayForTimeMap(newDate, timeMap) && iterations < 7) {
+    while (this.shouldSkipDayForTimeMap(newDate, timeMap) && iterations < maxDaysAhead) {
       newDate.setDate(newDate.getDate() + 1);
-      const nextDaySchedule = getDaySchedule(timeMap, newDate.getDay());
-      if (nextDaySchedule) {
-        newDate.setHours(nextDaySchedule.startHour, 0, 0, 0);
+      const nextIntervals = getDayIntervalsForDate(timeMap, newDate);
+      if (nextIntervals.length > 0) {
+        newDate.setHours(Math.floor(nextIntervals[0].start / 60), nextIntervals[0].start % 60, 0, 0);
       }
       iterations++;
     }
@@ -960,36 +1809,56 @@ export const AutoPlanner = {
 
   /**
    * Get current day minutes for a specific time map
+   * Only counts working minutes that have already passed inside the day's intervals,
+   * so time spent in a gap (e.g. lunch break) is not counted.
    */
   getCurrentDayMinutesForTimeMap(now, timeMap) {
-    const daySchedule = getDaySchedule(timeMap, now.getDay());
-    if (!daySchedule) return 0; // Skip day
+    return this.getElapsedMinutesInIntervals(getDayIntervalsForDate(timeMap, now), now);
+  },
+
+  /**
+   * Get the working minutes of a day's intervals that have already passed at a given time
+   * @param {Array} intervals - Day intervals in minutes from midnight
+   * @param {Date} now - Current time
+   * @returns {number} - Elapsed working minutes
+   */
+  getElapsedMinutesInIntervals(intervals, now) {
+    if (intervals.length === 0) return 0; // Skip day
     
-    const currentHour = now.getHours();
-    const currentMinute = now.getMinutes();
+    const nowMinutes = now.getHours() * 60 + now.getMinutes();
     
-    // If before work start for this time map, return 0
-    if (currentHour < daySchedule.startHour) {
-      return 0;
+    let elapsedMinutes = 0;
+    for (const interval of intervals) {
+      if (nowMinutes <= interval.start) break;
+      elapsedMinutes += Math.min(nowMinutes, interval.end) - interval.start;
     }
-    
-    // If after work end for this time map, return max (day is full)
-    if (currentHour >= daySchedule.endHour) {
-      return (daySchedule.endHour - daySchedule.startHour) * 60;
+    return elapsedMinutes;
+  },
+
+  /**
+   * Get the minutes left in the interval that contains a given working-minute offset
+   * A block starting at this offset must not be longer, otherwise it would cross a gap.
+   * @param {Array} intervals - Day intervals from getDayIntervals
+   * @param {number} currentDayMinutes - Working minutes already used in the day
+   * @returns {number} - Minutes until the end of the current interval (0 if the day is full)
+   */
+  getMinutesUntilGap(intervals, currentDayMinutes) {
+    let offset = currentDayMinutes;
+    for (const interval of intervals) {
+      const length = interval.end - interval.start;
+      if (offset < length) {
+        return length - offset;
+      }
+      offset -= length;
     }
-    
-    // Calculate minutes since this time map's work day started
-    return (currentHour - daySchedule.startHour) * 60 + currentMinute;
+    return 0;
   },
 
   /**
    * Get the date key (YYYY-MM-DD) for a given date
    */
   getDateKey(date) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+    return getDateKey(date);
   },
 
   /**
@@ -1012,54 +1881,115 @@ export const AutoPlanner = {
       (sum, s) => sum + this.getSplitRemainingMs(s), 0
     );
 
-    // Create a pseudo-task for urgency calculation
-    // Use the total remaining time for the original task, not just this split's time
-    const pseudoTask = {
-      ...split.originalTask,
-      id: split.originalTaskId,
-      timeEstimate: totalRemainingMs,
-      timeSpent: 0,
+    const getUrgency = this.createUrgencyCalculator(config, allTags, allProjects, allTasks);
+    return { split, ...getUrgency(split, totalRemainingMs, simulatedTime) };
+  },
+
+  /**
+   * Create an urgency calculator for the splits of one scheduling run
+   * The parts of a task's urgency that stay the same while scheduling (tags, project, boost, due date
+   * and preferred times) are computed once per task; duration, oldness, deadline and time preference
+   * are computed from the task's remaining time and the slot time on every call.
+   * @param {Object} config - Configuration object
+   * @param {Array} allTags - All available tags
+   * @param {Array} allProjects - All available projects
+   * @param {Array} allTasks - All tasks (needed for parent tag inheritance)
+   * @param {Map} taskInfoById - Cache of the per-task parts; runs that only differ in the urgency
+   *                             weights or the task order can share it (optional)
+   * @returns {Function} - (split, totalRemainingMs, time) => { urgency, urgencyComponents }, where
+   *                       totalRemainingMs is the remaining time of all unscheduled splits of the task
+   */
+  createUrgencyCalculator(config, allTags, allProjects = [], allTasks = [], taskInfoById = new Map()) {
+    const getTaskInfo = (split) => {
+      if (!taskInfoById.has(split.originalTaskId)) {
+        // Pseudo-task for urgency calculation; its estimate is the task's total remaining time
+        const task = { ...split.originalTask, id: split.originalTaskId, timeSpent: 0 };
+        taskInfoById.set(split.originalTaskId, {
+          task,
+          tag: PriorityCalculator.calculateTagPriority(task, config.tagPriorities || {}, allTags, allTasks),
+          project: PriorityCalculator.calculateProjectPriority(task, config.projectPriorities || {}, allProjects),
+          boost: parseAutoplanDirective(task.notes).boost ?? 0,
+          dueDate: getTaskDueDate(task, allTasks),
+          timePreferences: getTimePreferencesForTask(task, config),
+        });
+      }
+      return taskInfoById.get(split.originalTaskId);
     };
 
-    const urgency = PriorityCalculator.calculateUrgency(
-      pseudoTask, 
-      config,
-      allTags,
-      allProjects,
-      simulatedTime,
-      allTasks
-    );
+    return (split, totalRemainingMs, time) => {
+      const info = getTaskInfo(split);
+      const urgency = PriorityCalculator.combineUrgency({
+        tag: info.tag,
+        project: info.project,
+        duration: PriorityCalculator.calculateDurationPriority(
+          { timeEstimate: totalRemainingMs, timeSpent: 0 }, config.durationFormula || 'none', config.durationWeight ?? 1.0
+        ),
+        oldness: PriorityCalculator.calculateOldnessPriority(
+          info.task, config.oldnessFormula || 'none', config.oldnessWeight ?? 1.0, time
+        ),
+        boost: info.boost,
+        deadline: PriorityCalculator.calculateDueDatePriority(
+          info.dueDate, config.deadlineFormula || 'none', config.deadlineWeight ?? 12.0, time
+        ),
+      }, config);
 
-    return {
-      split,
-      urgency: urgency.total,
-      urgencyComponents: urgency.components,
+      // Soft time-of-day preferences: a bonus inside a preferred window and a penalty outside
+      const timePreference = getTimePreferenceScoreForWindows(info.timePreferences, time) *
+        (config.timePreferenceWeight ?? DEFAULT_CONFIG.timePreferenceWeight);
+
+      return {
+        urgency: urgency.total + timePreference,
+        urgencyComponents: { ...urgency.components, timePreference },
+      };
     };
   },
 
   /**
-   * Sort splits by urgency with deterministic tiebreakers
+   * Get the context switch penalty of following one task with another
+   * Leaving the previous task's project costs that project's penalty, and each of its tags the next task
+   * doesn't have costs that tag's penalty (config.projectContextSwitch and config.tagContextSwitch).
+   * @param {Object|null} previousTask - Task of the previous block (null if there is none)
+   * @param {Object} task - Task of the next block
+   * @param {Object} config - Configuration object
+   * @returns {number} - Priority points to take from the next block (0 if it stays in context)
+   */
+  getContextSwitchPenalty(previousTask, task, config) {
+    if (!previousTask || previousTask.id === task.id) return 0;
+
+    let penalty = 0;
+    if (previousTask.projectId && previousTask.projectId !== task.projectId) {
+      penalty += Number(config.projectContextSwitch?.[previousTask.projectId]?.penalty) || 0;
+    }
+    for (const tagId of previousTask.tagIds || []) {
+      if (!(task.tagIds || []).includes(tagId)) {
+        penalty += Number(config.tagContextSwitch?.[tagId]?.penalty) || 0;
+      }
+    }
+    return penalty;
+  },
+
+  /**
+   * Compare splits by urgency with deterministic tiebreakers
    * Primary: higher urgency first
    * Secondary: older tasks first (lower created timestamp)
    * Tertiary: alphabetical by task ID
-   * @param {Array} splitsWithUrgency - Array of { split, urgency, urgencyComponents }
-   * @returns {Array} - Sorted array (mutates in place)
-   */
-  sortSplitsByUrgency(splitsWithUrgency) {
-    return splitsWithUrgency.sort((a, b) => {
-      // Primary: higher urgency first
-      if (b.urgency !== a.urgency) {
-        return b.urgency - a.urgency;
-      }
-      // Secondary: older tasks first (lower created timestamp)
-      const aCreated = a.split.originalTask?.created || 0;
-      const bCreated = b.split.originalTask?.created || 0;
-      if (aCreated !== bCreated) {
-        return aCreated - bCreated;
-      }
-      // Tertiary: alphabetical by task ID for full determinism
-      return (a.split.originalTaskId || '').localeCompare(b.split.originalTaskId || '');
-    });
+   * @param {Object} a - { split, urgency }
+   * @param {Object} b - { split, urgency }
+   * @returns {number} - Negative if a comes first
+   */
+  compareSplitsByUrgency(a, b) {
+    // Primary: higher urgency first
+    if (b.urgency !== a.urgency) {
+      return b.urgency - a.urgency;
+    }
+    // Secondary: older tasks first (lower created timestamp)
+    const aCreated = a.split.originalTask?.created || 0;
+    const bCreated = b.split.originalTask?.created || 0;
+    if (aCreated !== bCreated) {
+      return aCreated - bCreated;
+    }
+    // Tertiary: alphabetical by task ID for full determinism
+    return (a.split.originalTaskId || '').localeCompare(b.split.originalTaskId || '');
   },
 
   /**
@@ -1082,13 +2012,7 @@ export const AutoPlanner = {
     }
     
     // Determine the title for the new split
-    let newSplitTitle = mostUrgentSplit.originalTask.title;
-    if (config.splitPrefix) {
-      newSplitTitle = config.splitPrefix + newSplitTitle;
-    }
-    if (config.splitSuffix !== false) {
-      newSplitTitle = `${newSplitTitle} <${toRoman(newSplitIndex + 1)}>`;
-    }
+    const newSplitTitle = TaskSplitter.getSplitTitle(mostUrgentSplit.originalTask.title, newSplitIndex, config);
     
     const newSplit = {
       originalTaskId: mostUrgentSplit.originalTaskId,
@@ -1106,6 +2030,7 @@ export const AutoPlanner = {
       parentId: mostUrgentSplit.parentId,
       prevSplitIndex: mostUrgentSplit.splitIndex,
       nextSplitIndex: null,
+      ...(mostUrgentSplit.minBlockMinutes && { minBlockMinutes: mostUrgentSplit.minBlockMinutes }),
     };
     
     // Update the current split's next pointer
@@ -1117,14 +2042,21 @@ export const AutoPlanner = {
 
   /**
    * Calculate the block start time from simulation state
+   * When given the day's intervals, the working-minute offset is mapped through them,
+   * so an offset past the end of one interval lands in the next one.
    * @param {Date} simulatedTime - Current simulation date
-   * @param {number} currentDayMinutes - Minutes into the workday
-   * @param {number} workdayStartHour - Hour when workday starts
+   * @param {number} currentDayMinutes - Working minutes into the workday
+   * @param {number|Array} workdayStart - Hour when workday starts, or the day's intervals from getDayIntervals
    * @returns {Date} - Start time for the block
    */
-  calculateBlockStartTime(simulatedTime, currentDayMinutes, workdayStartHour) {
+  calculateBlockStartTime(simulatedTime, currentDayMinutes, workdayStart) {
     const blockStartTime = new Date(simulatedTime);
-    const totalMinutesFromMidnight = workdayStartHour * 60 + currentDayMinutes;
+    let totalMinutesFromMidnight;
+    if (Array.isArray(workdayStart)) {
+      totalMinutesFromMidnight = this.getMinutesFromMidnightForOffset(workdayStart, currentDayMinutes);
+    } else {
+      totalMinutesFromMidnight = workdayStart * 60 + currentDayMinutes;
+    }
     blockStartTime.setHours(Math.floor(totalMinutesFromMidnight / 60));
     blockStartTime.setMinutes(totalMinutesFromMidnight % 60);
     blockStartTime.setSeconds(0);
@@ -1132,19 +2064,89 @@ export const AutoPlanner = {
     return blockStartTime;
   },
 
+  /**
+   * Map a working-minute offset to minutes from midnight through the day's intervals
+   * An offset at the exact end of an interval maps to the start of the next one.
+   * @param {Array} intervals - Day intervals from getDayIntervals
+   * @param {number} currentDayMinutes - Working minutes into the workday
+   * @returns {number} - Minutes from midnight
+   */
+  getMinutesFromMidnightForOffset(intervals, currentDayMinutes) {
+    if (intervals.length === 0) return 9 * 60 + currentDayMinutes;
+    
+    let offset = currentDayMinutes;
+    for (const interval of intervals) {
+      const length = interval.end - interval.start;
+      if (offset < length) {
+        return interval.start + offset;
+      }
+      offset -= length;
+    }
+    // Offset is past the last interval - extend from its end (same as the single-interval case)
+    return intervals[intervals.length - 1].end + offset;
+  },
+
   /**
    * Calculate the block start time for a specific time map
    */
   calculateBlockStartTimeForTimeMap(simulatedTime, currentDayMinutes, timeMap) {
-    const daySchedule = getDaySchedule(timeMap, simulatedTime.getDay());
-    const startHour = daySchedule?.startHour ?? 9;
-    return this.calculateBlockStartTime(simulatedTime, currentDayMinutes, startHour);
+    const intervals = getDayIntervalsForDate(timeMap, simulatedTime);
+    return this.calculateBlockStartTime(simulatedTime, currentDayMinutes, intervals);
+  },
+
+  /**
+   * Calculate the occupied intervals per day from a list of fixed tasks
+   * Fixed tasks (do-not-reschedule tag, iCal, repeating) with a scheduled time block
+   * their exact time slot; tasks spanning midnight are cut into one interval per day.
+   * @param {Array} fixedTasks - List of fixed tasks
+   * @returns {Object} - { dateKey: [{ start, end }] } with sorted, merged intervals in minutes from midnight
+   */
+  calculateFixedIntervalsPerDay(fixedTasks) {
+    const busyPerDay = {};
+    
+    for (const task of fixedTasks) {
+      if (!task.dueWithTime || !task.timeEstimate || task.timeEstimate <= 0) {
+        continue;
+      }
+      
+      const eventStartMs = task.dueWithTime;
+      const eventEndMs = task.dueWithTime + task.timeEstimate;
+      
+      let currentDay = new Date(eventStartMs);
+      currentDay.setHours(0, 0, 0, 0);
+      
+      while (currentDay.getTime() < eventEndMs) {
+        const dayStartMs = currentDay.getTime();
+        const nextDay = new Date(currentDay);
+        nextDay.setDate(nextDay.getDate() + 1);
+        
+        const start = Math.floor((Math.max(eventStartMs, dayStartMs) - dayStartMs) / 60000);
+        const end = Math.ceil((Math.min(eventEndMs, nextDay.getTime()) - dayStartMs) / 60000);
+        if (end > start) {
+          const dateKey = this.getDateKey(currentDay);
+          if (!busyPerDay[dateKey]) {
+            busyPerDay[dateKey] = [];
+          }
+          busyPerDay[dateKey].push({ start, end });
+        }
+        
+        currentDay = nextDay;
+      }
+    }
+    
+    // Sort and merge overlapping events
+    for (const dateKey of Object.keys(busyPerDay)) {
+      busyPerDay[dateKey] = mergeIntervals(busyPerDay[dateKey]);
+    }
+    
+    return busyPerDay;
   },
 
   /**
    * Calculate fixed task minutes per day from a list of fixed tasks
    * Fixed tasks are tasks that have the "do not reschedule" tag and have a scheduled time
    * Only counts the overlap between the fixed task and work hours
+   * @deprecated schedule() uses calculateFixedIntervalsPerDay to block the exact time slots
    * @param {Array} fixedTasks - List of fixed tasks
    * @param {Object} config - Configuration with workdayStartHour and workdayHours
    */
@@ -1202,34 +2204,200 @@ export const AutoPlanner = {
   },
 
   /**
-   * Main scheduling algorithm
-   * For each day, for each time map, sorts tasks by priority and schedules them.
-   * This ensures fair scheduling across time maps - each time map gets its slots filled
-   * with its highest priority tasks each day, rather than one time map dominating.
-   * 
+   * Build the dependency constraints of a scheduling run
+   * Only prerequisites that are scheduled in this run or are planned fixed tasks
+   * constrain a task. Dependencies between the tasks of a cycle are dropped.
    * @param {Array} splits - Task splits to schedule
+   * @param {Array} fixedTasks - Tasks that should not be rescheduled
+   * @param {Array} allTasks - All tasks (to resolve references)
+   * @returns {Object} - { prerequisitesByTaskId: Map<taskId, Array<taskId>>, cycles: Array<Array<taskId>> }
+   */
+  getSchedulingDependencies(splits, fixedTasks = [], allTasks = []) {
+    const scheduledTasks = new Map();
+    for (const split of splits) {
+      if (!scheduledTasks.has(split.originalTaskId)) {
+        scheduledTasks.set(split.originalTaskId, split.originalTask || { id: split.originalTaskId });
+      }
+    }
+    const taskPool = allTasks.length > 0 ? allTasks : [...scheduledTasks.values(), ...fixedTasks];
+    const constrainingIds = new Set([
+      ...scheduledTasks.keys(),
+      ...fixedTasks.filter(t => !t.isDone && t.dueWithTime).map(t => t.id),
+    ]);
+
+    // Dependencies between all open tasks, so cycles through unscheduled tasks are found too
+    const graph = new Map();
+    for (const task of taskPool) {
+      if (task.isDone) continue;
+      const prerequisiteIds = getTaskDependencyIds(task, taskPool)
+        .filter(id => taskPool.some(t => t.id === id && !t.isDone));
+      if (prerequisiteIds.length > 0) {
+        graph.set(task.id, prerequisiteIds);
+      }
+    }
+
+    const cycles = findDependencyCycles(graph);
+    const cycleIndexById = new Map();
+    cycles.forEach((cycle, index) => cycle.forEach(id => cycleIndexById.set(id, index)));
+    const inSameCycle = (a, b) => cycleIndexById.has(a) && cycleIndexById.get(a) === cycleIndexById.get(b);
+
+    const prerequisitesByTaskId = new Map();
+    for (const taskId of scheduledTasks.keys()) {
+      const prerequisiteIds = (graph.get(taskId) || [])
+        .filter(id => constrainingIds.has(id) && !inSameCycle(taskId, id));
+      if (prerequisiteIds.length > 0) {
+        prerequisitesByTaskId.set(taskId, prerequisiteIds);
+      }
+    }
+
+    return { prerequisitesByTaskId, cycles };
+  },
+
+  /**
+   * Get the end of the plan stability horizon
+   * Blocks that start before it are kept where they are.
+   * @param {Date} now - Current time
+   * @param {Object} config - Configuration with stabilityMode and stabilityHours
+   * @returns {Date|null} - Horizon end, or null if plan stability is off
+   */
+  getStabilityHorizonEnd(now, config) {
+    if (config.stabilityMode === 'today') {
+      const midnight = new Date(now);
+      midnight.setHours(24, 0, 0, 0);
+      return midnight;
+    }
+    if (config.stabilityMode === 'hours') {
+      const hours = config.stabilityHours ?? DEFAULT_CONFIG.stabilityHours;
+      if (hours <= 0) return null;
+      return new Date(now.getTime() + hours * 60 * 60 * 1000);
+    }
+    return null;
+  },
+
+  /**
+   * Keep the planned blocks that start before the stability horizon
+   * A block already in progress is kept from now on. The kept minutes are taken off the task's
+   * splits (last split first), and splits with no work left are removed from remainingSplits.
+   * @param {Array} plannedBlocks - Current blocks: [{ taskId, originalTaskId, splitIndex, startTime, endTime }]
+   * @param {Array} remainingSplits - Splits still to schedule (will be updated)
+   * @param {Date} now - Current time
+   * @param {Date} horizonEnd - End of the stability horizon
+   * @returns {Object} - { frozenItems: Array, consumedSplits: Set } where frozenItems are schedule items
+   *                     without urgency and consumedSplits are the splits fully covered by kept blocks
+   */
+  freezePlannedBlocks(plannedBlocks, remainingSplits, now, horizonEnd) {
+    const frozenItems = [];
+    const consumedSplits = new Set();
+
+    const blocks = plannedBlocks
+      .filter(block => block.startTime < horizonEnd && block.endTime > now)
+      .sort((a, b) => a.startTime - b.startTime);
+
+    for (const block of blocks) {
+      const taskSplits = remainingSplits.filter(s => s.originalTaskId === block.originalTaskId);
+      if (taskSplits.length === 0) continue;
+
+      // A block can't keep more time than the task still needs
+      const startTime = new Date(Math.max(block.startTime, now));
+      const availableMinutes = taskSplits.reduce((sum, s) => sum + this.getSplitRemainingMs(s) / 60000, 0);
+      const blockMinutes = Math.min(Math.round((block.endTime - startTime) / 60000), availableMinutes);
+      if (blockMinutes <= 0) continue;
+
+      let minutesLeft = blockMinutes;
+      for (const split of [...taskSplits].reverse()) {
+        if (minutesLeft <= 0) break;
+        const takenMinutes = Math.min(this.getSplitRemainingMs(split) / 60000, minutesLeft);
+        const estimatedMs = split.estimatedMs ?? ((split.estimatedHours || 0) * 60 * 60 * 1000);
+        split.estimatedMs = estimatedMs - takenMinutes * 60 * 1000;
+        split.estimatedHours = split.estimatedMs / (60 * 60 * 1000);
+        minutesLeft -= takenMinutes;
+
+        if (this.getSplitRemainingMs(split) <= 0) {
+          consumedSplits.add(split);
+          remainingSplits.splice(remainingSplits.indexOf(split), 1);
+        }
+      }
+
+      const endTime = new Date(startTime);
+      endTime.setMinutes(endTime.getMinutes() + blockMinutes);
+
+      frozenItems.push({
+        split: {
+          ...taskSplits[0],
+          splitIndex: block.splitIndex ?? 0,
+          estimatedHours: blockMinutes / 60,
+          estimatedMs: blockMinutes * 60 * 1000,
+          timeSpentMs: 0,
+          existingTaskId: block.taskId,
+        },
+        startTime,
+        endTime,
+        frozen: true,
+      });
+    }
+
+    return { frozenItems, consumedSplits };
+  },
+
+  /**
+   * Keep the planned blocks within the stability horizon (see getStabilityHorizonEnd and freezePlannedBlocks)
+   * @param {Array} plannedBlocks - Current blocks: [{ taskId, originalTaskId, splitIndex, startTime, endTime }]
+   * @param {Array} remainingSplits - Splits still to schedule (will be updated)
+   * @param {Date} now - Current time
    * @param {Object} config - Configuration object
-   * @param {Array} allTags - All available tags
-   * @param {Array} allProjects - All available projects
-   * @param {Date} startTime - When to start scheduling from
-   * @param {Array} fixedTasks - Tasks that should not be rescheduled (optional)
-   * @param {Array} allTasks - All tasks (needed for parent tag inheritance)
-   * @returns {Object} - { schedule: Array, deadlineMisses: Array } where schedule contains scheduled items
-   *                     and deadlineMisses contains tasks that will miss their deadlines
+   * @param {Function} calculateUrgency - Urgency calculator of the run (see createUrgencyCalculator)
+   * @returns {Object} - { items: Array, consumedSplits: Set } where items are the kept blocks as schedule items
    */
-  schedule(splits, config, allTags, allProjects = [], startTime = new Date(), fixedTasks = [], allTasks = []) {
-    if (splits.length === 0) return { schedule: [], deadlineMisses: [] };
+  keepPlannedBlocks(plannedBlocks, remainingSplits, now, config, calculateUrgency) {
+    const horizonEnd = this.getStabilityHorizonEnd(now, config);
+    if (!horizonEnd) {
+      return { items: [], consumedSplits: new Set() };
+    }
 
-    const schedule = [];
-    const remainingSplits = [...splits];
-    const maxDaysAhead = config.maxDaysAhead ?? 30;
-    const minBlockMinutes = config.minimumBlockSizeMinutes ?? DEFAULT_CONFIG.minimumBlockSizeMinutes;
-    
-    // Build a map of time maps, ensuring 'default' exists
-    // If legacy settings are present, create a time map from them for 'default'
+    const { frozenItems, consumedSplits } = this.freezePlannedBlocks(plannedBlocks, remainingSplits, now, horizonEnd);
+    const items = frozenItems.map(item => {
+      const { urgency, urgencyComponents } = calculateUrgency(item.split, this.getSplitRemainingMs(item.split), item.startTime);
+      const timeMapId = getTimeMapIdsForTask(item.split.originalTask || item.split, config)[0] || config.defaultTimeMap || 'default';
+      return { ...item, urgency, urgencyComponents, timeMapId };
+    });
+    return { items, consumedSplits };
+  },
+
+  /**
+   * Pick the split to schedule, preferring the task already planned at this time
+   * The planned task keeps its slot unless the most urgent split beats it by at
+   * least the hysteresis threshold, so small urgency changes don't reshuffle the plan.
+   * @param {Object} mostUrgent - The most urgent candidate: { split, urgency, urgencyComponents }
+   * @param {Function} getCandidate - (originalTaskId) => the candidate of a task (none if it isn't one)
+   * @param {Array} plannedBlocks - Current blocks: [{ taskId, originalTaskId, startTime, endTime }]
+   * @param {Date} time - Start time of the slot
+   * @param {number} hysteresis - Urgency threshold (0 = always take the most urgent)
+   * @returns {Object} - The chosen candidate
+   */
+  pickWithHysteresis(mostUrgent, getCandidate, plannedBlocks, time, hysteresis) {
+    if (!hysteresis || hysteresis <= 0) return mostUrgent;
+
+    const incumbentBlock = plannedBlocks.find(block => block.startTime <= time && time < block.endTime);
+    if (!incumbentBlock) return mostUrgent;
+
+    const incumbent = getCandidate(incumbentBlock.originalTaskId);
+    if (incumbent && mostUrgent.urgency - incumbent.urgency < hysteresis) {
+      return incumbent;
+    }
+    return mostUrgent;
+  },
+
+  /**
+   * Get the time maps used for scheduling, ensuring 'default' exists
+   * If legacy settings are present, 'default' is created from them. The global date
+   * overrides (holidays etc.) are folded into every time map.
+   * @param {Object} config - Configuration object
+   * @returns {Object} - { timeMapId: timeMap }
+   */
+  resolveTimeMaps(config) {
     const timeMaps = { ...config.timeMaps };
     
-    // Check if legacy settings are explicitly configured (different from DEFAULT_CONFIG)
+    // Check if legacy settings are explicitly configured (stored ones are migrated on load)
     const hasLegacyOverrides = (
       config.workdayStartHour !== undefined ||
       config.workdayHours !== undefined ||
@@ -1241,45 +2409,570 @@ export const AutoPlanner = {
       timeMaps['default'] = createTimeMapFromLegacy(config);
     }
     
+    // Fold the global date overrides (holidays etc.) into every time map;
+    // a time map's own overrides win for the same date
+    if (config.dateOverrides && Object.keys(config.dateOverrides).length > 0) {
+      for (const [timeMapId, timeMap] of Object.entries(timeMaps)) {
+        timeMaps[timeMapId] = {
+          ...timeMap,
+          dateOverrides: { ...config.dateOverrides, ...timeMap?.dateOverrides },
+        };
+      }
+    }
+    
+    return timeMaps;
+  },
+
+  /**
+   * Reserve the latest blocks before their deadlines for deadline tasks (the 'alap' scheduling mode)
+   * Blocks end alapMarginHours before the deadline (or, if those don't fit, before the deadline itself),
+   * latest deadline first. Tasks with dependencies and tasks that don't fit are left to the forward pass.
+   * @param {Map} splitsByTaskId - Unscheduled splits per task
+   * @param {Object} context - { config, timeMaps, startTime, fixedTasks, allTasks, calculateUrgency,
+   *                           presetItems (schedule items already placed), dependencyTaskIds }
+   * @returns {Object} - { items, reservedSplits, replacedSplits } where items are the reserved blocks
+   *                     (reserved: true), reservedSplits their splits (one per block) and replacedSplits
+   *                     the splits they replace
+   */
+  reserveLatestBlocks(splitsByTaskId, context) {
+    const { config, timeMaps, startTime, fixedTasks, allTasks, calculateUrgency, presetItems, dependencyTaskIds } = context;
+    const items = [];
+    const reservedSplits = [];
+    const replacedSplits = new Set();
+    const marginMs = (config.alapMarginHours ?? DEFAULT_CONFIG.alapMarginHours) * MS_PER_HOUR;
+    const busyTasks = [...fixedTasks, ...presetItems.map(item => ({
+      dueWithTime: item.startTime.getTime(),
+      timeEstimate: item.endTime - item.startTime,
+    }))];
+    const deadlineTasks = [...splitsByTaskId.entries()]
+      .filter(([taskId]) => !dependencyTaskIds.has(taskId))
+      .map(([taskId, taskSplits]) => ({ taskId, taskSplits, dueDate: getTaskDueDate(taskSplits[0].originalTask, allTasks) }))
+      .filter(task => task.dueDate)
+      .sort((a, b) => b.dueDate - a.dueDate || a.taskId.localeCompare(b.taskId));
+
+    for (const { taskSplits, dueDate } of deadlineTasks) {
+      const template = taskSplits[0];
+      const task = template.originalTask || template;
+      const startDate = getTaskStartDate(template.originalTask, allTasks);
+      const minutes = taskSplits.reduce((sum, s) => sum + this.getSplitRemainingMs(s), 0) / 60000;
+      const options = {
+        timeMapIds: getTimeMapIdsForTask(task, config),
+        timeMaps,
+        busyIntervalsPerDay: this.calculateFixedIntervalsPerDay(busyTasks),
+        earliestStart: startDate > startTime ? startDate : startTime,
+        blockSizeMinutes: getBlockSizesForTask(task, config).blockSizeMinutes,
+        minBlockMinutes: template.minBlockMinutes || getBlockSizesForTask(task, config).minimumBlockSizeMinutes,
+        noSplit: !!template.noSplit,
+      };
+      if (options.timeMapIds.length === 0) options.timeMapIds = [config.defaultTimeMap || 'default'];
+      const blocks = this.findLatestBlocks(minutes, { ...options, latestEnd: new Date(dueDate - marginMs) }) ||
+        (marginMs > 0 ? this.findLatestBlocks(minutes, { ...options, latestEnd: dueDate }) : null);
+      if (!blocks) continue;
+
+      // One split per block, numbered in time order; the first keeps the time already spent
+      const firstIndex = template.splitIndex;
+      const totalSplits = firstIndex + blocks.length;
+      let minutesLeft = minutes;
+      blocks.forEach((block, i) => {
+        const blockMs = block.endTime - block.startTime;
+        const timeSpentMs = i === 0 ? template.timeSpentMs || 0 : 0;
+        const split = {
+          ...template,
+          splitIndex: firstIndex + i,
+          totalSplits,
+          title: TaskSplitter.getSplitTitle(task.title, firstIndex + i, config),
+          estimatedHours: (blockMs + timeSpentMs) / MS_PER_HOUR,
+          estimatedMs: blockMs + timeSpentMs,
+          timeSpentMs,
+          timeSpentOnDay: i === 0 ? template.timeSpentOnDay : {},
+          prevSplitIndex: i > 0 ? firstIndex + i - 1 : template.prevSplitIndex,
+          nextSplitIndex: i < blocks.length - 1 ? firstIndex + i + 1 : null,
+        };
+        const { urgency, urgencyComponents } = calculateUrgency(split, minutesLeft * 60000, block.startTime);
+        minutesLeft -= blockMs / 60000;
+        reservedSplits.push(split);
+        items.push({ split, startTime: block.startTime, endTime: block.endTime, urgency, urgencyComponents, timeMapId: block.timeMapId, reserved: true });
+        busyTasks.push({ dueWithTime: block.startTime.getTime(), timeEstimate: blockMs });
+      });
+      taskSplits.forEach(split => replacedSplits.add(split));
+    }
+
+    return { items, reservedSplits, replacedSplits };
+  },
+
+  /**
+   * Create the pace of one time map's day: buffers between blocks and breaks after enough work
+   * A block right after the previous one continues the work; a pause of a break's length resets it.
+   * Breaks come after at least a minimum block of work; a break length of 0 means no breaks.
+   * @param {Object} config - Configuration with bufferMinutes, bufferOnlyOnTaskChange, breakEveryMinutes and breakMinutes
+   * @returns {Object} - Records the day's blocks and pauses and tells which pause is due before the next block
+   */
+  createPace(config) {
+    const bufferMinutes = config.bufferMinutes ?? DEFAULT_CONFIG.bufferMinutes;
+    const minimumBlockMinutes = config.minimumBlockSizeMinutes ?? DEFAULT_CONFIG.minimumBlockSizeMinutes;
+    const workBeforeBreakMinutes = config.breakEveryMinutes ?? DEFAULT_CONFIG.breakEveryMinutes;
+    const breakMinutes = config.breakMinutes ?? DEFAULT_CONFIG.breakMinutes;
+    const breakEveryMinutes = workBeforeBreakMinutes > 0 && breakMinutes > 0
+      ? Math.max(workBeforeBreakMinutes, minimumBlockMinutes)
+      : 0;
+
+    let lastEndMs = null;
+    let lastTaskId = null;
+    let lastTask = null;
+    let workedMinutes = 0;
+    let continuesWork = false;
+
+    return {
+      // The task of the previous block (for context switch penalties)
+      get lastTask() {
+        return lastTask;
+      },
+
+      // Start a slot: { pause } if a break is due first, otherwise { maxBlockMinutes } until the next break
+      startSlot(time, slotMinimum) {
+        continuesWork = lastEndMs === time.getTime();
+        if (!continuesWork && lastEndMs !== null && time.getTime() - lastEndMs >= breakMinutes * 60000) {
+          workedMinutes = 0;
+        }
+        if (breakEveryMinutes <= 0) {
+          return { pause: null, maxBlockMinutes: Infinity };
+        }
+        const minutesUntilBreak = breakEveryMinutes - workedMinutes;
+        // Only work is followed by a break, so breaks never follow each other
+        if (minutesUntilBreak < slotMinimum && workedMinutes > 0) {
+          workedMinutes = 0;
+          return { pause: { kind: 'break', minutes: breakMinutes } };
+        }
+        return { pause: null, maxBlockMinutes: Math.max(minutesUntilBreak, slotMinimum) };
+      },
+
+      // The buffer due before a block of a split (none between blocks of the same task with bufferOnlyOnTaskChange)
+      getBuffer(split) {
+        if (bufferMinutes > 0 && continuesWork && !(config.bufferOnlyOnTaskChange && lastTaskId === split.originalTaskId)) {
+          return { kind: 'buffer', minutes: bufferMinutes };
+        }
+        return null;
+      },
+
+      recordPause() {
+        lastEndMs = null;
+      },
+
+      recordBlock(split, endTime, minutes) {
+        lastEndMs = endTime.getTime();
+        lastTaskId = split.originalTaskId;
+        lastTask = split.originalTask || split;
+        workedMinutes += minutes;
+      },
+    };
+  },
+
+  /**
+   * Create the splits a time map may still schedule on a day, grouped by original task
+   * Tasks and their splits keep the order of the given splits; added splits go after the
+   * other splits of their task.
+   * @param {Iterable} splits - The remaining splits of the time map
+   * @param {Function} getMinBlockMinutes - (split) => the smallest block the split accepts
+   * @returns {Object} - tasks (originalTaskId -> splits), size, minBlockMinutes (the smallest block
+   *                     any of the splits accepts), add(split) and delete(split)
+   */
+  createDaySplits(splits, getMinBlockMinutes) {
+    const tasks = new Map();
+    const minBlockCounts = new Map(); // minutes -> number of splits accepting blocks of that size
+    let size = 0;
+
+    const daySplits = {
+      tasks,
+
+      get size() {
+        return size;
+      },
+
+      get minBlockMinutes() {
+        return Math.min(...minBlockCounts.keys());
+      },
+
+      add(split) {
+        if (!tasks.has(split.originalTaskId)) tasks.set(split.originalTaskId, []);
+        tasks.get(split.originalTaskId).push(split);
+        const minutes = getMinBlockMinutes(split);
+        minBlockCounts.set(minutes, (minBlockCounts.get(minutes) || 0) + 1);
+        size++;
+      },
+
+      delete(split) {
+        const taskSplits = tasks.get(split.originalTaskId);
+        const index = taskSplits ? taskSplits.indexOf(split) : -1;
+        if (index === -1) return;
+        taskSplits.splice(index, 1);
+        if (taskSplits.length === 0) tasks.delete(split.originalTaskId);
+        const minutes = getMinBlockMinutes(split);
+        const count = minBlockCounts.get(minutes) - 1;
+        if (count > 0) minBlockCounts.set(minutes, count);
+        else minBlockCounts.delete(minutes);
+        size--;
+      },
+    };
+    for (const split of splits) {
+      daySplits.add(split);
+    }
+    return daySplits;
+  },
+
+  /**
+   * Main scheduling algorithm
+   * For each day, for each time map, sorts tasks by priority and schedules them.
+   * This ensures fair scheduling across time maps - each time map gets its slots filled
+   * with its highest priority tasks each day, rather than one time map dominating.
+   * 
+   * @param {Array} splits - Task splits to schedule
+   * @param {Object} config - Configuration object; config.taskOrder (task IDs, see optimizeSchedule)
+   *                          makes tasks take slots in that order instead of by urgency
+   * @param {Array} allTags - All available tags
+   * @param {Array} allProjects - All available projects
+   * @param {Date} startTime - When to start scheduling from
+   * @param {Array} fixedTasks - Tasks that should not be rescheduled (optional)
+   * @param {Array} allTasks - All tasks (needed for parent tag inheritance)
+   * @param {Array} plannedBlocks - Current blocks for plan stability: [{ taskId, originalTaskId, splitIndex, startTime, endTime }]
+   *                                (optional, see ScheduleDiff.getPlannedBlocks)
+   * @param {Map} taskInfoById - Urgency cache shared by reruns (optional, see createUrgencyCalculator)
+   * @returns {Object} - The schedule and what it found:
+   *   - schedule: scheduled items [{ split, startTime, endTime, urgency, urgencyComponents, timeMapId }]
+   *     (reserved: true for blocks reserved before a deadline in the 'alap' mode)
+   *   - deadlineMisses: tasks that will miss their deadlines (see checkDeadlineMisses)
+   *   - dependencyCycles: the task IDs of each cycle of "Depends:" notes (ignored when scheduling)
+   *   - unschedulableTasks: atomic tasks that found no window for the whole task:
+   *     [{ taskId, taskTitle, minutes, largestWindowMinutes, reason: 'too-long'|'no-free-window' }]
+   *   - capDeferrals: work a cap kept off a day: [{ taskId, taskTitle, cap, dateKeys }], where cap
+   *     describes the cap (e.g. 'max 3h/day on project "Work"')
+   *   - quotaFulfilment: an entry per weekly quota and week of the horizon:
+   *     [{ scope, id, label, weekKey, quotaMinutes, loggedMinutes, scheduledMinutes }]
+   *   - breaks: buffers and breaks left free between blocks (see createPace):
+   *     [{ kind: 'buffer'|'break', startTime, endTime, timeMapId }]
+   *   - deadlineSlack: the slack of every deadline task (see getDeadlineSlack)
+   *   - deadlineHealth: the risk of every deadline task (see getDeadlineHealth)
+   */
+  schedule(splits, config, allTags, allProjects = [], startTime = new Date(), fixedTasks = [], allTasks = [], plannedBlocks = [], taskInfoById = new Map()) {
+    if (splits.length === 0) {
+      return {
+        schedule: [], deadlineMisses: [], dependencyCycles: [], unschedulableTasks: [], capDeferrals: [], quotaFulfilment: [],
+        breaks: [], deadlineSlack: [], deadlineHealth: [],
+      };
+    }
+
+    const schedule = [];
+    const unfrozenSplits = [...splits];
+    const maxDaysAhead = config.maxDaysAhead ?? 30;
+    const timeMaps = this.resolveTimeMaps(config);
+    
     // Track used minutes per day per time map: { timeMapId: { dateKey: minutes } }
     const usedMinutesPerDayPerTimeMap = {};
     for (const timeMapId of Object.keys(timeMaps)) {
       usedMinutesPerDayPerTimeMap[timeMapId] = {};
     }
     
-    // Calculate fixed task minutes per day
-    const fixedMinutesPerDay = this.calculateFixedMinutesPerDay(fixedTasks, config);
+    const calculateUrgency = this.createUrgencyCalculator(config, allTags, allProjects, allTasks, taskInfoById);
+    
+    // Plan stability: blocks planned before the horizon are kept and occupy their time like fixed tasks
+    const { items: keptItems, consumedSplits } = this.keepPlannedBlocks(
+      plannedBlocks, unfrozenSplits, startTime, config, calculateUrgency
+    );
+    schedule.push(...keptItems);
     
     // Helper to get all time map IDs for a split (can be multiple via tags)
+    const timeMapIdsByTask = new Map();
     const getTimeMapIdsForSplit = (split) => {
-      const ids = getTimeMapIdsForTask(split.originalTask || split, config);
-      // If no specific mappings, use default
-      return ids.length > 0 ? ids : [config.defaultTimeMap || 'default'];
+      const task = split.originalTask || split;
+      if (!timeMapIdsByTask.has(task)) {
+        const ids = getTimeMapIdsForTask(task, config);
+        // If no specific mappings, use default
+        timeMapIdsByTask.set(task, ids.length > 0 ? ids : [config.defaultTimeMap || 'default']);
+      }
+      return timeMapIdsByTask.get(task);
     };
     
-    // Group splits by time map ID - a split can appear in multiple time maps
-    const getSplitsForTimeMap = (timeMapId) => {
-      return remainingSplits.filter(split => {
-        const splitTimeMapIds = getTimeMapIdsForSplit(split);
-        return splitTimeMapIds.includes(timeMapId);
-      });
+    // Unscheduled splits in order, and grouped by original task and by time map (in the same order);
+    // a split can be in several time maps
+    const remainingSplits = new Set(unfrozenSplits);
+    const remainingSplitsByTaskId = new Map();
+    const remainingSplitsByTimeMapId = new Map();
+    const splitOrder = new Map(); // split -> position in the order splits became remaining
+    const addRemainingSplit = (split) => {
+      remainingSplits.add(split);
+      splitOrder.set(split, splitOrder.size);
+      if (!remainingSplitsByTaskId.has(split.originalTaskId)) remainingSplitsByTaskId.set(split.originalTaskId, []);
+      remainingSplitsByTaskId.get(split.originalTaskId).push(split);
+      for (const timeMapId of getTimeMapIdsForSplit(split)) {
+        if (!remainingSplitsByTimeMapId.has(timeMapId)) remainingSplitsByTimeMapId.set(timeMapId, new Set());
+        remainingSplitsByTimeMapId.get(timeMapId).add(split);
+      }
     };
-    
-    // Helper to get available minutes for a day in a time map (excluding fixed tasks)
-    const getAvailableMinutesForDayAndTimeMap = (date, timeMap) => {
-      const dateKey = this.getDateKey(date);
-      const dayOfWeek = date.getDay();
-      const daySchedule = getDaySchedule(timeMap, dayOfWeek);
-      
-      if (!daySchedule) return 0; // Skip day
-      
-      const baseMinutes = (daySchedule.endHour - daySchedule.startHour) * 60;
-      const fixedMinutes = fixedMinutesPerDay[dateKey] || 0;
-      return Math.max(0, baseMinutes - fixedMinutes);
+    const removeRemainingSplit = (split) => {
+      remainingSplits.delete(split);
+      const taskSplits = remainingSplitsByTaskId.get(split.originalTaskId);
+      taskSplits.splice(taskSplits.indexOf(split), 1);
+      if (taskSplits.length === 0) remainingSplitsByTaskId.delete(split.originalTaskId);
+      for (const timeMapId of getTimeMapIdsForSplit(split)) {
+        remainingSplitsByTimeMapId.get(timeMapId).delete(split);
+      }
     };
+    unfrozenSplits.forEach(split => addRemainingSplit(split));
     
-    // Helper to get remaining minutes for a day in a time map
-    const getRemainingMinutesForDay = (timeMapId, date, timeMap) => {
+    // Urgency of a split at a time, from its task's total remaining time (see calculateSplitUrgency)
+    const getSplitUrgency = (split, time) => calculateUrgency(
+      split, remainingSplitsByTaskId.get(split.originalTaskId).reduce((sum, s) => sum + this.getSplitRemainingMs(s), 0), time
+    );
+    
+    // The most urgency a split's task can have between two times (the ones of its slots on a day): deadline
+    // urgency only grows, oldness urgency is largest at either end, a time preference adds at most its weight
+    // and context switches only take urgency away (unless a penalty is negative)
+    const contextSwitchBonus = [
+      ...Object.values(config.projectContextSwitch || {}), ...Object.values(config.tagContextSwitch || {}),
+    ].reduce((sum, entry) => sum - Math.min(0, Number(entry?.penalty) || 0), 0);
+    const getUrgencyBound = (split, from, to) => {
+      const last = getSplitUrgency(split, to).urgencyComponents;
+      // The age of a task created after the start shrinks before it grows
+      const first = (split.originalTask?.created || 0) > from.getTime() ? getSplitUrgency(split, from).urgencyComponents : last;
+      let bound = contextSwitchBonus;
+      for (const key of Object.keys(last)) {
+        if (key === 'timePreference') bound += Math.abs(last[key]);
+        else if (key === 'oldness') bound += Math.max(first[key], last[key], 0);
+        else bound += Math.max(first[key], last[key]);
+      }
+      // Leave room for rounding: the urgency adds up its parts in another order
+      bound += 1e-9 * (1 + Math.abs(bound));
+      return Number.isNaN(bound) ? Infinity : bound;
+    };
+    
+    const { prerequisitesByTaskId, cycles } = this.getSchedulingDependencies(splits, fixedTasks, allTasks);
+    
+    // As-late-as-possible mode: deadline tasks get the latest blocks before their deadlines, their splits are
+    // replaced by splits for these blocks and the other work fills the time around them forward by urgency
+    let reservedSplits = [];
+    let replacedSplits = new Set();
+    if (config.schedulingMode === 'alap') {
+      const reservation = this.reserveLatestBlocks(remainingSplitsByTaskId, {
+        config, timeMaps, startTime, fixedTasks, allTasks, calculateUrgency,
+        presetItems: schedule,
+        dependencyTaskIds: new Set([...prerequisitesByTaskId.keys(), ...[...prerequisitesByTaskId.values()].flat()]),
+      });
+      schedule.push(...reservation.items);
+      ({ reservedSplits, replacedSplits } = reservation);
+      replacedSplits.forEach(split => removeRemainingSplit(split));
+    }
+    const presetItemCount = schedule.length;
+    
+    // Caps: minutes and blocks scheduled per cap and period, e.g. 'project:p1:day:2024-01-15' -> { minutes, blocks }
+    const capUsage = new Map();
+    const capsByTask = new Map();
+    const getSplitCaps = (split) => {
+      const task = split.originalTask || split;
+      if (!capsByTask.has(task)) capsByTask.set(task, getCapsForTask(task, config));
+      return capsByTask.get(task);
+    };
+    const getCapUsageKey = (cap, period, date) =>
+      `${cap.scope}:${cap.id}:${period}:${period === 'day' ? this.getDateKey(date) : getWeekKey(date)}`;
+    const recordCapUsage = (split, date, minutes) => {
+      for (const cap of getSplitCaps(split)) {
+        for (const period of ['day', 'week']) {
+          const key = getCapUsageKey(cap, period, date);
+          const usage = capUsage.get(key) || { minutes: 0, blocks: 0 };
+          capUsage.set(key, { minutes: usage.minutes + minutes, blocks: usage.blocks + 1 });
+        }
+      }
+    };
+    // Minutes a split may still be scheduled at a date without exceeding a cap, and the cap that limits it
+    const getCapAllowance = (split, date) => {
+      let allowance = { minutes: Infinity, cap: null };
+      for (const cap of getSplitCaps(split)) {
+        for (const { key, period, unit } of CAP_LIMITS) {
+          const limit = cap.limits[key];
+          if (!(limit > 0)) continue;
+          const usage = capUsage.get(getCapUsageKey(cap, period, date)) || { minutes: 0, blocks: 0 };
+          const minutesLeft = unit === 'minutes' ? limit - usage.minutes : (usage.blocks < limit ? Infinity : 0);
+          if (minutesLeft < allowance.minutes) {
+            allowance = { minutes: Math.max(0, minutesLeft), cap: { ...cap, key, limit } };
+          }
+        }
+      }
+      return allowance;
+    };
+    for (const item of schedule) {
+      recordCapUsage(item.split, item.startTime, (item.endTime - item.startTime) / 60000);
+    }
+    // Work kept off a day by a cap, per task and cap: 'taskId|capKey' -> { split, cap, dateKeys }
+    const capDeferralsByKey = new Map();
+    const recordCapDeferral = (split, cap, dateKey) => {
+      const key = `${split.originalTaskId}|${cap.scope}:${cap.id}:${cap.key}`;
+      if (!capDeferralsByKey.has(key)) capDeferralsByKey.set(key, { split, cap, dateKeys: new Set() });
+      capDeferralsByKey.get(key).dateKeys.add(dateKey);
+    };
+    
+    // Dependencies: a task can't start before every block of its prerequisites has ended
+    const endTimeByTaskId = new Map();
+    const recordEndTime = (taskId, endMs) => {
+      endTimeByTaskId.set(taskId, Math.max(endTimeByTaskId.get(taskId) || 0, endMs));
+    };
+    for (const task of fixedTasks) {
+      if (task.dueWithTime) recordEndTime(task.id, task.dueWithTime + (task.timeEstimate || 0));
+    }
+    for (const item of schedule) {
+      recordEndTime(item.split.originalTaskId, item.endTime.getTime());
+    }
+    
+    // Earliest start dates ("Start:"/"Wait:" notes): no split is placed before them
+    const startMsByTaskId = new Map();
+    for (const split of splits) {
+      if (!startMsByTaskId.has(split.originalTaskId)) {
+        const startDate = getTaskStartDate(split.originalTask, allTasks);
+        startMsByTaskId.set(split.originalTaskId, startDate ? startDate.getTime() : 0);
+      }
+    }
+    
+    // Time from which a task may start (its start date and the end of its prerequisites):
+    // 0 if unconstrained, Infinity while a prerequisite isn't fully scheduled
+    const getReadyTimeMs = (taskId) => {
+      let readyMs = startMsByTaskId.get(taskId) || 0;
+      for (const prerequisiteId of prerequisitesByTaskId.get(taskId) || []) {
+        if (remainingSplitsByTaskId.has(prerequisiteId)) return Infinity;
+        readyMs = Math.max(readyMs, endTimeByTaskId.get(prerequisiteId) || 0);
+      }
+      return readyMs;
+    };
+    
+    // Kept and reserved blocks occupy their time like fixed tasks
+    const presetTasks = schedule.map(item => ({
+      dueWithTime: item.startTime.getTime(),
+      timeEstimate: item.endTime - item.startTime,
+    }));
+    
+    // Occupied intervals of fixed tasks (meetings etc.) per day; they block every time map
+    const fixedIntervalsPerDay = this.calculateFixedIntervalsPerDay([...fixedTasks, ...presetTasks]);
+    
+    // Helper to get the free work intervals of a time map on a date (date overrides and fixed tasks applied)
+    const getFreeIntervals = (timeMap, date) => {
+      return subtractIntervals(
+        getDayIntervalsForDate(timeMap, date),
+        fixedIntervalsPerDay[this.getDateKey(date)]
+      );
+    };
+    
+    // Helper to get the minimum block size of a split (directive, project and tag settings override the global one)
+    const minBlockMinutesByTask = new Map();
+    const getSplitMinBlockMinutes = (split) => {
+      if (split.minBlockMinutes) return split.minBlockMinutes;
+      const task = split.originalTask || split;
+      if (!minBlockMinutesByTask.has(task)) {
+        minBlockMinutesByTask.set(task, getBlockSizesForTask(task, config).minimumBlockSizeMinutes);
+      }
+      return minBlockMinutesByTask.get(task);
+    };
+    
+    // Weekly quotas: time reserved for projects and tags, spread evenly over the workdays of each week.
+    // Minutes logged (timeSpentOnDay) or scheduled per quota, per week and per day
+    const quotas = [
+      ...Object.entries(config.projectQuotas || {}).map(([id, quota]) => ({ scope: 'project', id, ...quota })),
+      ...Object.entries(config.tagQuotas || {}).map(([id, quota]) => ({ scope: 'tag', id, ...quota })),
+    ].filter(quota => quota.weeklyMinutes > 0);
+    const quotaLoggedMinutes = new Map(); // 'scope:id:week:weekKey' -> minutes
+    const quotaUsedMinutes = new Map(); // 'scope:id:week:weekKey' and 'scope:id:day:dateKey' -> minutes
+    const quotasByTask = new Map();
+    const getTaskQuotas = (task) => {
+      if (!quotasByTask.has(task)) quotasByTask.set(task, quotas.length > 0 ? getQuotasForTask(task, config) : []);
+      return quotasByTask.get(task);
+    };
+    const addMinutes = (map, key, minutes) => map.set(key, (map.get(key) || 0) + minutes);
+    const recordQuotaUsage = (task, date, minutes, logged = false) => {
+      for (const quota of getTaskQuotas(task)) {
+        const weekKey = `${quota.scope}:${quota.id}:week:${getWeekKey(date)}`;
+        addMinutes(quotaUsedMinutes, weekKey, minutes);
+        addMinutes(quotaUsedMinutes, `${quota.scope}:${quota.id}:day:${this.getDateKey(date)}`, minutes);
+        if (logged) addMinutes(quotaLoggedMinutes, weekKey, minutes);
+      }
+    };
+    if (quotas.length > 0) {
+      // Time already logged this week counts toward the quota (parents only repeat their subtasks' time)
+      const parentIds = new Set(allTasks.map(t => t.parentId).filter(Boolean));
+      const weekStartKey = getWeekKey(startTime);
+      for (const task of allTasks) {
+        if (parentIds.has(task.id)) continue;
+        for (const [dateKey, ms] of Object.entries(task.timeSpentOnDay || {})) {
+          if (dateKey >= weekStartKey && dateKey <= this.getDateKey(startTime)) {
+            recordQuotaUsage(task, new Date(`${dateKey}T00:00:00`), ms / 60000, true);
+          }
+        }
+      }
+    }
+    // The time maps of the tasks of each quota: a quota's workdays are the days these have time on
+    const quotaTimeMapIds = new Map();
+    for (const split of splits) {
+      for (const quota of getTaskQuotas(split.originalTask || split)) {
+        const key = `${quota.scope}:${quota.id}`;
+        quotaTimeMapIds.set(key, new Set([...(quotaTimeMapIds.get(key) || []), ...getTimeMapIdsForSplit(split)]));
+      }
+    }
+    const horizonEndDate = new Date(startTime);
+    horizonEndDate.setHours(0, 0, 0, 0);
+    horizonEndDate.setDate(horizonEndDate.getDate() + maxDaysAhead);
+    const remainingWorkdaysByKey = new Map();
+    const getRemainingWorkdays = (quotaKey, day) => {
+      const key = `${quotaKey}:${this.getDateKey(day)}`;
+      if (!remainingWorkdaysByKey.has(key)) {
+        const timeMapIds = [...(quotaTimeMapIds.get(quotaKey) || [])].filter(id => timeMaps[id]);
+        let workdays = 0;
+        const date = new Date(day);
+        do {
+          if (date < horizonEndDate && timeMapIds.some(id => getFreeIntervals(timeMaps[id], date).length > 0)) workdays++;
+          date.setDate(date.getDate() + 1);
+        } while (date.getDay() !== 1);
+        remainingWorkdaysByKey.set(key, workdays);
+      }
+      return remainingWorkdaysByKey.get(key);
+    };
+    // Minutes a split's quotas are behind today's share of their week (0 if none is behind)
+    const getQuotaShortfall = (split, day) => {
+      let shortfall = 0;
+      for (const quota of getTaskQuotas(split.originalTask || split)) {
+        const quotaKey = `${quota.scope}:${quota.id}`;
+        const usedToday = quotaUsedMinutes.get(`${quotaKey}:day:${this.getDateKey(day)}`) || 0;
+        const usedBeforeToday = (quotaUsedMinutes.get(`${quotaKey}:week:${getWeekKey(day)}`) || 0) - usedToday;
+        const workdays = getRemainingWorkdays(quotaKey, day);
+        if (workdays === 0) continue;
+        const todayShare = Math.max(0, quota.weeklyMinutes - usedBeforeToday) / workdays;
+        shortfall = Math.max(shortfall, todayShare - usedToday);
+      }
+      return shortfall;
+    };
+    for (const item of schedule) {
+      recordQuotaUsage(item.split.originalTask || item.split, item.startTime, (item.endTime - item.startTime) / 60000);
+    }
+    
+    // Helper to get the longest free interval a split could use within the horizon (from now on)
+    const getLargestFreeWindowMinutes = (split) => {
+      const nowMinutes = startTime.getHours() * 60 + startTime.getMinutes();
+      const day = new Date(startTime);
+      day.setHours(0, 0, 0, 0);
+      let largest = 0;
+      for (let i = 0; i < maxDaysAhead; i++) {
+        for (const timeMapId of getTimeMapIdsForSplit(split)) {
+          if (!timeMaps[timeMapId]) continue;
+          for (const interval of getFreeIntervals(timeMaps[timeMapId], day)) {
+            const start = i === 0 ? Math.max(interval.start, nowMinutes) : interval.start;
+            largest = Math.max(largest, interval.end - start);
+          }
+        }
+        day.setDate(day.getDate() + 1);
+      }
+      return largest;
+    };
+    
+    // Helper to get available minutes for a day in a time map (excluding fixed tasks)
+    const getAvailableMinutesForDayAndTimeMap = (date, timeMap) => {
+      return sumIntervalMinutes(getFreeIntervals(timeMap, date));
+    };
+    
+    // Helper to get remaining minutes for a day in a time map
+    const getRemainingMinutesForDay = (timeMapId, date, timeMap) => {
       const dateKey = this.getDateKey(date);
       const usedMinutes = usedMinutesPerDayPerTimeMap[timeMapId]?.[dateKey] || 0;
       const availableMinutes = getAvailableMinutesForDayAndTimeMap(date, timeMap);
@@ -1302,6 +2995,13 @@ export const AutoPlanner = {
       usedMinutesPerDayPerTimeMap[timeMapId][dateKey] += minutes;
     };
     
+    // Buffers and breaks between blocks; they use time map capacity like blocks do
+    const breaks = [];
+    
+    // A given task order replaces urgency when picking (tasks not in it come last, by urgency)
+    const taskRanks = config.taskOrder ? new Map(config.taskOrder.map((taskId, rank) => [taskId, rank])) : null;
+    const getTaskRank = (split) => taskRanks.get(split.originalTaskId) ?? Infinity;
+    
     // Initialize: handle first day specially if we're starting mid-day
     const startDate = new Date(startTime);
     startDate.setHours(0, 0, 0, 0);
@@ -1309,12 +3009,9 @@ export const AutoPlanner = {
     // Pre-calculate used minutes for the first day based on current time
     const firstDateKey = this.getDateKey(startTime);
     for (const [timeMapId, timeMap] of Object.entries(timeMaps)) {
-      const daySchedule = getDaySchedule(timeMap, startTime.getDay());
-      if (daySchedule) {
-        const currentMinutes = this.getCurrentDayMinutesForTimeMap(startTime, timeMap);
-        if (currentMinutes > 0) {
-          addUsedMinutes(timeMapId, firstDateKey, currentMinutes);
-        }
+      const currentMinutes = this.getElapsedMinutesInIntervals(getFreeIntervals(timeMap, startTime), startTime);
+      if (currentMinutes > 0) {
+        addUsedMinutes(timeMapId, firstDateKey, currentMinutes);
       }
     }
     
@@ -1322,83 +3019,236 @@ export const AutoPlanner = {
     let currentDay = new Date(startDate);
     let daysProcessed = 0;
     
-    while (remainingSplits.length > 0 && daysProcessed < maxDaysAhead) {
+    while (remainingSplits.size > 0 && daysProcessed < maxDaysAhead) {
       const dateKey = this.getDateKey(currentDay);
-      const dayOfWeek = currentDay.getDay();
       
       // For each time map, schedule tasks for this day
       for (const [timeMapId, timeMap] of Object.entries(timeMaps)) {
-        const daySchedule = getDaySchedule(timeMap, dayOfWeek);
-        if (!daySchedule) continue; // Skip day for this time map
+        // Blocks are laid out in the free intervals, so fixed tasks split the day into more gaps
+        const dayIntervals = getFreeIntervals(timeMap, currentDay);
+        if (dayIntervals.length === 0) continue; // Skip day (or fully occupied) for this time map
         
         // Get splits that belong to this time map (can include splits with multiple time maps)
-        let timeMapSplits = getSplitsForTimeMap(timeMapId);
+        const timeMapSplits = this.createDaySplits(remainingSplitsByTimeMapId.get(timeMapId) || [], getSplitMinBlockMinutes);
         
-        if (timeMapSplits.length === 0) continue;
+        if (timeMapSplits.size === 0) continue;
+        
+        // The tasks by the most urgency they can have today (in the given task order first): a slot only
+        // looks at the tasks that could beat the most urgent candidate found so far. A task's entry is
+        // replaced when its bound changes, and the entries a slot took out go back in for the next one.
+        const dayEnd = new Date(currentDay);
+        dayEnd.setDate(dayEnd.getDate() + 1);
+        const compareBounds = (a, b) => (taskRanks ? a.rank - b.rank : 0) || b.bound - a.bound;
+        const boundEntries = new Map(); // originalTaskId -> current entry { taskId, rank, bound }
+        const createBoundEntry = (taskId) => {
+          const entry = {
+            taskId,
+            rank: taskRanks ? taskRanks.get(taskId) ?? Infinity : 0,
+            bound: getUrgencyBound(timeMapSplits.tasks.get(taskId)[0], currentDay, dayEnd),
+          };
+          boundEntries.set(taskId, entry);
+          return entry;
+        };
+        const urgencyBounds = createPriorityQueue(compareBounds, [...timeMapSplits.tasks.keys()].map(createBoundEntry));
+        let takenBounds = [];
+        // Tasks with caps are looked at in every slot, for the work the caps keep out of it
+        const cappedTaskIds = [...timeMapSplits.tasks].filter(([, taskSplits]) => getSplitCaps(taskSplits[0]).length > 0)
+          .map(([taskId]) => taskId);
         
         // Schedule as many splits as fit in today's available time for this time map
         let remainingMinutes = getRemainingMinutesForDay(timeMapId, currentDay, timeMap);
         
+        // Buffers and breaks between the blocks of this time map today
+        const pace = this.createPace(config);
+        
         // Keep scheduling until we run out of time or splits for this time map
-        while (remainingMinutes >= minBlockMinutes && timeMapSplits.length > 0) {
+        while (timeMapSplits.size > 0) {
+          takenBounds.forEach(entry => urgencyBounds.push(entry));
+          takenBounds = [];
+          
+          // The smallest block any split of this time map accepts ("min=" directives can lower it)
+          const slotMinimum = timeMapSplits.minBlockMinutes;
+          if (remainingMinutes < slotMinimum) break;
+          
           // Calculate the current scheduling time based on used minutes
           const usedMinutes = getUsedMinutesForDay(timeMapId, dateKey);
-          const currentSchedulingTime = this.calculateBlockStartTime(currentDay, usedMinutes, daySchedule.startHour);
           
-          // Calculate urgency for all remaining splits at the current scheduling time
-          // This ensures deadline and oldness urgency reflect when the task would actually start
-          const splitsWithUrgency = timeMapSplits
-            .filter(split => {
-              // Only consider splits still in remainingSplits
-              return remainingSplits.some(
-                s => s.originalTaskId === split.originalTaskId && s.splitIndex === split.splitIndex
-              );
-            })
-            .map(split => 
-              this.calculateSplitUrgency(split, remainingSplits, config, allTags, allProjects, currentSchedulingTime, allTasks)
-            );
+          // Blocks never cross a gap between intervals: if the rest of the current
+          // interval is too short for a block, leave it empty and move to the next one
+          const minutesUntilGap = this.getMinutesUntilGap(dayIntervals, usedMinutes);
+          if (minutesUntilGap < slotMinimum) {
+            addUsedMinutes(timeMapId, dateKey, minutesUntilGap);
+            remainingMinutes -= minutesUntilGap;
+            continue;
+          }
+          let slotMinutes = Math.min(remainingMinutes, minutesUntilGap);
           
-          if (splitsWithUrgency.length === 0) break;
+          const currentSchedulingTime = this.calculateBlockStartTime(currentDay, usedMinutes, dayIntervals);
           
-          this.sortSplitsByUrgency(splitsWithUrgency);
+          // Leave a buffer or break free from now on, then look at the slot after it
+          const takePause = ({ kind, minutes }) => {
+            const pauseMinutes = Math.min(minutes, slotMinutes);
+            breaks.push({
+              kind,
+              startTime: currentSchedulingTime,
+              endTime: new Date(currentSchedulingTime.getTime() + pauseMinutes * 60000),
+              timeMapId,
+            });
+            addUsedMinutes(timeMapId, dateKey, pauseMinutes);
+            remainingMinutes -= pauseMinutes;
+            pace.recordPause();
+          };
           
-          // Get the most urgent split
-          const { split, urgency, urgencyComponents } = splitsWithUrgency[0];
+          const { pause, maxBlockMinutes } = pace.startSlot(currentSchedulingTime, slotMinimum);
+          if (pause) {
+            takePause(pause);
+            continue;
+          }
+          slotMinutes = Math.min(slotMinutes, maxBlockMinutes);
           
-          // Find it in remainingSplits
-          const splitIndex = remainingSplits.findIndex(
-            s => s.originalTaskId === split.originalTaskId && s.splitIndex === split.splitIndex
-          );
-          if (splitIndex === -1) {
-            // Split was already scheduled, remove from timeMapSplits and continue
-            timeMapSplits = timeMapSplits.filter(
-              s => !(s.originalTaskId === split.originalTaskId && s.splitIndex === split.splitIndex)
-            );
+          // Look at the splits of a task in order: a task is a candidate if it may start at the
+          // current scheduling time, with its first split that fits the slot (whole, or in part if it
+          // can be split further). Later splits of a task have the same urgency, so they never win.
+          const nowMs = currentSchedulingTime.getTime();
+          const fitsSlot = (split, minutes) => this.getSplitRemainingMs(split) / 60000 <= minutes ||
+            (!split.noSplit && minutes >= getSplitMinBlockMinutes(split));
+          const slotTasks = new Map(); // originalTaskId -> { readyMs, allowance, split, candidate }
+          const deferredSplits = []; // the first split of each task that a cap keeps out of the slot
+          // Candidates by urgency at the current scheduling time (so deadline and oldness urgency reflect
+          // when the task would actually start), or in the given task order first
+          const candidates = createPriorityQueue(taskRanks
+            ? (a, b) => getTaskRank(a.split) - getTaskRank(b.split) || this.compareSplitsByUrgency(a, b)
+            : (a, b) => this.compareSplitsByUrgency(a, b));
+          const lookAtTask = (taskId) => {
+            const taskSplits = timeMapSplits.tasks.get(taskId);
+            if (slotTasks.has(taskId) || !taskSplits) return slotTasks.get(taskId);
+            const readyMs = getReadyTimeMs(taskId);
+            // Caps shrink the slot of the tasks they apply to
+            const allowance = readyMs <= nowMs ? getCapAllowance(taskSplits[0], currentSchedulingTime) : null;
+            const slotTask = { readyMs, allowance, split: null, candidate: null };
+            slotTasks.set(taskId, slotTask);
+            if (!allowance) return slotTask;
+            
+            let deferralFound = !(allowance.minutes < slotMinutes);
+            for (const split of taskSplits) {
+              // Note the work caps keep out of the slot
+              const wantedMinutes = Math.min(this.getSplitRemainingMs(split) / 60000, slotMinutes);
+              if (!deferralFound && allowance.minutes < wantedMinutes && fitsSlot(split, slotMinutes)) {
+                deferredSplits.push(split);
+                deferralFound = true;
+              }
+              if (!slotTask.split && fitsSlot(split, Math.min(slotMinutes, allowance.minutes))) {
+                slotTask.split = split;
+              }
+              if (slotTask.split && deferralFound) break;
+            }
+            return slotTask;
+          };
+          // The candidate of a task (none if it can't start here), added to the candidates the first time
+          const getCandidate = (taskId) => {
+            const slotTask = lookAtTask(taskId);
+            if (slotTask?.split && !slotTask.candidate) {
+              const { split } = slotTask;
+              const item = getSplitUrgency(split, currentSchedulingTime);
+              // Switching away from the context (project and tags) of the previous block costs priority
+              const penalty = this.getContextSwitchPenalty(pace.lastTask, split.originalTask || split, config);
+              const contextSwitch = penalty ? -penalty : 0;
+              slotTask.candidate = {
+                split,
+                urgency: item.urgency + contextSwitch,
+                urgencyComponents: { ...item.urgencyComponents, contextSwitch },
+              };
+              candidates.push(slotTask.candidate);
+            }
+            return slotTask?.candidate;
+          };
+          // The next candidate: tasks are looked at until no other task could come before the best one
+          const mayComeFirst = (entry, candidate) => taskRanks && entry.rank !== getTaskRank(candidate.split)
+            ? entry.rank < getTaskRank(candidate.split)
+            : entry.bound >= candidate.urgency;
+          const nextCandidate = () => {
+            while (urgencyBounds.size > 0 && (candidates.size === 0 || mayComeFirst(urgencyBounds.peek(), candidates.peek()))) {
+              const entry = urgencyBounds.pop();
+              if (boundEntries.get(entry.taskId) !== entry || !timeMapSplits.tasks.has(entry.taskId)) continue;
+              takenBounds.push(entry);
+              getCandidate(entry.taskId);
+            }
+            return candidates.pop();
+          };
+          
+          cappedTaskIds.forEach(taskId => lookAtTask(taskId));
+          // Deferrals are reported in the order of the splits
+          deferredSplits.sort((a, b) => splitOrder.get(a) - splitOrder.get(b));
+          for (const split of deferredSplits) {
+            recordCapDeferral(split, slotTasks.get(split.originalTaskId).allowance.cap, dateKey);
+          }
+          const getSplitSlotMinutes = (split) => Math.min(slotMinutes, slotTasks.get(split.originalTaskId).allowance.minutes);
+          
+          const mostUrgent = nextCandidate();
+          if (!mostUrgent) {
+            // Nothing can start here (every task was looked at): skip past this interval if the ready tasks
+            // need a larger slot, or ahead to a start date or prerequisite later today, whichever comes first
+            const readyTimesMs = [...slotTasks.values()].map(slotTask => slotTask.readyMs);
+            let skipMinutes = readyTimesMs.some(ms => ms <= nowMs) ? minutesUntilGap : Infinity;
+            const nextReadyMs = Math.min(...readyTimesMs.filter(ms => ms > nowMs));
+            if (Number.isFinite(nextReadyMs) && this.getDateKey(new Date(nextReadyMs)) === dateKey) {
+              const readyTime = new Date(Math.ceil(nextReadyMs / 60000) * 60000);
+              const readySkipMinutes = this.getElapsedMinutesInIntervals(dayIntervals, readyTime) - usedMinutes;
+              if (readySkipMinutes > 0) {
+                skipMinutes = Math.min(skipMinutes, readySkipMinutes);
+              }
+            }
+            if (!Number.isFinite(skipMinutes)) break;
+            skipMinutes = Math.min(skipMinutes, remainingMinutes);
+            addUsedMinutes(timeMapId, dateKey, skipMinutes);
+            remainingMinutes -= skipMinutes;
             continue;
           }
           
-           let blockMinutes = this.getSplitRemainingMs(split) / 60000;
-           if (blockMinutes <= 0) {
-             // No remaining work for this split
-             remainingSplits.splice(splitIndex, 1);
-             timeMapSplits = timeMapSplits.filter(
-               s => !(s.originalTaskId === split.originalTaskId && s.splitIndex === split.splitIndex)
-             );
-             continue;
-           }
+          // Splits behind their weekly quota go first, for the time the quota is behind (see getQuotaShortfall);
+          // otherwise get the most urgent split (or the one already planned here, see stabilityHysteresis)
+          let quotaPick;
+          if (quotas.length > 0) {
+            quotaPick = mostUrgent;
+            while (quotaPick && !(getQuotaShortfall(quotaPick.split, currentDay) > 0)) {
+              quotaPick = nextCandidate();
+            }
+          }
+          const { split, urgency, urgencyComponents } = quotaPick || (taskRanks ? mostUrgent : this.pickWithHysteresis(
+            mostUrgent, getCandidate, plannedBlocks, currentSchedulingTime, config.stabilityHysteresis
+          ));
           
-          // Handle case where block is larger than remaining time
-          if (blockMinutes > remainingMinutes) {
-            if (remainingMinutes >= minBlockMinutes) {
+          const buffer = pace.getBuffer(split);
+          if (buffer) {
+            takePause(buffer);
+            continue;
+          }
+          
+          let blockMinutes = this.getSplitRemainingMs(split) / 60000;
+          if (blockMinutes <= 0) {
+            // No remaining work for this split
+            removeRemainingSplit(split);
+            timeMapSplits.delete(split);
+            continue;
+          }
+          
+          // Handle case where block is larger than the time left in the current interval (or its caps allow)
+          let splitSlotMinutes = getSplitSlotMinutes(split);
+          if (quotaPick && !split.noSplit) {
+            const quotaMinutes = Math.max(Math.ceil(getQuotaShortfall(split, currentDay)), getSplitMinBlockMinutes(split));
+            splitSlotMinutes = Math.min(splitSlotMinutes, quotaMinutes);
+          }
+          if (blockMinutes > splitSlotMinutes) {
+            if (!split.noSplit && splitSlotMinutes >= getSplitMinBlockMinutes(split)) {
               // Dynamic splitting: schedule what fits, create new split for remainder
-              const remainderMinutes = blockMinutes - remainingMinutes;
-              blockMinutes = remainingMinutes;
+              const remainderMinutes = blockMinutes - splitSlotMinutes;
+              blockMinutes = splitSlotMinutes;
               
               // Create a dynamic split for the overflow
               const newSplit = this.createDynamicSplit(
                 split, 
                 remainderMinutes, 
-                remainingSplits, 
+                remainingSplitsByTaskId.get(split.originalTaskId), 
                 config
               );
               
@@ -1409,12 +3259,12 @@ export const AutoPlanner = {
               split.estimatedMs = blockMinutes * 60 * 1000 + splitTimeSpentMs;
               
               // Add new split to remainingSplits for future scheduling
-              remainingSplits.push(newSplit);
+              // It may still fit into a later interval of the same day
+              addRemainingSplit(newSplit);
+              timeMapSplits.add(newSplit);
             } else {
               // Not enough time for even a partial block, remove from timeMapSplits and continue
-              timeMapSplits = timeMapSplits.filter(
-                s => !(s.originalTaskId === split.originalTaskId && s.splitIndex === split.splitIndex)
-              );
+              timeMapSplits.delete(split);
               continue;
             }
           }
@@ -1433,37 +3283,146 @@ export const AutoPlanner = {
             urgencyComponents,
             timeMapId,
           });
+          recordEndTime(split.originalTaskId, endTime.getTime());
+          recordCapUsage(split, blockStartTime, blockMinutes);
+          recordQuotaUsage(split.originalTask || split, blockStartTime, blockMinutes);
+          pace.recordBlock(split, endTime, blockMinutes);
           
           // Update used minutes
           addUsedMinutes(timeMapId, dateKey, blockMinutes);
           remainingMinutes -= blockMinutes;
           
           // Remove the scheduled split from remainingSplits and timeMapSplits
-          remainingSplits.splice(splitIndex, 1);
-          timeMapSplits = timeMapSplits.filter(
-            s => !(s.originalTaskId === split.originalTaskId && s.splitIndex === split.splitIndex)
-          );
+          removeRemainingSplit(split);
+          timeMapSplits.delete(split);
+          // The task's remaining time changed, and with it its urgency
+          if (timeMapSplits.tasks.has(split.originalTaskId)) {
+            urgencyBounds.push(createBoundEntry(split.originalTaskId));
+          }
         }
       }
       
-      // Move to next day
-      currentDay.setDate(currentDay.getDate() + 1);
-      daysProcessed++;
+      // Move to the next day any time map works on, past weekends, holidays and vacations
+      const nextDay = new Date(Math.min(...Object.values(timeMaps).map(timeMap =>
+        this.advanceToNextWorkdayForTimeMap(currentDay, timeMap, maxDaysAhead - daysProcessed).getTime())));
+      nextDay.setHours(0, 0, 0, 0);
+      daysProcessed += Math.round(daysBetween(currentDay, nextDay));
+      currentDay = nextDay;
+    }
+
+    if (presetItemCount > 0) {
+      schedule.sort((a, b) => a.startTime - b.startTime);
+    }
+
+    // When each task is done: null if some of its work couldn't be scheduled
+    const completionByTaskId = new Map();
+    for (const [taskId, endMs] of endTimeByTaskId) {
+      completionByTaskId.set(taskId, new Date(endMs));
+    }
+    for (const split of remainingSplits) {
+      completionByTaskId.set(split.originalTaskId, null);
+    }
+
+    // Check for deadline misses (splits fully covered by kept blocks count as scheduled, reserved
+    // splits replace the ones of their task)
+    const checkedSplits = [...splits.filter(s => !consumedSplits.has(s) && !replacedSplits.has(s)), ...reservedSplits];
+    const deadlineMisses = this.checkDeadlineMisses(
+      schedule, checkedSplits, allTasks, { prerequisitesByTaskId, completionByTaskId }
+    );
+    const deadlineSlack = this.getDeadlineSlack(schedule, checkedSplits, allTasks);
+
+    const deadlineHealth = this.getDeadlineHealth(deadlineSlack, schedule, [...remainingSplits], {
+      config, timeMaps, startTime, fixedTasks, calculateUrgency,
+    });
+
+    // Atomic tasks need one contiguous window: report the ones that didn't get one within the horizon,
+    // telling apart tasks longer than any free window from tasks that lost the windows to other tasks
+    const unschedulableTasks = [...remainingSplits].filter(split => split.noSplit).map(split => {
+      const minutes = this.getSplitRemainingMs(split) / 60000;
+      const largestWindowMinutes = getLargestFreeWindowMinutes(split);
+      return {
+        taskId: split.originalTaskId,
+        taskTitle: split.originalTask?.title,
+        minutes,
+        largestWindowMinutes,
+        reason: largestWindowMinutes < minutes ? 'too-long' : 'no-free-window',
+      };
+    });
+
+    const capDeferrals = [...capDeferralsByKey.values()].map(({ split, cap, dateKeys }) => ({
+      taskId: split.originalTaskId,
+      taskTitle: split.originalTask?.title,
+      cap: this.describeCap(cap, allTags, allProjects),
+      dateKeys: [...dateKeys],
+    }));
+
+    // Quota fulfilment per week of the horizon
+    const quotaFulfilment = [];
+    for (const week = new Date(startTime); week < horizonEndDate; week.setDate(week.getDate() + 7)) {
+      const weekKey = getWeekKey(week);
+      for (const quota of quotas) {
+        const key = `${quota.scope}:${quota.id}:week:${weekKey}`;
+        const loggedMinutes = quotaLoggedMinutes.get(key) || 0;
+        quotaFulfilment.push({
+          scope: quota.scope,
+          id: quota.id,
+          label: this.describeScope(quota.scope, quota.id, allTags, allProjects),
+          weekKey,
+          quotaMinutes: quota.weeklyMinutes,
+          loggedMinutes,
+          scheduledMinutes: (quotaUsedMinutes.get(key) || 0) - loggedMinutes,
+        });
+      }
     }
 
-    // Check for deadline misses
-    const deadlineMisses = this.checkDeadlineMisses(schedule, splits, allTasks);
+    return {
+      schedule, deadlineMisses, dependencyCycles: cycles, unschedulableTasks, capDeferrals, quotaFulfilment, breaks, deadlineSlack,
+      deadlineHealth,
+    };
+  },
 
-    return { schedule, deadlineMisses };
+  /**
+   * Describe what a cap or quota applies to, e.g. 'project "Work"', 'tag "Admin"' or 'this task'
+   * @param {string} scope - 'task', 'project' or 'tag'
+   * @param {string} id - ID of the task, project or tag
+   * @param {Array} allTags - All available tags (for tag names)
+   * @param {Array} allProjects - All available projects (for project names)
+   */
+  describeScope(scope, id, allTags = [], allProjects = []) {
+    if (scope === 'project') {
+      return `project "${allProjects.find(p => p.id === id)?.title || id}"`;
+    }
+    if (scope === 'tag') {
+      return `tag "${allTags.find(t => t.id === id)?.title || id}"`;
+    }
+    return 'this task';
+  },
+
+  /**
+   * Describe a cap for the user, e.g. 'max 3h/day on project "Work"' or 'max 1 block/day on this task'
+   * @param {Object} cap - { scope, id, key, limit } (see getCapsForTask and CAP_LIMITS)
+   * @param {Array} allTags - All available tags (for tag names)
+   * @param {Array} allProjects - All available projects (for project names)
+   */
+  describeCap(cap, allTags = [], allProjects = []) {
+    const { period, unit } = CAP_LIMITS.find(limit => limit.key === cap.key);
+    const amount = unit === 'minutes'
+      ? `${Math.round(cap.limit / 6) / 10}h`
+      : `${cap.limit} block${cap.limit === 1 ? '' : 's'}`;
+    return `max ${amount}/${period} on ${this.describeScope(cap.scope, cap.id, allTags, allProjects)}`;
   },
 
   /**
    * Check for tasks that will miss their deadlines based on the schedule
    * @param {Array} schedule - The generated schedule
    * @param {Array} allSplits - All task splits (to check unscheduled tasks)
-   * @returns {Array} - Array of deadline miss objects with task info and dates
+   * @param {Array} allTasks - All tasks (for deadline inheritance and titles)
+   * @param {Object} dependencies - { prerequisitesByTaskId, completionByTaskId } from schedule() (optional)
+   * @returns {Array} - Array of deadline miss objects with task info and dates; dependencyChain lists
+   *                    the prerequisites that end after the deadline or couldn't be scheduled, and
+   *                    slackMinutes is negative (minutes late), or null if some work is unscheduled
    */
-  checkDeadlineMisses(schedule, allSplits, allTasks = []) {
+  checkDeadlineMisses(schedule, allSplits, allTasks = [], dependencies = {}) {
     const deadlineMisses = [];
     
     // Group scheduled items by original task ID
@@ -1486,6 +3445,31 @@ export const AutoPlanner = {
       allSplitsByTask.get(taskId).push(split);
     }
 
+    // Prerequisites (direct or indirect) that end after the deadline or weren't scheduled:
+    // the chain that makes the deadline impossible to meet
+    const { prerequisitesByTaskId = new Map(), completionByTaskId = new Map() } = dependencies;
+    const getTaskTitle = (taskId) => {
+      const task = allSplitsByTask.get(taskId)?.[0].originalTask || allTasks.find(t => t.id === taskId);
+      return task?.title;
+    };
+    const getLateDependencyChain = (taskId, dueDate) => {
+      const chain = [];
+      const visited = new Set([taskId]);
+      const visit = (id) => {
+        for (const prerequisiteId of prerequisitesByTaskId.get(id) || []) {
+          if (visited.has(prerequisiteId)) continue;
+          visited.add(prerequisiteId);
+          const completion = completionByTaskId.get(prerequisiteId) ?? null;
+          if (completion === null || completion > dueDate) {
+            chain.push({ taskId: prerequisiteId, taskTitle: getTaskTitle(prerequisiteId), scheduledCompletionDate: completion });
+            visit(prerequisiteId);
+          }
+        }
+      };
+      visit(taskId);
+      return chain;
+    };
+
     // Check each unique task
     const checkedTasks = new Set();
     
@@ -1520,6 +3504,8 @@ export const AutoPlanner = {
           unscheduledSplits: unscheduledSplits.length,
           totalSplits: allTaskSplits.length,
           missedBy: unscheduledSplits.length > 0 ? null : Math.ceil((lastEndTime - dueDate) / MS_PER_DAY), // days
+          slackMinutes: unscheduledSplits.length > 0 ? null : Math.round((dueDate - lastEndTime) / 60000),
+          dependencyChain: getLateDependencyChain(taskId, dueDate),
         });
       }
     }
@@ -1542,12 +3528,170 @@ export const AutoPlanner = {
         unscheduledSplits: splits.length,
         totalSplits: splits.length,
         missedBy: null, // Unknown since nothing was scheduled
+        slackMinutes: null,
+        dependencyChain: getLateDependencyChain(taskId, dueDate),
       });
     }
 
     return deadlineMisses;
   },
 
+  /**
+   * Get the slack of every task with a deadline: the time between its last block and its deadline
+   * @param {Array} schedule - The generated schedule
+   * @param {Array} allSplits - All task splits (to check unscheduled tasks)
+   * @param {Array} allTasks - All tasks (for deadline inheritance)
+   * @returns {Array} - [{ taskId, taskTitle, dueDate, scheduledCompletionDate, slackMinutes, reserved }], where
+   *                    slackMinutes is negative for late tasks and null if some work is unscheduled, and
+   *                    reserved tells whether the task was planned as late as possible ('alap' mode)
+   */
+  getDeadlineSlack(schedule, allSplits, allTasks = []) {
+    const itemsByTaskId = new Map();
+    for (const item of schedule) {
+      const taskId = item.split.originalTaskId;
+      if (!itemsByTaskId.has(taskId)) itemsByTaskId.set(taskId, []);
+      itemsByTaskId.get(taskId).push(item);
+    }
+    const splitsByTaskId = new Map();
+    for (const split of allSplits) {
+      if (!splitsByTaskId.has(split.originalTaskId)) splitsByTaskId.set(split.originalTaskId, []);
+      splitsByTaskId.get(split.originalTaskId).push(split);
+    }
+
+    const slack = [];
+    for (const taskId of new Set([...itemsByTaskId.keys(), ...splitsByTaskId.keys()])) {
+      const items = itemsByTaskId.get(taskId) || [];
+      const task = items[0]?.split.originalTask || splitsByTaskId.get(taskId)[0].originalTask;
+      const dueDate = getTaskDueDate(task, allTasks);
+      if (!dueDate) continue;
+
+      const scheduledIndices = new Set(items.map(item => item.split.splitIndex));
+      const complete = (splitsByTaskId.get(taskId) || []).every(split => scheduledIndices.has(split.splitIndex));
+      const completion = complete && items.length > 0
+        ? new Date(Math.max(...items.map(item => item.endTime.getTime())))
+        : null;
+      slack.push({
+        taskId,
+        taskTitle: task?.title,
+        dueDate,
+        scheduledCompletionDate: completion,
+        slackMinutes: completion ? Math.round((dueDate - completion) / 60000) : null,
+        reserved: items.some(item => item.reserved),
+      });
+    }
+    return slack;
+  },
+
+  /**
+   * Get the risk of every deadline task from the free time of its time maps before its deadline
+   * @param {Array} deadlineSlack - Slack of the deadline tasks (see getDeadlineSlack)
+   * @param {Array} schedule - The generated schedule
+   * @param {Array} remainingSplits - Splits that couldn't be scheduled
+   * @param {Object} context - { config, timeMaps, startTime, fixedTasks, calculateUrgency }
+   * @returns {Array} - [{ taskId, taskTitle, dueDate, scheduledCompletionDate, remainingHours, capacityHours,
+   *                    claimedShare, slackHours, risk }] where capacityHours is the free time before the deadline
+   *                    (fixed tasks excluded), claimedShare the share of it taken by blocks of more urgent tasks (by
+   *                    urgency at the start), slackHours what is left after those and the task's own remaining work,
+   *                    and risk 'high' (late or no slack), 'medium' (less slack than work) or 'low'
+   */
+  getDeadlineHealth(deadlineSlack, schedule, remainingSplits, context) {
+    const { config, timeMaps, startTime, fixedTasks, calculateUrgency } = context;
+    const fixedOnlyIntervalsPerDay = this.calculateFixedIntervalsPerDay(fixedTasks);
+    const workMinutesByTaskId = new Map();
+    const sampleSplitByTaskId = new Map();
+    const addWorkMinutes = (taskId, minutes) => workMinutesByTaskId.set(taskId, (workMinutesByTaskId.get(taskId) || 0) + minutes);
+    for (const split of [...schedule.map(item => item.split), ...remainingSplits]) {
+      sampleSplitByTaskId.set(split.originalTaskId, sampleSplitByTaskId.get(split.originalTaskId) || split);
+    }
+    for (const item of schedule) addWorkMinutes(item.split.originalTaskId, (item.endTime - item.startTime) / 60000);
+    for (const split of remainingSplits) addWorkMinutes(split.originalTaskId, this.getSplitRemainingMs(split) / 60000);
+    const startUrgencyByTaskId = new Map();
+    const getStartUrgency = (taskId) => {
+      if (!startUrgencyByTaskId.has(taskId)) {
+        const split = sampleSplitByTaskId.get(taskId);
+        startUrgencyByTaskId.set(taskId, calculateUrgency(split, (workMinutesByTaskId.get(taskId) || 0) * 60000, startTime).urgency);
+      }
+      return startUrgencyByTaskId.get(taskId);
+    };
+
+    return deadlineSlack.filter(entry => sampleSplitByTaskId.has(entry.taskId)).map(entry => {
+      const split = sampleSplitByTaskId.get(entry.taskId);
+      const ids = getTimeMapIdsForTask(split.originalTask || split, config);
+      const timeMapIds = ids.length > 0 ? ids : [config.defaultTimeMap || 'default'];
+      const timeMapList = timeMapIds.filter(id => timeMaps[id]).map(id => timeMaps[id]);
+      const capacityMinutes = this.getFreeMinutesBetween(timeMapList, fixedOnlyIntervalsPerDay, startTime, entry.dueDate);
+      let claimedMinutes = 0;
+      for (const item of schedule) {
+        if (item.split.originalTaskId === entry.taskId || !timeMapIds.includes(item.timeMapId)) continue;
+        if (getStartUrgency(item.split.originalTaskId) <= getStartUrgency(entry.taskId)) continue;
+        claimedMinutes += Math.max(0, (Math.min(item.endTime, entry.dueDate) - Math.max(item.startTime, startTime)) / 60000);
+      }
+      const workMinutes = workMinutesByTaskId.get(entry.taskId) || 0;
+      const slackMinutes = capacityMinutes - claimedMinutes - workMinutes;
+      const late = entry.slackMinutes === null || entry.slackMinutes < 0;
+      return {
+        taskId: entry.taskId,
+        taskTitle: entry.taskTitle,
+        dueDate: entry.dueDate,
+        scheduledCompletionDate: entry.scheduledCompletionDate,
+        remainingHours: workMinutes / 60,
+        capacityHours: capacityMinutes / 60,
+        claimedShare: capacityMinutes > 0 ? Math.min(1, claimedMinutes / capacityMinutes) : 1,
+        slackHours: slackMinutes / 60,
+        risk: late || slackMinutes < 0 ? 'high' : slackMinutes < workMinutes ? 'medium' : 'low',
+      };
+    });
+  },
+
+  /**
+   * Find the latest free blocks for a task's remaining work before a time (as late as possible)
+   * Blocks are laid out backwards from latestEnd through the free intervals of the task's time maps,
+   * each at most one block size and at least the minimum block size long (atomic tasks take one block).
+   * @param {number} minutes - Remaining work in minutes
+   * @param {Object} options - { timeMapIds, timeMaps, busyIntervalsPerDay (see calculateFixedIntervalsPerDay),
+   *                           earliestStart, latestEnd, blockSizeMinutes, minBlockMinutes, noSplit }
+   * @returns {Array|null} - [{ startTime, endTime, timeMapId }] in time order, or null if the work doesn't fit
+   */
+  findLatestBlocks(minutes, options) {
+    const { timeMaps, busyIntervalsPerDay, earliestStart, latestEnd, blockSizeMinutes, minBlockMinutes, noSplit } = options;
+    const timeMapIds = options.timeMapIds.filter(id => timeMaps[id]);
+    const blocks = [];
+    let minutesLeft = minutes;
+
+    const day = new Date(latestEnd);
+    day.setHours(0, 0, 0, 0);
+    while (minutesLeft > 0 && day.getTime() + MS_PER_DAY > earliestStart.getTime()) {
+      const fromMinutes = Math.max(0, Math.ceil((earliestStart - day) / 60000));
+      const toMinutes = Math.floor((latestEnd - day) / 60000);
+      const busy = [...(busyIntervalsPerDay[this.getDateKey(day)] || [])];
+
+      // Take the latest slot that fits a block, until the day has none left
+      while (minutesLeft > 0) {
+        let latest = null;
+        for (const timeMapId of timeMapIds) {
+          for (const interval of subtractIntervals(getDayIntervalsForDate(timeMaps[timeMapId], day), busy)) {
+            const start = Math.max(interval.start, fromMinutes);
+            const end = Math.min(interval.end, toMinutes);
+            const size = noSplit ? minutesLeft : Math.min(minutesLeft, blockSizeMinutes, end - start);
+            if (end - start < size || size < Math.min(minBlockMinutes, minutesLeft)) continue;
+            if (!latest || end > latest.end) latest = { start: end - size, end, timeMapId };
+          }
+        }
+        if (!latest) break;
+
+        busy.push(latest);
+        minutesLeft -= latest.end - latest.start;
+        const startTime = new Date(day);
+        startTime.setMinutes(latest.start);
+        const endTime = new Date(day);
+        endTime.setMinutes(latest.end);
+        blocks.unshift({ startTime, endTime, timeMapId: latest.timeMapId });
+      }
+      day.setDate(day.getDate() - 1);
+    }
+    return minutesLeft > 0 ? null : blocks;
+  },
+
   /**
    * Schedule with automatic urgency adjustment.
    * If tasks miss their deadlines, reduce the non-deadline urgency weight
@@ -1586,6 +3730,8 @@ export const AutoPlanner = {
     let currentDeadlineWeight = initialDeadlineWeight;
     let attempts = 0;
     let result;
+    // The retries only change the weights, so the per-task parts of the urgency are computed once
+    const taskInfoById = new Map();
     
     // Calculate the deadline weight increase step (proportional to urgency decrease)
     // When urgency goes from 1.0 to 0.0, deadline weight doubles
@@ -1600,7 +3746,7 @@ export const AutoPlanner = {
         deadlineWeight: currentDeadlineWeight,
       };
       
-      result = this.schedule(splits, adjustedConfig, allTags, allProjects, startTime, fixedTasks, allTasks);
+      result = this.schedule(splits, adjustedConfig, allTags, allProjects, startTime, fixedTasks, allTasks, [], taskInfoById);
       
       // If no deadline misses, we're done
       if (result.deadlineMisses.length === 0) {
@@ -1621,7 +3767,7 @@ export const AutoPlanner = {
           urgencyWeight: 0,
           deadlineWeight: currentDeadlineWeight,
         };
-        result = this.schedule(splits, finalConfig, allTags, allProjects, startTime, fixedTasks, allTasks);
+        result = this.schedule(splits, finalConfig, allTags, allProjects, startTime, fixedTasks, allTasks, [], taskInfoById);
         break;
       }
     }
@@ -1633,6 +3779,364 @@ export const AutoPlanner = {
       adjustmentAttempts: attempts,
     };
   },
+
+  /**
+   * Schedule in the optimal mode: search for the task order with the least deadline lateness
+   * Starting from the greedy schedule, earliest-deadline-first and moves of late tasks ahead of other
+   * tasks are tried, each scheduled by schedule() under the same constraints (config.taskOrder), until
+   * no move helps or config.optimizeTimeBudgetMs runs out. Total lateness is minimized first; among
+   * equally late schedules the one closest to the urgency (greedy) order wins.
+   * 
+   * @param {Array} splits - Task splits to schedule
+   * @param {Object} config - Configuration object
+   * @param {Array} allTags - All available tags
+   * @param {Array} allProjects - All available projects
+   * @param {Date} startTime - When to start scheduling from
+   * @param {Array} fixedTasks - Tasks that should not be rescheduled (optional)
+   * @param {Array} allTasks - All tasks (needed for parent tag inheritance)
+   * @param {Array} plannedBlocks - Current blocks for plan stability (optional, see schedule)
+   * @returns {Object} - The result of schedule() for the best order found, with
+   *                     optimization: { latenessMinutes, greedyLatenessMinutes, evaluations, timedOut,
+   *                     provablyInfeasible, infeasibleDeadlines } (see findInfeasibleDeadlines)
+   */
+  optimizeSchedule(splits, config, allTags, allProjects = [], startTime = new Date(), fixedTasks = [], allTasks = [], plannedBlocks = []) {
+    const budgetEndMs = Date.now() + (config.optimizeTimeBudgetMs ?? DEFAULT_CONFIG.optimizeTimeBudgetMs);
+    // schedule() updates the splits it is given, so every run gets copies (and the urgency cache is shared)
+    const taskInfoById = new Map();
+    const run = (taskOrder) => this.schedule(
+      splits.map(split => ({ ...split })), taskOrder ? { ...config, taskOrder } : config,
+      allTags, allProjects, startTime, fixedTasks, allTasks, plannedBlocks, taskInfoById
+    );
+
+    const taskIds = [...new Set(splits.map(split => split.originalTaskId))];
+    const totalMinutesByTaskId = new Map();
+    const dueMsByTaskId = new Map();
+    for (const split of splits) {
+      totalMinutesByTaskId.set(split.originalTaskId,
+        (totalMinutesByTaskId.get(split.originalTaskId) || 0) + this.getSplitRemainingMs(split) / 60000);
+      if (!dueMsByTaskId.has(split.originalTaskId)) {
+        dueMsByTaskId.set(split.originalTaskId, getTaskDueDate(split.originalTask, allTasks)?.getTime() ?? Infinity);
+      }
+    }
+    const horizonEnd = new Date(startTime);
+    horizonEnd.setHours(0, 0, 0, 0);
+    horizonEnd.setDate(horizonEnd.getDate() + (config.maxDaysAhead ?? 30));
+
+    // Total minutes the deadline tasks end late; work left unscheduled counts as done after the horizon
+    const getLatenessMinutes = (result) => {
+      let lateness = 0;
+      for (const miss of result.deadlineMisses) {
+        if (miss.unscheduledSplits > 0) {
+          const scheduledMinutes = result.schedule
+            .filter(item => item.split.originalTaskId === miss.taskId)
+            .reduce((sum, item) => sum + (item.endTime - item.startTime) / 60000, 0);
+          const unscheduledMinutes = Math.max(0, (totalMinutesByTaskId.get(miss.taskId) || 0) - scheduledMinutes);
+          lateness += Math.max(0, horizonEnd - miss.dueDate) / 60000 + unscheduledMinutes;
+        } else {
+          lateness += (miss.scheduledCompletionDate - miss.dueDate) / 60000;
+        }
+      }
+      return Math.round(lateness);
+    };
+
+    // Tasks in the order they start (tasks left unscheduled last)
+    const getStartOrder = (result) => {
+      const startByTaskId = new Map();
+      for (const item of result.schedule) {
+        const taskId = item.split.originalTaskId;
+        if (!startByTaskId.has(taskId) || item.startTime < startByTaskId.get(taskId)) {
+          startByTaskId.set(taskId, item.startTime);
+        }
+      }
+      const started = [...startByTaskId.keys()].sort((a, b) => startByTaskId.get(a) - startByTaskId.get(b));
+      return [...started, ...taskIds.filter(taskId => !startByTaskId.has(taskId))];
+    };
+
+    const greedy = run(null);
+    const greedyOrder = getStartOrder(greedy);
+    const greedyRanks = new Map(greedyOrder.map((taskId, rank) => [taskId, rank]));
+    // Pairs of tasks that start in the opposite order of the greedy schedule
+    const getUrgencyDeviation = (result) => {
+      const ranks = getStartOrder(result).map(taskId => greedyRanks.get(taskId));
+      let deviation = 0;
+      for (let i = 0; i < ranks.length; i++) {
+        for (let j = i + 1; j < ranks.length; j++) {
+          if (ranks[i] > ranks[j]) deviation++;
+        }
+      }
+      return deviation;
+    };
+
+    let best = { order: greedyOrder, result: greedy, lateness: getLatenessMinutes(greedy), deviation: 0 };
+    const greedyLatenessMinutes = best.lateness;
+    let evaluations = 1;
+    let timedOut = false;
+    // Schedule with a task order and keep it if it beats the best schedule so far
+    const tryOrder = (order) => {
+      if (Date.now() >= budgetEndMs) {
+        timedOut = true;
+        return false;
+      }
+      evaluations++;
+      const result = run(order);
+      const candidate = { order, result, lateness: getLatenessMinutes(result), deviation: getUrgencyDeviation(result) };
+      if (candidate.lateness < best.lateness ||
+          (candidate.lateness === best.lateness && candidate.deviation < best.deviation)) {
+        best = candidate;
+        return true;
+      }
+      return false;
+    };
+
+    if (best.lateness > 0) {
+      // Earliest deadline first; tasks without a deadline follow in the greedy order
+      tryOrder([...greedyOrder].sort((a, b) => dueMsByTaskId.get(a) - dueMsByTaskId.get(b) || 0));
+
+      // Move a late task ahead of the tasks before it, one position further each try
+      let improved = true;
+      while (improved && best.lateness > 0 && !timedOut) {
+        improved = false;
+        for (const { taskId } of best.result.deadlineMisses) {
+          const index = best.order.indexOf(taskId);
+          for (let target = index - 1; target >= 0 && !improved && !timedOut; target--) {
+            const order = best.order.filter(id => id !== taskId);
+            order.splice(target, 0, taskId);
+            improved = tryOrder(order);
+          }
+          if (improved || timedOut) break;
+        }
+      }
+
+      // Then restore the urgency order wherever that doesn't add lateness
+      improved = best.deviation > 0;
+      while (improved && !timedOut) {
+        improved = false;
+        for (let i = 0; i + 1 < best.order.length && !improved && !timedOut; i++) {
+          if (greedyRanks.get(best.order[i]) > greedyRanks.get(best.order[i + 1])) {
+            const order = [...best.order];
+            [order[i], order[i + 1]] = [order[i + 1], order[i]];
+            improved = tryOrder(order);
+          }
+        }
+      }
+    }
+
+    const infeasibleDeadlines = best.lateness > 0
+      ? this.findInfeasibleDeadlines(splits, config, startTime, fixedTasks, allTasks)
+      : [];
+    return {
+      ...best.result,
+      optimization: {
+        latenessMinutes: best.lateness,
+        greedyLatenessMinutes,
+        evaluations,
+        timedOut,
+        provablyInfeasible: infeasibleDeadlines.length > 0,
+        infeasibleDeadlines,
+      },
+    };
+  },
+
+  /**
+   * Get the free minutes of time maps between two times
+   * Overlapping intervals of the time maps count once.
+   * @param {Array} timeMapList - The time maps (with date overrides)
+   * @param {Object} busyIntervalsPerDay - Occupied intervals per date key (see calculateFixedIntervalsPerDay)
+   * @param {Date} from - Start of the period
+   * @param {Date} to - End of the period
+   * @returns {number} - Free minutes
+   */
+  getFreeMinutesBetween(timeMapList, busyIntervalsPerDay, from, to) {
+    let minutes = 0;
+    for (const day = new Date(from.getFullYear(), from.getMonth(), from.getDate()); day < to; day.setDate(day.getDate() + 1)) {
+      const fromMinutes = Math.max(0, (from - day) / 60000);
+      const toMinutes = (to - day) / 60000;
+      const dayIntervals = mergeIntervals(timeMapList.flatMap(timeMap => getDayIntervalsForDate(timeMap, day)));
+      const intervals = subtractIntervals(dayIntervals, busyIntervalsPerDay[this.getDateKey(day)]);
+      for (const interval of intervals) {
+        minutes += Math.max(0, Math.min(interval.end, toMinutes) - Math.max(interval.start, fromMinutes));
+      }
+    }
+    return minutes;
+  },
+
+  /**
+   * Draw a possible outcome of a task's estimate (see simulateDeadlineProbabilities)
+   * A task with a range ("AutoPlan: estimate=3h-6h") gets a total estimate from a triangular distribution over
+   * the range peaking at its estimate; any other task gets its remaining time multiplied by a random ratio of
+   * overrunRatios (see getOverrunRatios). Estimates are rounded to minutes.
+   * @param {Object} task - The task
+   * @param {Array} overrunRatios - Ratios to draw from (empty = keep the estimates of tasks without range)
+   * @param {Function} random - Random number generator (see mulberry32)
+   * @returns {Object} - The task with the drawn timeEstimate (the task itself if it is kept)
+   */
+  sampleTaskEstimate(task, overrunRatios, random) {
+    if (!(task.timeEstimate > 0)) return task;
+    const spentMs = task.timeSpent || 0;
+    const range = parseAutoplanDirective(task.notes).estimateRange;
+
+    let estimateMs;
+    if (range) {
+      const { minMinutes: low, maxMinutes: high } = range;
+      const mode = Math.min(high, Math.max(low, task.timeEstimate / 60000));
+      const u = random();
+      const minutes = high === low ? low
+        : u < (mode - low) / (high - low)
+          ? low + Math.sqrt(u * (high - low) * (mode - low))
+          : high - Math.sqrt((1 - u) * (high - low) * (high - mode));
+      estimateMs = Math.max(spentMs, minutes * 60000);
+    } else if (overrunRatios.length > 0) {
+      const ratio = overrunRatios[Math.floor(random() * overrunRatios.length)];
+      estimateMs = spentMs + Math.max(0, task.timeEstimate - spentMs) * ratio;
+    } else {
+      return task;
+    }
+    return { ...task, timeEstimate: Math.round(estimateMs / 60000) * 60000 };
+  },
+
+  /**
+   * Estimate the probability of meeting each deadline with a Monte Carlo run of the scheduler
+   * Every run draws the estimates of the tasks (see sampleTaskEstimate), splits them like the real run
+   * (inflated by the overrun factors if config.inflateEstimates is on), schedules them with schedule()
+   * or optimizeSchedule() for the 'optimal' mode and counts the deadline tasks that finish in time.
+   * Overrun ratios of done tasks are only used once there are MIN_OVERRUN_SAMPLES of them. There are
+   * config.monteCarloRuns runs with estimates drawn from config.monteCarloSeed, so the probabilities
+   * can be reproduced.
+   * @param {Array} tasks - The tasks to schedule (before splitting, see TaskSplitter.processAllTasks)
+   * @param {Object} config - Configuration object
+   * @param {Array} allTags - All tags
+   * @param {Array} allProjects - All projects
+   * @param {Date} startTime - When to start scheduling
+   * @param {Array} fixedTasks - Tasks that occupy time slots
+   * @param {Array} allTasks - All tasks (for deadlines and dependencies)
+   * @param {Array} plannedBlocks - Already-planned blocks (see schedule)
+   * @param {Array} historyTasks - The real tasks, with the done splits, for the overrun history
+   *                               (see OverrunAnalytics.getOverrunFactors)
+   * @returns {Object} - { deadlineProbabilities: [{ taskId, taskTitle, dueDate, probability }], runs, seed }
+   */
+  simulateDeadlineProbabilities(tasks, config, allTags, allProjects = [], startTime = new Date(), fixedTasks = [], allTasks = [],
+    plannedBlocks = [], historyTasks = allTasks) {
+    const seed = config.monteCarloSeed ?? DEFAULT_CONFIG.monteCarloSeed;
+    const maxRuns = config.monteCarloRuns ?? DEFAULT_CONFIG.monteCarloRuns;
+    const random = mulberry32(seed);
+    const overrunRatios = getOverrunRatios(historyTasks);
+    const usedRatios = overrunRatios.length >= MIN_OVERRUN_SAMPLES ? overrunRatios : [];
+    const overrunFactors = config.inflateEstimates ? OverrunAnalytics.getOverrunFactors(historyTasks, config, startTime) : [];
+    const scheduleTasks = config.schedulingMode === 'optimal' ? this.optimizeSchedule.bind(this) : this.schedule.bind(this);
+
+    const parentIds = new Set(tasks.map(task => task.parentId).filter(Boolean));
+    const deadlineTasks = tasks.filter(task =>
+      !task.isDone && !parentIds.has(task.id) && getRemainingHours(task) > 0 && getTaskDueDate(task, allTasks)
+    );
+    const metCounts = new Map(deadlineTasks.map(task => [task.id, 0]));
+
+    let runs = 0;
+    while (deadlineTasks.length > 0 && runs < maxRuns) {
+      const sampledTasks = tasks.map(task => this.sampleTaskEstimate(task, usedRatios, random));
+      const { splits } = TaskSplitter.processAllTasks(sampledTasks, config.blockSizeMinutes, config, overrunFactors);
+      const { deadlineSlack } = scheduleTasks(splits, config, allTags, allProjects, startTime, fixedTasks, allTasks, plannedBlocks);
+      const lateTaskIds = new Set(deadlineSlack
+        .filter(entry => entry.slackMinutes === null || entry.slackMinutes < 0)
+        .map(entry => entry.taskId));
+      for (const task of deadlineTasks) {
+        if (!lateTaskIds.has(task.id)) metCounts.set(task.id, metCounts.get(task.id) + 1);
+      }
+      runs++;
+    }
+
+    return {
+      deadlineProbabilities: runs === 0 ? [] : deadlineTasks.map(task => ({
+        taskId: task.id,
+        taskTitle: task.title,
+        dueDate: getTaskDueDate(task, allTasks),
+        probability: metCounts.get(task.id) / runs,
+      })),
+      runs,
+      seed,
+    };
+  },
+
+  /**
+   * Find deadlines that no schedule can meet
+   * The remaining work of the tasks due by a deadline has to fit into the free time (time maps minus
+   * fixed tasks) of their time maps between the start and that deadline. Caps, breaks, start dates and
+   * dependencies only take time away, so a group of tasks failing this check is provably infeasible.
+   * @param {Array} splits - Task splits to schedule
+   * @param {Object} config - Configuration object
+   * @param {Date} startTime - When scheduling starts
+   * @param {Array} fixedTasks - Tasks that should not be rescheduled (optional)
+   * @param {Array} allTasks - All tasks (for inherited deadlines)
+   * @returns {Array} - [{ dueDate, taskIds, workMinutes, capacityMinutes, timeMapIds }], earliest deadline first
+   */
+  findInfeasibleDeadlines(splits, config, startTime = new Date(), fixedTasks = [], allTasks = []) {
+    const timeMaps = this.resolveTimeMaps(config);
+    const fixedIntervalsPerDay = this.calculateFixedIntervalsPerDay(fixedTasks);
+
+    // Deadline, remaining work and time maps of every task with a deadline
+    const deadlineTasks = new Map();
+    const seenTaskIds = new Set();
+    for (const split of splits) {
+      if (!seenTaskIds.has(split.originalTaskId)) {
+        seenTaskIds.add(split.originalTaskId);
+        const dueDate = getTaskDueDate(split.originalTask, allTasks);
+        if (dueDate) {
+          const ids = getTimeMapIdsForTask(split.originalTask || split, config);
+          deadlineTasks.set(split.originalTaskId, {
+            taskId: split.originalTaskId,
+            dueDate,
+            minutes: 0,
+            timeMapIds: (ids.length > 0 ? ids : [config.defaultTimeMap || 'default']).filter(id => timeMaps[id]),
+          });
+        }
+      }
+      const task = deadlineTasks.get(split.originalTaskId);
+      if (task) task.minutes += this.getSplitRemainingMs(split) / 60000;
+    }
+
+    // Free minutes of a set of time maps between the start and a date (overlaps count once)
+    const freeMinutesByKey = new Map();
+    const getFreeMinutes = (timeMapIds, endDate) => {
+      const key = `${timeMapIds.join('|')}|${endDate.getTime()}`;
+      if (!freeMinutesByKey.has(key)) {
+        const timeMapList = timeMapIds.map(id => timeMaps[id]);
+        freeMinutesByKey.set(key, this.getFreeMinutesBetween(timeMapList, fixedIntervalsPerDay, startTime, endDate));
+      }
+      return freeMinutesByKey.get(key);
+    };
+
+    // Check the tasks limited to each set of time maps (a task's own, or all of them together)
+    const tasks = [...deadlineTasks.values()].sort((a, b) => a.dueDate - b.dueDate);
+    const timeMapSets = new Map();
+    for (const ids of [...tasks.map(task => task.timeMapIds), tasks.flatMap(task => task.timeMapIds)]) {
+      const sortedIds = [...new Set(ids)].sort();
+      timeMapSets.set(sortedIds.join('|'), sortedIds);
+    }
+    const infeasible = [];
+    const reportedKeys = new Set();
+    for (const timeMapIds of timeMapSets.values()) {
+      const groupTasks = tasks.filter(task => task.timeMapIds.every(id => timeMapIds.includes(id)));
+      let workMinutes = 0;
+      const taskIds = [];
+      for (const [index, task] of groupTasks.entries()) {
+        workMinutes += task.minutes;
+        taskIds.push(task.taskId);
+        // Check once per deadline, after all tasks due by it
+        if (groupTasks[index + 1]?.dueDate.getTime() === task.dueDate.getTime()) continue;
+        const capacityMinutes = getFreeMinutes(timeMapIds, task.dueDate);
+        if (workMinutes > capacityMinutes) {
+          const key = `${task.dueDate.getTime()}|${taskIds.join('|')}`;
+          if (!reportedKeys.has(key)) {
+            reportedKeys.add(key);
+            infeasible.push({
+              dueDate: task.dueDate, taskIds: [...taskIds], workMinutes, capacityMinutes: Math.round(capacityMinutes), timeMapIds,
+            });
+          }
+          break; // Later deadlines of this group add nothing new
+        }
+      }
+    }
+    return infeasible.sort((a, b) => a.dueDate - b.dueDate);
+  },
 };
 
 // ============================================================================
@@ -1685,6 +4189,8 @@ export const TaskMerger = {
     const lines = notes.split('\n');
     const cleanedLines = lines.filter(line => {
       const trimmed = line.trim();
+      // Keep user directives ("AutoPlan: block=45 ..."), they are not split markers
+      if (/^autoplan\s*:/i.test(trimmed)) return true;
       // Remove lines with [AutoPlan] marker
       if (trimmed.includes('[AutoPlan]')) return false;
       // Remove "Original Task ID:" lines
@@ -1838,4 +4344,456 @@ export const TaskMerger = {
 
     return Array.from(groups.values());
   },
+
+  /**
+   * Calculate the updates that roll the unused estimate of a split completed early
+   * forward to the next incomplete split of its group
+   * @param {Object} completedTask - The split that was just completed
+   * @param {Array} tasks - All tasks (including the completed split)
+   * @returns {Array<{ taskId: string, changes: Object }>} - Task updates (empty if nothing to roll forward)
+   */
+  calculateRollForward(completedTask, tasks) {
+    const splitInfo = this.parseSplitInfo(completedTask);
+    if (!splitInfo) return [];
+
+    const timeSpent = completedTask.timeSpent || 0;
+    const unusedMs = (completedTask.timeEstimate || 0) - timeSpent;
+    if (unusedMs <= 0) return [];
+
+    // Prefer the next split after the completed one, fall back to any incomplete split
+    const { splits } = this.findRelatedSplits(tasks, completedTask.id);
+    const incompleteSplits = splits.filter(s => !s.isDone && s.id !== completedTask.id);
+    const nextSplit = incompleteSplits.find(s => this.parseSplitInfo(s).splitIndex > splitInfo.splitIndex)
+      || incompleteSplits[0];
+    if (!nextSplit) return [];
+
+    return [
+      { taskId: completedTask.id, changes: { timeEstimate: timeSpent } },
+      { taskId: nextSplit.id, changes: { timeEstimate: (nextSplit.timeEstimate || 0) + unusedMs } },
+    ];
+  },
+
+  /**
+   * Get the split indices of the open splits of a group
+   * Completed splits keep their labels, the open splits take the first indices they don't use.
+   * @param {Array<number>} doneSplitIndices - Split indices of the completed splits
+   * @param {number} count - Number of open splits
+   * @returns {Array<number>} - Indices in ascending order
+   */
+  getOpenSplitIndices(doneSplitIndices, count) {
+    const takenIndices = new Set(doneSplitIndices);
+    const indices = [];
+    for (let index = 0; indices.length < count; index++) {
+      if (!takenIndices.has(index)) indices.push(index);
+    }
+    return indices;
+  },
+
+  /**
+   * Calculate the updates that renumber split groups with gaps (e.g. after a split was deleted)
+   * The surviving open splits are numbered in order around the completed ones (see getOpenSplitIndices).
+   * Only splits whose numbering changed are updated.
+   * @param {Array} tasks - All tasks
+   * @param {Object} config - Configuration with splitPrefix and splitSuffix
+   * @returns {Array<{ taskId: string, changes: Object }>} - Task updates with new title and notes
+   */
+  calculateRelabelUpdates(tasks, config) {
+    const updates = [];
+
+    for (const group of this.findAllSplitGroups(tasks)) {
+      const totalSplits = group.splits.length;
+      const doneSplits = group.splits.filter(s => s.task.isDone);
+      const openSplits = group.splits.filter(s => !s.task.isDone);
+      const openIndices = this.getOpenSplitIndices(doneSplits.map(s => s.splitInfo.splitIndex), openSplits.length);
+      const labelled = [
+        ...doneSplits.map(split => ({ ...split, index: split.splitInfo.splitIndex })),
+        ...openSplits.map((split, i) => ({ ...split, index: openIndices[i] })),
+      ];
+
+      for (const { task, splitInfo, index } of labelled) {
+        if (splitInfo.splitIndex === index && splitInfo.totalSplits === totalSplits) continue;
+        updates.push({
+          taskId: task.id,
+          changes: {
+            title: TaskSplitter.getSplitTitle(group.originalTitle, index, config),
+            notes: this.generateSplitNotes(index, totalSplits, group.originalTitle, group.originalTaskId, task.notes),
+          },
+        });
+      }
+    }
+
+    return updates;
+  },
+};
+
+// ============================================================================
+// ESTIMATE ANALYTICS MODULE
+// ============================================================================
+
+export const OverrunAnalytics = {
+  /**
+   * Collect the finished work of done tasks
+   * A split group counts as one task once all of its splits are done, with the estimates and the time
+   * spent of its splits added up. Work is dated by the last day time was tracked (timeSpentOnDay).
+   * @param {Array} tasks - All tasks (the real tasks, not the merged view)
+   * @returns {Array} - [{ task, estimateMs, spentMs, lastDayKey }] for tasks with an estimate and tracked time
+   */
+  getCompletedWork(tasks) {
+    const groups = new Map();
+    for (const task of tasks) {
+      const key = TaskMerger.parseSplitInfo(task)?.originalTaskId || task.id;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(task);
+    }
+
+    const work = [];
+    for (const group of groups.values()) {
+      if (!group.every(task => task.isDone)) continue;
+      const timeSpentOnDay = TaskMerger.mergeTimeSpentOnDay(group.map(task => task.timeSpentOnDay));
+      const dayKeys = Object.keys(timeSpentOnDay).sort();
+      const trackedMs = Object.values(timeSpentOnDay).reduce((sum, ms) => sum + ms, 0);
+      const estimateMs = group.reduce((sum, task) => sum + (task.timeEstimate || 0), 0);
+      const spentMs = trackedMs || group.reduce((sum, task) => sum + (task.timeSpent || 0), 0);
+      if (estimateMs > 0 && spentMs > 0) {
+        work.push({ task: group[0], estimateMs, spentMs, lastDayKey: dayKeys[dayKeys.length - 1] || null });
+      }
+    }
+    return work;
+  },
+
+  /**
+   * Learn how far the tasks of each project and tag overran their estimates
+   * The factor is the time spent divided by the estimate, over all done tasks of the project or tag
+   * worked on within config.overrunHistoryDays (undated tasks always count).
+   * @param {Array} tasks - All tasks (the real tasks, not the merged view)
+   * @param {Object} config - Configuration object
+   * @param {Date} now - Current time
+   * @returns {Array} - [{ scope: 'project'|'tag', id, factor, samples, estimateMinutes, spentMinutes }],
+   *                    the largest factors first
+   */
+  getOverrunFactors(tasks, config, now = new Date()) {
+    const historyDays = config.overrunHistoryDays ?? DEFAULT_CONFIG.overrunHistoryDays;
+    const since = new Date(now);
+    since.setDate(since.getDate() - historyDays);
+    const sinceKey = getDateKey(since);
+
+    const totals = new Map();
+    for (const { task, estimateMs, spentMs, lastDayKey } of this.getCompletedWork(tasks)) {
+      if (lastDayKey && lastDayKey < sinceKey) continue;
+      const scopes = [['project', task.projectId], ...getRealTagIds(task).map(tagId => ['tag', tagId])];
+      for (const [scope, id] of scopes) {
+        if (!id) continue;
+        const key = `${scope}:${id}`;
+        const total = totals.get(key) || { scope, id, samples: 0, estimateMs: 0, spentMs: 0 };
+        total.samples++;
+        total.estimateMs += estimateMs;
+        total.spentMs += spentMs;
+        totals.set(key, total);
+      }
+    }
+
+    return [...totals.values()]
+      .map(({ scope, id, samples, estimateMs, spentMs }) => ({
+        scope,
+        id,
+        factor: Math.round(spentMs / estimateMs * 100) / 100,
+        samples,
+        estimateMinutes: Math.round(estimateMs / 60000),
+        spentMinutes: Math.round(spentMs / 60000),
+      }))
+      .sort((a, b) => b.factor - a.factor);
+  },
+
+  /**
+   * Get the factor to inflate a task's remaining work with
+   * The factors of the task's project and tags with at least MIN_OVERRUN_SAMPLES done tasks are averaged,
+   * weighted by their number of tasks. Estimates are only inflated, never shrunk.
+   * @param {Object} task - The task
+   * @param {Array} overrunFactors - Learned factors (see getOverrunFactors)
+   * @returns {number} - The factor, 1 if nothing was learned for the task
+   */
+  getFactorForTask(task, overrunFactors = []) {
+    if (overrunFactors.length === 0) return 1;
+    const tagIds = getRealTagIds(task);
+    const matching = overrunFactors.filter(entry => entry.samples >= MIN_OVERRUN_SAMPLES &&
+      (entry.scope === 'project' ? entry.id === task.projectId : tagIds.includes(entry.id)));
+    const samples = matching.reduce((sum, entry) => sum + entry.samples, 0);
+    if (samples === 0) return 1;
+    return Math.max(1, matching.reduce((sum, entry) => sum + entry.factor * entry.samples, 0) / samples);
+  },
+};
+
+// ============================================================================
+// SCHEDULE DIFF MODULE
+// ============================================================================
+
+// Planning fields cleared on tasks that are no longer scheduled
+const CLEARED_PLANNING_FIELDS = {
+  dueWithTime: undefined,
+  dueDay: undefined,
+  hasPlannedTime: undefined,
+};
+
+export const ScheduleDiff = {
+  /**
+   * Get the ID of the task a split group merges into: the original task if it is
+   * still open, otherwise the first open split (same rule as TaskMerger.mergeSplits)
+   * @returns {string|null} - null if all splits are done
+   */
+  getMergeTargetId(group) {
+    const openTasks = group.splits.map(s => s.task).filter(t => !t.isDone);
+    if (openTasks.length === 0) return null;
+    return (openTasks.find(t => t.id === group.originalTaskId) || openTasks[0]).id;
+  },
+
+  /**
+   * Get the open tasks that can be reused for each merged task
+   * A regular task maps to itself, a split group to its open splits.
+   * @param {Array} tasks - All current tasks
+   * @returns {Map<string, Array>} - Merged task ID -> open tasks (the merged task first, then by split index)
+   */
+  getExistingTasksByTargetId(tasks) {
+    const existingByTargetId = new Map();
+    const splitTaskIds = new Set();
+
+    for (const group of TaskMerger.findAllSplitGroups(tasks)) {
+      for (const { task } of group.splits) {
+        splitTaskIds.add(task.id);
+      }
+      const targetId = this.getMergeTargetId(group);
+      if (!targetId) continue;
+
+      const openTasks = group.splits.map(s => s.task).filter(t => !t.isDone);
+      existingByTargetId.set(targetId, [
+        openTasks.find(t => t.id === targetId),
+        ...openTasks.filter(t => t.id !== targetId),
+      ]);
+    }
+
+    for (const task of tasks) {
+      if (!splitTaskIds.has(task.id) && !task.isDone) {
+        existingByTargetId.set(task.id, [task]);
+      }
+    }
+
+    return existingByTargetId;
+  },
+
+  /**
+   * Get the merged task ID for a task (its own ID for regular tasks)
+   * @param {string} taskId - ID of a regular task or of any split
+   * @param {Array} tasks - All current tasks
+   * @returns {string|null} - null if the task doesn't exist or its whole group is done
+   */
+  getTargetIdForTask(taskId, tasks) {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return null;
+
+    const splitInfo = TaskMerger.parseSplitInfo(task);
+    if (!splitInfo) return task.id;
+
+    const group = TaskMerger.findAllSplitGroups(tasks).find(g => g.originalTaskId === splitInfo.originalTaskId);
+    return group ? this.getMergeTargetId(group) : null;
+  },
+
+  /**
+   * Get the blocks currently planned for the open, non-fixed tasks
+   * Each block spans the task's remaining time from its planned start.
+   * @param {Array} tasks - All current tasks
+   * @param {Object} config - Configuration (for fixed task detection)
+   * @returns {Array} - [{ taskId, originalTaskId, splitIndex, startTime, endTime }] sorted by start time,
+   *                    where originalTaskId is the merged task the block belongs to
+   */
+  getPlannedBlocks(tasks, config) {
+    const blocks = [];
+    for (const [targetId, openTasks] of this.getExistingTasksByTargetId(tasks)) {
+      for (const task of openTasks) {
+        if (!task.dueWithTime || isFixedTask(task, config)) continue;
+        const remainingMs = Math.max(0, (task.timeEstimate || 0) - (task.timeSpent || 0));
+        if (remainingMs <= 0) continue;
+        blocks.push({
+          taskId: task.id,
+          originalTaskId: targetId,
+          splitIndex: TaskMerger.parseSplitInfo(task)?.splitIndex ?? 0,
+          startTime: new Date(task.dueWithTime),
+          endTime: new Date(task.dueWithTime + remainingMs),
+        });
+      }
+    }
+    return blocks.sort((a, b) => a.startTime - b.startTime);
+  },
+
+  /**
+   * Diff a schedule against the current tasks
+   * The open tasks of each merged task are reused in order, only changed fields are
+   * updated and only the difference in block count is created or deleted. Items kept by
+   * plan stability (split.existingTaskId) stay on their task. Completed splits are left
+   * alone. Time tracked on deleted splits moves to the first reused task.
+   *
+   * @param {Array} schedule - Schedule items from AutoPlanner.schedule (built from merged tasks)
+   * @param {Array} plannedTasks - Merged tasks whose planning AutoPlan manages (scheduled or not)
+   * @param {Array} tasks - All current tasks
+   * @param {Object} config - Configuration with splitPrefix and splitSuffix
+   * @returns {Object} - { updates: [{ taskId, changes }], creates: [{ taskData, dueWithTime, originalTaskId, splitIndex }],
+   *                     deletes: [taskId], summary: { created, updated, deleted, unchanged } }
+   */
+  diff(schedule, plannedTasks, tasks, config) {
+    const existingByTargetId = this.getExistingTasksByTargetId(tasks);
+    const groupByTargetId = new Map();
+    for (const group of TaskMerger.findAllSplitGroups(tasks)) {
+      const targetId = this.getMergeTargetId(group);
+      if (targetId) groupByTargetId.set(targetId, group);
+    }
+    const updates = [];
+    const creates = [];
+    const deletes = [];
+    let unchanged = 0;
+
+    // Group schedule items by merged task, in chronological order
+    const itemsByTaskId = new Map();
+    for (const item of schedule) {
+      const taskId = item.split.originalTaskId;
+      if (!itemsByTaskId.has(taskId)) {
+        itemsByTaskId.set(taskId, []);
+      }
+      itemsByTaskId.get(taskId).push(item);
+    }
+    for (const items of itemsByTaskId.values()) {
+      items.sort((a, b) => a.startTime - b.startTime);
+    }
+
+    for (const plannedTask of plannedTasks) {
+      const existing = existingByTargetId.get(plannedTask.id) || [];
+      if (existing.length === 0) continue;
+
+      const items = itemsByTaskId.get(plannedTask.id) || [];
+      const blockCount = Math.max(items.length, 1);
+
+      // Kept blocks stay on their own task, the other blocks reuse the remaining tasks in order
+      const reusedTasks = new Array(blockCount).fill(null);
+      const boundTaskIds = new Set();
+      items.forEach((item, i) => {
+        const bound = existing.find(t => t.id === item.split.existingTaskId);
+        if (bound && !boundTaskIds.has(bound.id)) {
+          reusedTasks[i] = bound;
+          boundTaskIds.add(bound.id);
+        }
+      });
+      const unboundTasks = existing.filter(t => !boundTaskIds.has(t.id));
+      for (let i = 0; i < blockCount && unboundTasks.length > 0; i++) {
+        if (!reusedTasks[i]) {
+          reusedTasks[i] = unboundTasks.shift();
+        }
+      }
+      const removed = unboundTasks;
+      deletes.push(...removed.map(t => t.id));
+
+      // Blocks stay in their split group and are numbered around its completed splits, so labels stay unique
+      const group = groupByTargetId.get(plannedTask.id);
+      const groupId = group?.originalTaskId ?? plannedTask.id;
+      const doneSplitIndices = (group?.splits || []).filter(s => s.task.isDone).map(s => s.splitInfo.splitIndex);
+      const splitIndices = TaskMerger.getOpenSplitIndices(doneSplitIndices, blockCount);
+      const totalSplits = doneSplitIndices.length + blockCount;
+
+      // Remaining minutes per block; work that didn't fit the horizon stays on the last block.
+      // Blocks of inflated estimates (see OverrunAnalytics) share the task's own estimate,
+      // while the extra time of a task that used up its estimate is added to it.
+      const blockRemainingMs = items.map(item => AutoPlanner.getSplitRemainingMs(item.split));
+      const blocksMs = blockRemainingMs.reduce((sum, ms) => sum + ms, 0);
+      const plannedRemainingMs = items.some(item => item.split.overrun)
+        ? blocksMs
+        : Math.max(0, (plannedTask.timeEstimate || 0) - (plannedTask.timeSpent || 0));
+      if (blocksMs > plannedRemainingMs + 60000) {
+        blockRemainingMs.forEach((ms, i) => { blockRemainingMs[i] = Math.round(ms * plannedRemainingMs / blocksMs / 60000) * 60000; });
+      }
+      if (items.length > 0) {
+        const earlierBlocksMs = blockRemainingMs.slice(0, -1).reduce((sum, ms) => sum + ms, 0);
+        blockRemainingMs[items.length - 1] = Math.max(0, plannedRemainingMs - earlierBlocksMs);
+      }
+
+      for (let i = 0; i < blockCount; i++) {
+        const item = items[i];
+        const reused = reusedTasks[i];
+
+        if (!reused) {
+          creates.push({
+            taskData: {
+              title: TaskSplitter.getSplitTitle(plannedTask.title, splitIndices[i], config),
+              timeEstimate: blockRemainingMs[i],
+              timeSpent: 0,
+              timeSpentOnDay: {},
+              tagIds: item.split.realTagIds || item.split.tagIds,
+              projectId: item.split.projectId,
+              parentId: item.split.parentId,
+              notes: TaskMerger.generateSplitNotes(splitIndices[i], totalSplits, plannedTask.title, groupId, plannedTask.notes),
+            },
+            dueWithTime: item.startTime.getTime(),
+            originalTaskId: plannedTask.id,
+            splitIndex: splitIndices[i],
+          });
+          continue;
+        }
+
+        const changes = {};
+
+        // Planning
+        if (item) {
+          const dueWithTime = item.startTime.getTime();
+          if (reused.dueWithTime !== dueWithTime || reused.dueDay || !reused.hasPlannedTime) {
+            Object.assign(changes, { dueWithTime, dueDay: undefined, hasPlannedTime: true });
+          }
+        } else if (reused.dueWithTime || reused.dueDay) {
+          Object.assign(changes, CLEARED_PLANNING_FIELDS);
+        }
+
+        // Estimate: keep the task's own tracked time and add the remaining work of its block
+        let timeSpent = reused.timeSpent || 0;
+        const remainingMs = item ? blockRemainingMs[i] : plannedRemainingMs;
+        if (i === 0 && removed.length > 0) {
+          const removedSpent = removed.reduce((sum, t) => sum + (t.timeSpent || 0), 0);
+          if (removedSpent > 0) {
+            timeSpent += removedSpent;
+            changes.timeSpent = timeSpent;
+            changes.timeSpentOnDay = TaskMerger.mergeTimeSpentOnDay([reused, ...removed].map(t => t.timeSpentOnDay));
+          }
+        }
+        // A regular task that wasn't scheduled keeps its estimate, even if its time spent is past it
+        const keepsEstimate = !item && items.length === 0 && existing.length === 1;
+        if (!keepsEstimate && (reused.timeEstimate || 0) !== timeSpent + remainingMs) {
+          changes.timeEstimate = timeSpent + remainingMs;
+        }
+
+        // Labels only change when the split numbering changes, so manual edits survive
+        const splitInfo = TaskMerger.parseSplitInfo(reused);
+        if (totalSplits <= 1) {
+          if (splitInfo) {
+            changes.title = plannedTask.title;
+            changes.notes = TaskMerger.cleanAutoplanNotes(reused.notes);
+          }
+        } else if (!splitInfo || splitInfo.splitIndex !== splitIndices[i] || splitInfo.totalSplits !== totalSplits ||
+                   splitInfo.originalTaskId !== groupId) {
+          changes.title = TaskSplitter.getSplitTitle(plannedTask.title, splitIndices[i], config);
+          changes.notes = TaskMerger.generateSplitNotes(splitIndices[i], totalSplits, plannedTask.title, groupId, reused.notes);
+        }
+
+        if (Object.keys(changes).length > 0) {
+          updates.push({ taskId: reused.id, changes });
+        } else {
+          unchanged++;
+        }
+      }
+    }
+
+    return {
+      updates,
+      creates,
+      deletes,
+      summary: {
+        created: creates.length,
+        updated: updates.length,
+        deleted: deletes.length,
+        unchanged,
+      },
+    };
+  },
 };
@@ -20,130 +20,55 @@ function getSchedulingFields(startTime) {
 }
 
 /**
- * Apply the schedule by creating/updating tasks in Super Productivity
+ * Apply the schedule incrementally by diffing it against the current tasks
+ * Existing splits are reused, only changed fields are updated and only the
+ * difference is created or deleted (see ScheduleDiff.diff).
  * This extends AutoPlanner with PluginAPI integration
+ * 
+ * @param {Array} schedule - Schedule built from merged tasks
+ * @param {Array} plannedTasks - Merged tasks whose planning AutoPlan manages
+ * @param {Array} currentTasks - All current tasks (with their splits)
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Object>} { createdTasks, errors, summary }
  */
-AutoPlanner.applySchedule = async function(schedule, originalTasks) {
+AutoPlanner.applySchedule = async function(schedule, plannedTasks, currentTasks, config) {
   const createdTasks = [];
   const errors = [];
-  const taskGroups = new Map(); // Group splits by original task
+  const { updates, creates, deletes, summary } = ScheduleDiff.diff(schedule, plannedTasks, currentTasks, config);
+
+  console.log(`[AutoPlan] Applying diff: ${summary.created} to create, ${summary.updated} to update, ${summary.deleted} to delete, ${summary.unchanged} unchanged`);
 
-  // Group scheduled splits by original task
-  for (const item of schedule) {
-    const originalId = item.split.originalTaskId;
-    if (!taskGroups.has(originalId)) {
-      taskGroups.set(originalId, []);
+  for (const { taskId, changes } of updates) {
+    try {
+      await updateOwnTask(taskId, changes);
+    } catch (e) {
+      console.warn(`[AutoPlan] Failed to update task ${taskId}:`, e);
+      errors.push({ taskId, error: e.message });
     }
-    taskGroups.get(originalId).push(item);
   }
 
-  // Process each original task
-  for (const [originalId, items] of taskGroups) {
-    const originalTask = items[0].split.originalTask;
+  for (const { taskData, dueWithTime, originalTaskId, splitIndex } of creates) {
+    try {
+      // For subtasks, also set subTaskIds (SP API quirk)
+      const data = taskData.parentId ? { ...taskData, subTaskIds: taskData.tagIds } : taskData;
+      const newTaskId = await PluginAPI.addTask(data);
 
-    // Sort items by split index
-    items.sort((a, b) => a.split.splitIndex - b.split.splitIndex);
+      // Set the scheduled time via updateTask
+      await updateOwnTask(newTaskId, getSchedulingFields(new Date(dueWithTime)));
+
+      createdTasks.push({ type: 'created', taskId: newTaskId, originalTaskId, splitIndex, scheduledAt: new Date(dueWithTime) });
+    } catch (e) {
+      console.warn(`[AutoPlan] Failed to create split ${splitIndex} for task ${originalTaskId}:`, e);
+      errors.push({ taskId: originalTaskId, splitIndex, error: e.message });
+    }
+  }
 
+  for (const taskId of deletes) {
     try {
-      // If only one block, just update the original task
-      if (items.length === 1) {
-        // Update with scheduled time using appropriate field
-        const schedulingFields = getSchedulingFields(items[0].startTime);
-        await PluginAPI.updateTask(originalId, schedulingFields);
-        createdTasks.push({
-          type: 'updated',
-          taskId: originalId,
-          scheduledAt: items[0].startTime,
-        });
-      } else {
-        // Split task into multiple blocks
-        // IMPORTANT: Preserve the original task as the first split to maintain task ID
-        const splitTaskIds = [];
-        
-        for (let i = 0; i < items.length; i++) {
-          const item = items[i];
-          const schedulingFields = getSchedulingFields(item.startTime);
-          
-          try {
-            if (i === 0) {
-              // First split: UPDATE the original task instead of creating a new one
-              // This preserves the original task ID and keeps the timeSpent
-              await PluginAPI.updateTask(originalId, {
-                title: item.split.title,
-                timeEstimate: item.split.estimatedMs,
-                // timeSpent is preserved automatically since we're updating, not creating
-                notes: TaskMerger.generateSplitNotes(
-                  item.split.splitIndex,
-                  item.split.totalSplits,
-                  originalTask.title,
-                  originalId,
-                  originalTask.notes
-                ),
-                ...schedulingFields,
-              });
-
-              splitTaskIds.push(originalId);
-              createdTasks.push({
-                type: 'updated',
-                taskId: originalId,
-                originalTaskId: originalId,
-                splitIndex: item.split.splitIndex,
-                scheduledAt: item.startTime,
-              });
-            } else {
-              // Subsequent splits: Create new tasks with no time tracking data
-              // Use realTagIds (task's own tags) not tagIds (which includes virtual/inherited)
-              const splitTagIds = item.split.realTagIds || item.split.tagIds;
-              
-              // Build task data - for subtasks, SP API expects tags in 'subTaskIds' field
-              // We set both tagIds and subTaskIds to handle SP's quirky behavior
-              const taskData = {
-                title: item.split.title,
-                timeEstimate: item.split.estimatedMs,
-                timeSpent: 0, // New splits start with no time spent
-                timeSpentOnDay: {}, // New splits start with empty time-on-day tracking
-                tagIds: splitTagIds,
-                projectId: item.split.projectId,
-                parentId: item.split.parentId,
-                notes: TaskMerger.generateSplitNotes(
-                  item.split.splitIndex,
-                  item.split.totalSplits,
-                  originalTask.title,
-                  originalId,
-                  originalTask.notes
-                ),
-              };
-              
-              // For subtasks, also set subTaskIds (SP API quirk)
-              if (item.split.parentId) {
-                taskData.subTaskIds = splitTagIds;
-              }
-              
-              const newTaskId = await PluginAPI.addTask(taskData);
-
-              // Set the scheduled time via updateTask using appropriate field
-              await PluginAPI.updateTask(newTaskId, schedulingFields);
-
-              splitTaskIds.push(newTaskId);
-              createdTasks.push({
-                type: 'created',
-                taskId: newTaskId,
-                originalTaskId: originalId,
-                splitIndex: item.split.splitIndex,
-                scheduledAt: item.startTime,
-              });
-            }
-          } catch (splitError) {
-            console.warn(`[AutoPlan] Failed to create/update split ${i} for task ${originalId}:`, splitError);
-            errors.push({ taskId: originalId, splitIndex: i, error: splitError.message });
-            // Continue with other splits
-          }
-        }
-      }
-    } catch (taskError) {
-      console.warn(`[AutoPlan] Failed to process task ${originalId}:`, taskError);
-      errors.push({ taskId: originalId, error: taskError.message });
-      // Continue with other tasks
+      await deleteOwnTask(taskId);
+    } catch (e) {
+      console.warn(`[AutoPlan] Failed to delete split task ${taskId}:`, e);
+      errors.push({ taskId, error: e.message });
     }
   }
 
@@ -151,7 +76,7 @@ AutoPlanner.applySchedule = async function(schedule, originalTasks) {
     console.warn(`[AutoPlan] Completed with ${errors.length} errors:`, errors);
   }
 
-  return { createdTasks, errors };
+  return { createdTasks, errors, summary };
 };
 
 /**
@@ -201,7 +126,7 @@ TaskMerger.mergeSplits = async function(taskId, silent = false) {
     
     // Clean up the orphan split: restore original title and remove [AutoPlan] markers
     const cleanedNotes = this.cleanAutoplanNotes(orphanSplit.notes);
-    await PluginAPI.updateTask(orphanSplit.id, {
+    await updateOwnTask(orphanSplit.id, {
       title: originalTitle,
       notes: cleanedNotes,
     });
@@ -252,7 +177,7 @@ TaskMerger.mergeSplits = async function(taskId, silent = false) {
   // Update the merged task with combined time tracking data
   // Clean any AutoPlan notes from the original task so it can be rescheduled
   const cleanedNotes = this.cleanAutoplanNotes(mergedTask.notes);
-  await PluginAPI.updateTask(mergedTask.id, {
+  await updateOwnTask(mergedTask.id, {
     title: mergeData.title,
     timeEstimate: mergeData.totalTimeEstimate,
     timeSpent: mergeData.totalTimeSpent,
@@ -263,12 +188,12 @@ TaskMerger.mergeSplits = async function(taskId, silent = false) {
   // Delete the other incomplete splits
   for (const task of tasksToDelete) {
     try {
-      await PluginAPI.deleteTask(task.id);
+      await deleteOwnTask(task.id);
     } catch (e) {
       console.warn('[AutoPlan] Could not delete split task:', e);
       // Fallback: mark as done if delete fails
       try {
-        await PluginAPI.updateTask(task.id, {
+        await updateOwnTask(task.id, {
           isDone: true,
           notes: this.cleanAutoplanNotes(task.notes),
         });
@@ -282,7 +207,7 @@ TaskMerger.mergeSplits = async function(taskId, silent = false) {
   const completedSplits = splits.filter(s => s.isDone);
   for (const task of completedSplits) {
     try {
-      await PluginAPI.deleteTask(task.id);
+      await deleteOwnTask(task.id);
     } catch (e) {
       console.warn('[AutoPlan] Could not delete completed split:', e);
     }
@@ -316,15 +241,23 @@ TaskMerger.findAllSplitGroupsAsync = async function() {
 
 let currentConfig = { ...DEFAULT_CONFIG };
 
+// Delay before the auto-run on startup
+const AUTO_RUN_DELAY_MS = 5000;
+
 /**
  * Load configuration from persistent storage
+ * Legacy work hours are moved into the default time map once and saved back
  */
 async function loadConfig() {
   try {
     const data = await PluginAPI.loadSyncedData();
     if (data) {
       const parsed = JSON.parse(data);
-      currentConfig = { ...DEFAULT_CONFIG, ...parsed };
+      const migrated = migrateLegacyWorkHours(parsed);
+      if (migrated) {
+        await PluginAPI.persistDataSynced(JSON.stringify(migrated));
+      }
+      currentConfig = { ...DEFAULT_CONFIG, ...(migrated || parsed) };
     }
   } catch (e) {
     console.log('[AutoPlan] No saved config found, using defaults');
@@ -334,10 +267,15 @@ async function loadConfig() {
 
 /**
  * Save configuration to persistent storage
+ * Merges into the stored config, so values the settings page doesn't send
+ * (like lastAutoRunDate) are kept
+ * @returns {Object} The saved config
  */
 async function saveConfig(config) {
-  currentConfig = { ...currentConfig, ...config };
+  const stored = await loadConfig();
+  currentConfig = { ...stored, ...config };
   await PluginAPI.persistDataSynced(JSON.stringify(currentConfig));
+  return currentConfig;
 }
 
 /**
@@ -413,8 +351,9 @@ function simulateMergedTasks(tasks) {
       continue;
     }
     
-    // Calculate merged data
-    const mergeData = TaskMerger.calculateMergeData(incompleteSplits, allSplits, group.originalTitle);
+    // Calculate merged data from the open splits only: completed splits are kept as they
+    // are when the schedule is applied, so their time is not part of the remaining work
+    const mergeData = TaskMerger.calculateMergeData(incompleteSplits, incompleteSplits, group.originalTitle);
     
     // Match the logic from TaskMerger.mergeSplits:
     // Prefer using the original task (if still incomplete), otherwise use first incomplete split
@@ -435,7 +374,7 @@ function simulateMergedTasks(tasks) {
       title: mergeData.title,
       timeEstimate: mergeData.totalTimeEstimate,
       timeSpent: mergeData.totalTimeSpent,
-      timeSpentOnDay: mergeData.mergedTimeSpentOnDay || {},
+      timeSpentOnDay: mergeData.totalTimeSpentOnDay || {},
       notes: cleanNotes, // Use cleaned notes without [AutoPlan] marker
       // Clear planning fields as they would be after merging
       dueWithTime: undefined,
@@ -453,31 +392,24 @@ function simulateMergedTasks(tasks) {
 
 /**
  * Run the autoplanning algorithm
+ * @param {boolean} dryRun - Only compute the schedule, don't change any tasks
+ * @param {boolean} force - Replan everything, ignoring plan stability
  */
-async function runAutoplan(dryRun = false) {
+async function runAutoplan(dryRun = false, force = false) {
   console.log('[AutoPlan] Starting autoplanning...');
 
   try {
-    // Step 1: Clear previous planning (merge splits + clear scheduled times)
-    if (!dryRun) {
-      console.log('[AutoPlan] Clearing previous planning...');
-      const clearResult = await clearPlanning(true); // silent mode - don't show snack
-      console.log(`[AutoPlan] Merged ${clearResult.merged} split groups, cleared ${clearResult.cleared} tasks`);
-    }
-
     // Load config
     const config = await loadConfig();
 
-    // Get all tasks, tags, and projects (re-fetch after clearing for apply, or fresh for dry run)
-    let allTasks = await PluginAPI.getTasks();
+    // Get all tasks, tags, and projects
+    const currentTasks = await PluginAPI.getTasks();
     const allTags = await PluginAPI.getAllTags();
     const allProjects = await PluginAPI.getAllProjects();
 
-    // For dry run, simulate what tasks would look like after merging splits
-    if (dryRun) {
-      console.log('[AutoPlan] Dry run: simulating merged task state...');
-      allTasks = simulateMergedTasks(allTasks);
-    }
+    // Schedule the merged view of the tasks; the existing splits are reused when applying
+    console.log('[AutoPlan] Simulating merged task state...');
+    const allTasks = simulateMergedTasks(currentTasks);
 
     console.log(`[AutoPlan] Processing ${allTasks.length} tasks`);
 
@@ -510,26 +442,93 @@ async function runAutoplan(dryRun = false) {
       t.timeEstimate > 0
     );
 
+    // AutoPlan manages the planning of all open, estimated, non-fixed tasks:
+    // the ones left out of the schedule (e.g. backlog tasks) get their planning cleared
+    const plannedTasks = schedulableTasks.filter(t =>
+      !t.isDone &&
+      t.timeEstimate &&
+      t.timeEstimate > 0
+    );
+
     console.log(`[AutoPlan] ${eligibleTasks.length} eligible tasks with estimates`);
+    const waitingCount = eligibleTasks.filter(t => getTaskStartDate(t, allTasks) > new Date()).length;
+    if (waitingCount > 0) {
+      console.log(`[AutoPlan] ${waitingCount} tasks are waiting for their start date`);
+    }
+
+    // Overrun factors learned from the done tasks, inflating the remaining work if enabled
+    const overrunFactors = OverrunAnalytics.getOverrunFactors(currentTasks, config).map(entry => ({
+      ...entry, label: AutoPlanner.describeScope(entry.scope, entry.id, allTags, allProjects),
+    }));
 
     // Split tasks into blocks
-    const { splits, skippedParents } = TaskSplitter.processAllTasks(
+    const { splits, skippedParents, skippedOverrunTasks } = TaskSplitter.processAllTasks(
       eligibleTasks,
       config.blockSizeMinutes,
-      config
+      config,
+      config.inflateEstimates ? overrunFactors : []
     );
 
     console.log(`[AutoPlan] Created ${splits.length} time blocks`);
     console.log(`[AutoPlan] Skipped ${skippedParents.length} parent tasks`);
 
-    // Run scheduling algorithm
+    // Blocks already planned on the real tasks, kept within the stability horizon unless forced
+    const plannedBlocks = force ? [] : ScheduleDiff.getPlannedBlocks(currentTasks, config);
+
+    // Run scheduling algorithm (the optimal mode searches for the task order with the least lateness,
+    // the 'alap' mode is part of schedule())
     // Pass allTasks for parent tag inheritance during priority calculation
-    const { schedule, deadlineMisses } = AutoPlanner.schedule(splits, config, allTags, allProjects, new Date(), fixedTasks, allTasks);
+    const scheduleArgs = [splits, config, allTags, allProjects, new Date(), fixedTasks, allTasks, plannedBlocks];
+    const {
+      schedule, deadlineMisses, dependencyCycles, unschedulableTasks, capDeferrals, quotaFulfilment, breaks, deadlineSlack,
+      deadlineHealth, optimization = null,
+    } = config.schedulingMode === 'optimal'
+      ? AutoPlanner.optimizeSchedule(...scheduleArgs)
+      : AutoPlanner.schedule(...scheduleArgs);
 
     console.log(`[AutoPlan] Generated schedule with ${schedule.length} entries`);
+    const keptBlocks = schedule.filter(item => item.frozen).length;
+    if (keptBlocks > 0) {
+      console.log(`[AutoPlan] Kept ${keptBlocks} already-planned blocks (plan stability)`);
+    }
     if (deadlineMisses.length > 0) {
       console.log(`[AutoPlan] Warning: ${deadlineMisses.length} tasks may miss their deadlines`);
     }
+    if (optimization) {
+      console.log(`[AutoPlan] Optimal mode: ${optimization.latenessMinutes} minutes late in total ` +
+        `(greedy: ${optimization.greedyLatenessMinutes}) after ${optimization.evaluations} schedules` +
+        (optimization.timedOut ? ' (time budget used up)' : ''));
+    }
+    for (const deferral of capDeferrals) {
+      console.log(`[AutoPlan] Cap deferred "${deferral.taskTitle}" on ${deferral.dateKeys.join(', ')} (${deferral.cap})`);
+    }
+    for (const quota of quotaFulfilment) {
+      const doneMinutes = quota.loggedMinutes + quota.scheduledMinutes;
+      if (doneMinutes < quota.quotaMinutes) {
+        console.log(`[AutoPlan] Quota of ${quota.label} for the week of ${quota.weekKey}: ${Math.round(doneMinutes)} of ${quota.quotaMinutes} minutes`);
+      }
+    }
+
+    // Problems to report besides deadline misses
+    const warnings = [
+      ...dependencyCycles.map(cycle =>
+        `Dependency cycle ignored: ${[...cycle, cycle[0]].map(id => allTasks.find(t => t.id === id)?.title || id).join(' → ')}`
+      ),
+      ...unschedulableTasks.map(t => t.reason === 'too-long'
+        ? `"${t.taskTitle}" (${(t.minutes / 60).toFixed(1)}h) is longer than any free window`
+        : `"${t.taskTitle}" found no free window for one sitting within ${config.maxDaysAhead ?? 30} days`
+      ),
+      ...skippedOverrunTasks.map(t =>
+        `"${t.title}" used up its estimate (${(t.timeSpent / 3600000).toFixed(1)}h spent) and is not scheduled`
+      ),
+      ...(optimization?.infeasibleDeadlines || []).map(d =>
+        `Deadlines can't all be met: ${(d.workMinutes / 60).toFixed(1)}h of work due by ${d.dueDate.toLocaleDateString()}, ` +
+        `only ${(d.capacityMinutes / 60).toFixed(1)}h free`
+      ),
+    ];
+    for (const warning of warnings) {
+      console.warn(`[AutoPlan] ${warning}`);
+    }
 
     // Show preview
     let message = `AutoPlan: ${schedule.length} blocks scheduled`;
@@ -540,11 +539,21 @@ async function runAutoplan(dryRun = false) {
     }
 
     if (dryRun) {
-      return { schedule, applied: false, deadlineMisses };
+      // Chance of meeting each deadline when estimates vary (only in previews, it schedules many times)
+      const simulation = config.monteCarloRuns > 0
+        ? AutoPlanner.simulateDeadlineProbabilities(eligibleTasks, ...scheduleArgs.slice(1), currentTasks)
+        : null;
+      if (simulation) {
+        console.log(`[AutoPlan] Simulated ${simulation.runs} schedules (seed ${simulation.seed})`);
+      }
+      return {
+        schedule, applied: false, deadlineMisses, dependencyCycles, unschedulableTasks, capDeferrals, quotaFulfilment, breaks,
+        deadlineSlack, deadlineHealth, optimization, simulation, overrunFactors, warnings,
+      };
     }
 
-    // Apply the schedule
-    const result = await AutoPlanner.applySchedule(schedule, eligibleTasks);
+    // Apply the schedule as a diff against the current tasks
+    const result = await AutoPlanner.applySchedule(schedule, plannedTasks, currentTasks, config);
 
     // Clean TODAY tag to remove tasks scheduled for future dates
     // (PluginAPI.addTask automatically adds new tasks to TODAY)
@@ -554,28 +563,37 @@ async function runAutoplan(dryRun = false) {
     }
 
     // Show snack notification with summary
+    let summary = 'No tasks to schedule';
+    if (schedule.length > 0) {
+      // Count unique tasks and total hours
+      const uniqueTasks = new Set(schedule.map(s => s.split.originalTaskId)).size;
+      const totalMs = schedule.reduce((sum, s) => sum + s.split.estimatedMs, 0);
+      const totalHours = (totalMs / 3600000).toFixed(1);
+      const { created, updated, deleted } = result.summary;
+      summary = `Scheduled ${uniqueTasks} task${uniqueTasks !== 1 ? 's' : ''} (${totalHours}h): ${created} created, ${updated} updated, ${deleted} deleted`;
+    }
     if (result.errors && result.errors.length > 0) {
       PluginAPI.showSnack({
         msg: `AutoPlan completed with ${result.errors.length} error(s)`,
         type: 'WARNING',
       });
-    } else if (schedule.length > 0) {
-      // Count unique tasks and total hours
-      const uniqueTasks = new Set(schedule.map(s => s.split.originalTaskId)).size;
-      const totalMs = schedule.reduce((sum, s) => sum + s.split.estimatedMs, 0);
-      const totalHours = (totalMs / 3600000).toFixed(1);
+    } else if (warnings.length > 0) {
+      // Keep the summary, the full list of warnings is in the console
       PluginAPI.showSnack({
-        msg: `Scheduled ${uniqueTasks} task${uniqueTasks !== 1 ? 's' : ''} (${totalHours}h)`,
-        type: 'SUCCESS',
+        msg: `${summary}. ${summarizeWarnings(warnings)}`,
+        type: 'WARNING',
       });
     } else {
       PluginAPI.showSnack({
-        msg: 'No tasks to schedule',
-        type: 'INFO',
+        msg: summary,
+        type: schedule.length > 0 ? 'SUCCESS' : 'INFO',
       });
     }
 
-    return { schedule, applied: true, result, deadlineMisses };
+    return {
+      schedule, applied: true, result, deadlineMisses, dependencyCycles, unschedulableTasks, capDeferrals, quotaFulfilment, breaks,
+      deadlineSlack, deadlineHealth, optimization, overrunFactors, warnings,
+    };
 
   } catch (error) {
     console.error('[AutoPlan] Error:', error);
@@ -672,7 +690,7 @@ async function cleanTodayTag() {
         
         // Only update if tagIds actually changed
         if (newTagIds.length !== currentTagIds.length) {
-          await PluginAPI.updateTask(taskId, { tagIds: newTagIds });
+          await updateOwnTask(taskId, { tagIds: newTagIds });
           removedCount++;
         }
       } catch (e) {
@@ -762,7 +780,7 @@ async function clearTasksPlanning(config) {
   let clearedCount = 0;
   for (const task of tasksToClear) {
     try {
-      await PluginAPI.updateTask(task.id, {
+      await updateOwnTask(task.id, {
         dueWithTime: undefined,
         dueDay: undefined,
         hasPlannedTime: undefined,
@@ -837,6 +855,220 @@ async function clearPlanning(silent = false) {
   }
 }
 
+// ============================================================================
+// REACTIVE RESCHEDULING
+// ============================================================================
+
+// Quiet period before a burst of task events is processed
+const REACTIVE_DEBOUNCE_MS = 3000;
+
+// Set while AutoPlan changes tasks itself; task events arriving meanwhile wait until it is done
+let isApplyingChanges = false;
+let eventsDuringApply = [];
+
+// Tasks AutoPlan changed itself: taskId -> time until which their task events are ignored
+// (Infinity while the changes are still being applied)
+const ownTaskWrites = new Map();
+
+/**
+ * Update a task as AutoPlan's own change, so its task events don't trigger another pass
+ */
+async function updateOwnTask(taskId, changes) {
+  ownTaskWrites.set(taskId, Infinity);
+  return PluginAPI.updateTask(taskId, changes);
+}
+
+/**
+ * Delete a task as AutoPlan's own change, so its task events don't trigger another pass
+ */
+async function deleteOwnTask(taskId) {
+  ownTaskWrites.set(taskId, Infinity);
+  return PluginAPI.deleteTask(taskId);
+}
+
+/**
+ * Check whether a task event comes from AutoPlan's own change of the task
+ */
+function isOwnTaskEvent(event) {
+  return (ownTaskWrites.get(event.taskId) ?? 0) > Date.now();
+}
+
+/**
+ * Run a function that changes tasks while ignoring the task hooks of its own changes
+ * Events of other tasks that arrive meanwhile are queued once it is done.
+ */
+async function withoutTaskEvents(fn) {
+  const wasApplying = isApplyingChanges;
+  isApplyingChanges = true;
+  try {
+    return await fn();
+  } finally {
+    if (!wasApplying) {
+      isApplyingChanges = false;
+      // Hooks for our own updates may still arrive after the changes are done
+      const now = Date.now();
+      for (const [taskId, ignoreUntil] of ownTaskWrites) {
+        if (ignoreUntil === Infinity) {
+          ownTaskWrites.set(taskId, now + REACTIVE_DEBOUNCE_MS);
+        } else if (ignoreUntil <= now) {
+          ownTaskWrites.delete(taskId);
+        }
+      }
+      const events = eventsDuringApply;
+      eventsDuringApply = [];
+      events.filter(event => !isOwnTaskEvent(event)).forEach(event => taskEventDebouncer.push(event));
+    }
+  }
+}
+
+/**
+ * Apply a list of task updates ({ taskId, changes }) from the core library
+ */
+async function applyTaskUpdates(updates) {
+  for (const { taskId, changes } of updates) {
+    try {
+      await updateOwnTask(taskId, changes);
+    } catch (e) {
+      console.warn(`[AutoPlan] Failed to update task ${taskId}:`, e);
+    }
+  }
+}
+
+/**
+ * Reschedule only the given tasks, keeping the planned slots of all other tasks
+ * The affected tasks are scheduled in their merged form and applied as a diff,
+ * the other planned tasks block their time.
+ * @param {Array<string>} taskIds - IDs of the affected tasks (any split of a group works)
+ * @param {Object} config - Configuration object
+ * @returns {Promise<number>} Number of scheduled blocks
+ */
+async function rescheduleTasks(taskIds, config) {
+  const currentTasks = await PluginAPI.getTasks();
+  const allTags = await PluginAPI.getAllTags();
+  const allProjects = await PluginAPI.getAllProjects();
+  const allTasks = simulateMergedTasks(currentTasks);
+
+  const targetIds = new Set(
+    taskIds.map(taskId => ScheduleDiff.getTargetIdForTask(taskId, currentTasks)).filter(Boolean)
+  );
+  const targetTasks = allTasks.filter(t =>
+    targetIds.has(t.id) &&
+    !t.isDone &&
+    t.timeEstimate > 0 &&
+    !isFixedTask(t, config)
+  );
+  if (targetTasks.length === 0) return 0;
+
+  // Everything else that is planned keeps its slot: fixed tasks with their full length,
+  // other planned blocks with their remaining time
+  const existingByTargetId = ScheduleDiff.getExistingTasksByTargetId(currentTasks);
+  const targetTaskIds = new Set(
+    targetTasks.flatMap(t => (existingByTargetId.get(t.id) || []).map(existing => existing.id))
+  );
+  // Splits are identified by their merged task, so dependencies on them resolve
+  const targetIdByTaskId = new Map();
+  for (const [targetId, existing] of existingByTargetId) {
+    existing.forEach(t => targetIdByTaskId.set(t.id, targetId));
+  }
+  const occupiedTasks = currentTasks
+    .filter(t => !t.isDone && !targetTaskIds.has(t.id) && t.dueWithTime)
+    .map(t => isFixedTask(t, config)
+      ? t
+      : {
+        ...t,
+        id: targetIdByTaskId.get(t.id) || t.id,
+        timeEstimate: Math.max(0, (t.timeEstimate || 0) - (t.timeSpent || 0)),
+      });
+
+  const overrunFactors = config.inflateEstimates ? OverrunAnalytics.getOverrunFactors(currentTasks, config) : [];
+  const { splits } = TaskSplitter.processAllTasks(targetTasks, config.blockSizeMinutes, config, overrunFactors);
+  const { schedule } = AutoPlanner.schedule(splits, config, allTags, allProjects, new Date(), occupiedTasks, allTasks);
+
+  await AutoPlanner.applySchedule(schedule, targetTasks, currentTasks, config);
+  await cleanTodayTag();
+
+  return schedule.length;
+}
+
+/**
+ * Process a batch of task events from the hooks (if reactive rescheduling is enabled)
+ * Errors are logged only, a failing pass must not break task editing.
+ * @param {Array<{ type: string, taskId: string }>} events - Debounced task events
+ */
+async function handleTaskEvents(events) {
+  if (isApplyingChanges) {
+    eventsDuringApply.push(...events);
+    return;
+  }
+
+  try {
+    const config = await loadConfig();
+    if (!config.reactiveRescheduling) return;
+
+    await withoutTaskEvents(() => processTaskEvents(events, config));
+  } catch (error) {
+    console.error('[AutoPlan] Reactive rescheduling failed:', error);
+  }
+}
+
+/**
+ * React to a batch of task events
+ * - Completed splits roll their unused estimate forward to the next split
+ * - Deleted splits get the rest of their group renumbered
+ * - Estimate changes reschedule only the affected tasks
+ */
+async function processTaskEvents(events, config) {
+  console.log(`[AutoPlan] Reacting to ${events.length} task event(s)...`);
+
+  let tasks = await PluginAPI.getTasks();
+  const affectedTaskIds = new Set();
+
+  for (const event of events.filter(e => e.type === 'complete')) {
+    const task = tasks.find(t => t.id === event.taskId);
+    if (!task) continue;
+    const updates = TaskMerger.calculateRollForward(task, tasks);
+    if (updates.length > 0) {
+      await applyTaskUpdates(updates);
+      affectedTaskIds.add(task.id);
+    }
+  }
+
+  if (events.some(e => e.type === 'delete')) {
+    tasks = await PluginAPI.getTasks();
+    await applyTaskUpdates(TaskMerger.calculateRelabelUpdates(tasks, config));
+  }
+
+  for (const event of events.filter(e => e.type === 'update')) {
+    affectedTaskIds.add(event.taskId);
+  }
+
+  if (affectedTaskIds.size > 0) {
+    const blockCount = await rescheduleTasks([...affectedTaskIds], config);
+    PluginAPI.showSnack({
+      msg: `AutoPlan: rescheduled ${affectedTaskIds.size} task${affectedTaskIds.size !== 1 ? 's' : ''} (${blockCount} blocks)`,
+      type: 'INFO',
+    });
+  }
+}
+
+const taskEventDebouncer = createBatchDebouncer(handleTaskEvents, REACTIVE_DEBOUNCE_MS);
+
+/**
+ * Queue a task event from a hook, unless it comes from AutoPlan's own change of the task
+ * Events arriving while AutoPlan changes tasks are held back until it is done.
+ */
+function queueTaskEvent(type, payload) {
+  const taskId = payload?.taskId ?? payload?.task?.id;
+  if (!taskId) return;
+
+  const event = { type, taskId };
+  if (isApplyingChanges) {
+    eventsDuringApply.push(event);
+  } else if (!isOwnTaskEvent(event)) {
+    taskEventDebouncer.push(event);
+  }
+}
+
 // ============================================================================
 // PLUGIN INITIALIZATION
 // ============================================================================
@@ -859,16 +1091,53 @@ PluginAPI.registerShortcut({
   },
 });
 
+/**
+ * Run AutoPlan once per day on startup if "Auto-run on startup" is enabled
+ * Never throws, so a failing run can't block the plugin from loading.
+ */
+async function autoRunOnStartup() {
+  try {
+    const config = await loadConfig();
+    if (!shouldAutoRunToday(config)) {
+      return;
+    }
+
+    // Remember the run before starting, so a failing run isn't retried on every restart
+    await saveConfig({ lastAutoRunDate: getDateKey(new Date()) });
+
+    console.log('[AutoPlan] Auto-run on startup...');
+    await withoutTaskEvents(() => runAutoplan(false)); // Shows the summary snack
+  } catch (error) {
+    console.error('[AutoPlan] Auto-run on startup failed:', error);
+  }
+}
+
+// Delay the auto-run so it doesn't compete with Super Productivity's own startup
+setTimeout(autoRunOnStartup, AUTO_RUN_DELAY_MS);
+
+// Register task hooks for reactive rescheduling (declared in manifest.json)
+// The handlers only queue events, the config check happens when the batch is processed
+PluginAPI.registerHook('taskComplete', (payload) => queueTaskEvent('complete', payload));
+PluginAPI.registerHook('taskDelete', (payload) => queueTaskEvent('delete', payload));
+PluginAPI.registerHook('taskUpdate', (payload) => {
+  // Only estimate changes need rescheduling
+  if (payload?.changes && 'timeEstimate' in payload.changes) {
+    queueTaskEvent('update', payload);
+  }
+});
+
 // Expose functions for iframe communication
+// Functions that change tasks ignore the task hooks they trigger
 window.AutoPlanAPI = {
-  runAutoplan,
+  runAutoplan: (dryRun = false, force = false) =>
+    dryRun ? runAutoplan(true, force) : withoutTaskEvents(() => runAutoplan(false, force)),
   previewSchedule,
-  clearPlanning,
+  clearPlanning: (silent = false) => withoutTaskEvents(() => clearPlanning(silent)),
   loadConfig,
   saveConfig,
   getDefaultConfig: () => ({ ...DEFAULT_CONFIG }),
   // Merge functions
   findRelatedSplits: (taskId) => TaskMerger.findRelatedSplitsAsync(taskId),
-  mergeSplits: (taskId) => TaskMerger.mergeSplits(taskId),
+  mergeSplits: (taskId) => withoutTaskEvents(() => TaskMerger.mergeSplits(taskId)),
   findAllSplitGroups: () => TaskMerger.findAllSplitGroupsAsync(),
 };
@@ -0,0 +1,105 @@
+/**
+ * Tests for OverrunAnalytics module
+ */
+
+import { describe, it, expect } from 'vitest';
+import { OverrunAnalytics, TaskMerger, getRemainingHours } from '../src/core.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Helper to create a done task that took `spent` hours of an estimate of `estimate` hours
+function createDoneTask(id, estimate, spent, overrides = {}) {
+  return {
+    id,
+    title: `Task ${id}`,
+    timeEstimate: estimate * HOUR,
+    timeSpent: spent * HOUR,
+    timeSpentOnDay: { '2024-01-10': spent * HOUR },
+    tagIds: [],
+    projectId: 'work',
+    isDone: true,
+    notes: '',
+    ...overrides,
+  };
+}
+
+describe('OverrunAnalytics.getCompletedWork', () => {
+  it('counts a split group once all of its splits are done', () => {
+    const split = (originalId, title, index, spent, isDone) => createDoneTask(index === 0 ? originalId : `${originalId}-${index}`, 2, spent, {
+      isDone,
+      notes: TaskMerger.generateSplitNotes(index, 2, title, originalId),
+      timeSpentOnDay: { [`2024-01-1${index}`]: spent * HOUR },
+    });
+    const tasks = [
+      split('r', 'Report', 0, 2, true), split('r', 'Report', 1, 3, true),
+      split('s', 'Slides', 0, 1, true), split('s', 'Slides', 1, 0, false),
+    ];
+
+    expect(OverrunAnalytics.getCompletedWork(tasks).map(({ task, estimateMs, spentMs, lastDayKey }) =>
+      [task.id, estimateMs / HOUR, spentMs / HOUR, lastDayKey])).toEqual([['r', 4, 5, '2024-01-11']]);
+  });
+
+  it('skips open tasks and tasks without estimate or tracked time', () => {
+    const tasks = [
+      createDoneTask('open', 2, 1, { isDone: false }),
+      createDoneTask('unestimated', 0, 1),
+      createDoneTask('untracked', 2, 0, { timeSpentOnDay: {} }),
+    ];
+    expect(OverrunAnalytics.getCompletedWork(tasks)).toEqual([]);
+  });
+});
+
+describe('OverrunAnalytics.getOverrunFactors', () => {
+  const now = new Date('2024-01-20T12:00:00');
+
+  it('divides the time spent by the estimates per project and tag', () => {
+    const tasks = [
+      createDoneTask('a', 2, 3, { tagIds: ['writing'] }),
+      createDoneTask('b', 2, 1),
+      createDoneTask('c', 1, 3, { projectId: 'home', tagIds: ['writing'] }),
+    ];
+
+    expect(OverrunAnalytics.getOverrunFactors(tasks, {}, now)).toEqual([
+      { scope: 'project', id: 'home', factor: 3, samples: 1, estimateMinutes: 60, spentMinutes: 180 },
+      { scope: 'tag', id: 'writing', factor: 2, samples: 2, estimateMinutes: 180, spentMinutes: 360 },
+      { scope: 'project', id: 'work', factor: 1, samples: 2, estimateMinutes: 240, spentMinutes: 240 },
+    ]);
+  });
+
+  it('only learns from work within the history window', () => {
+    const tasks = [
+      createDoneTask('recent', 2, 3),
+      createDoneTask('old', 2, 1, { timeSpentOnDay: { '2023-06-01': HOUR } }),
+    ];
+
+    expect(OverrunAnalytics.getOverrunFactors(tasks, { overrunHistoryDays: 30 }, now))
+      .toEqual([expect.objectContaining({ id: 'work', factor: 1.5, samples: 1 })]);
+  });
+});
+
+describe('OverrunAnalytics.getFactorForTask', () => {
+  const factors = [
+    { scope: 'project', id: 'work', factor: 1.2, samples: 10 },
+    { scope: 'tag', id: 'writing', factor: 1.8, samples: 5 },
+    { scope: 'tag', id: 'admin', factor: 3, samples: 2 },
+    { scope: 'tag', id: 'quick', factor: 0.5, samples: 20 },
+  ];
+
+  it('averages the factors of the project and tags by their number of tasks', () => {
+    expect(OverrunAnalytics.getFactorForTask({ projectId: 'work', tagIds: ['writing'] }, factors)).toBeCloseTo(1.4);
+  });
+
+  it('ignores factors learned from too few tasks', () => {
+    expect(OverrunAnalytics.getFactorForTask({ projectId: 'home', tagIds: ['admin'] }, factors)).toBe(1);
+  });
+
+  it('never shrinks estimates', () => {
+    expect(OverrunAnalytics.getFactorForTask({ projectId: 'home', tagIds: ['quick'] }, factors)).toBe(1);
+    expect(OverrunAnalytics.getFactorForTask({ projectId: 'work', tagIds: [] }, [])).toBe(1);
+  });
+
+  it('inflates the remaining hours', () => {
+    const task = { timeEstimate: 4 * HOUR, timeSpent: HOUR, projectId: 'work', tagIds: ['writing'] };
+    expect(getRemainingHours(task, OverrunAnalytics.getFactorForTask(task, factors))).toBeCloseTo(4.2);
+  });
+});
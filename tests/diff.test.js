@@ -0,0 +1,331 @@
+/**
+ * Tests for ScheduleDiff module
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ScheduleDiff, TaskMerger } from '../src/core.js';
+
+const HOUR = 60 * 60 * 1000;
+const config = { splitPrefix: '', splitSuffix: true };
+
+// Helper to create a task
+function createTask(overrides = {}) {
+  return {
+    id: 'task-1',
+    title: 'Test Task',
+    timeEstimate: 2 * HOUR,
+    timeSpent: 0,
+    tagIds: [],
+    isDone: false,
+    notes: '',
+    ...overrides,
+  };
+}
+
+// Helper to create a split task with proper notes
+function createSplitTask(originalId, originalTitle, splitIndex, totalSplits, overrides = {}) {
+  return createTask({
+    id: splitIndex === 0 ? originalId : `${originalId}-split-${splitIndex}`,
+    title: `${originalTitle} <${['I', 'II', 'III', 'IV'][splitIndex]}>`,
+    notes: TaskMerger.generateSplitNotes(splitIndex, totalSplits, originalTitle, originalId),
+    ...overrides,
+  });
+}
+
+// Helper to create a schedule item for a merged task
+function createItem(taskId, splitIndex, startTime, estimatedMs = 2 * HOUR, timeSpentMs = 0) {
+  return {
+    split: {
+      originalTaskId: taskId,
+      splitIndex,
+      estimatedMs,
+      timeSpentMs,
+      realTagIds: ['tag-1'],
+      projectId: 'project-1',
+      parentId: undefined,
+    },
+    startTime: new Date(startTime),
+  };
+}
+
+describe('ScheduleDiff.diff', () => {
+  it('only updates the planned time of a regular task', () => {
+    const task = createTask({ id: 'a' });
+    const schedule = [createItem('a', 0, '2024-01-15T09:00:00')];
+
+    const diff = ScheduleDiff.diff(schedule, [task], [task], config);
+
+    expect(diff.updates).toEqual([{
+      taskId: 'a',
+      changes: { dueWithTime: new Date('2024-01-15T09:00:00').getTime(), dueDay: undefined, hasPlannedTime: true },
+    }]);
+    expect(diff.creates).toEqual([]);
+    expect(diff.deletes).toEqual([]);
+  });
+
+  it('leaves tasks that are already planned at the same time untouched', () => {
+    const dueWithTime = new Date('2024-01-15T09:00:00').getTime();
+    const task = createTask({ id: 'a', dueWithTime, hasPlannedTime: true });
+    const schedule = [createItem('a', 0, '2024-01-15T09:00:00')];
+
+    const diff = ScheduleDiff.diff(schedule, [task], [task], config);
+
+    expect(diff.updates).toEqual([]);
+    expect(diff.summary).toEqual({ created: 0, updated: 0, deleted: 0, unchanged: 1 });
+  });
+
+  it('reuses existing splits and creates only the missing ones', () => {
+    const tasks = [
+      createSplitTask('a', 'Task', 0, 2, { dueWithTime: new Date('2024-01-15T09:00:00').getTime(), hasPlannedTime: true }),
+      createSplitTask('a', 'Task', 1, 2, { dueWithTime: new Date('2024-01-15T11:00:00').getTime(), hasPlannedTime: true }),
+    ];
+    const merged = createTask({ id: 'a', title: 'Task', timeEstimate: 6 * HOUR });
+    const schedule = [
+      createItem('a', 0, '2024-01-15T09:00:00'),
+      createItem('a', 1, '2024-01-15T11:00:00'),
+      createItem('a', 2, '2024-01-15T13:00:00'),
+    ];
+
+    const diff = ScheduleDiff.diff(schedule, [merged], tasks, config);
+
+    // Both existing splits are renumbered to x/3, the third block is created
+    expect(diff.updates.map(u => u.taskId)).toEqual(['a', 'a-split-1']);
+    expect(diff.updates[0].changes.dueWithTime).toBeUndefined();
+    expect(TaskMerger.parseSplitInfo({ notes: diff.updates[1].changes.notes })).toMatchObject({ splitIndex: 1, totalSplits: 3 });
+    expect(diff.creates.length).toBe(1);
+    expect(diff.creates[0].taskData).toMatchObject({
+      title: 'Task <III>',
+      timeEstimate: 2 * HOUR,
+      tagIds: ['tag-1'],
+      projectId: 'project-1',
+    });
+    expect(diff.creates[0].dueWithTime).toBe(new Date('2024-01-15T13:00:00').getTime());
+    expect(diff.deletes).toEqual([]);
+  });
+
+  it('deletes only the splits that are no longer needed and keeps their tracked time', () => {
+    const tasks = [
+      createSplitTask('a', 'Task', 0, 3),
+      createSplitTask('a', 'Task', 1, 3, { timeSpent: 0.5 * HOUR, timeSpentOnDay: { '2024-01-14': 0.5 * HOUR } }),
+      createSplitTask('a', 'Task', 2, 3),
+    ];
+    const merged = createTask({ id: 'a', title: 'Task', timeEstimate: 6 * HOUR, timeSpent: 0.5 * HOUR });
+    const schedule = [
+      createItem('a', 0, '2024-01-15T09:00:00', 2.5 * HOUR, 0.5 * HOUR),
+      createItem('a', 1, '2024-01-15T11:00:00', 2 * HOUR),
+      createItem('a', 2, '2024-01-15T13:00:00', 1.5 * HOUR),
+    ];
+
+    // Only 2 blocks are needed now
+    const diff = ScheduleDiff.diff(schedule.slice(0, 2), [merged], tasks, config);
+
+    expect(diff.deletes).toEqual(['a-split-2']);
+    expect(diff.creates).toEqual([]);
+    // The remaining work that didn't get a block stays on the last block
+    const last = diff.updates.find(u => u.taskId === 'a-split-1');
+    expect(last.changes.timeEstimate).toBe(0.5 * HOUR + 3.5 * HOUR);
+  });
+
+  it('moves the tracked time of deleted splits to the first task', () => {
+    const tasks = [
+      createSplitTask('a', 'Task', 0, 2),
+      createSplitTask('a', 'Task', 1, 2, { timeSpent: HOUR, timeSpentOnDay: { '2024-01-14': HOUR } }),
+    ];
+    const merged = createTask({ id: 'a', title: 'Task', timeEstimate: 4 * HOUR, timeSpent: HOUR });
+    const schedule = [createItem('a', 0, '2024-01-15T09:00:00', 3 * HOUR, HOUR)];
+
+    const diff = ScheduleDiff.diff(schedule, [merged], tasks, config);
+
+    expect(diff.deletes).toEqual(['a-split-1']);
+    expect(diff.updates[0].changes).toMatchObject({
+      timeSpent: HOUR,
+      timeSpentOnDay: { '2024-01-14': HOUR },
+      timeEstimate: 4 * HOUR,
+      title: 'Task',
+    });
+    expect(diff.updates[0].changes.notes).not.toContain('[AutoPlan]');
+  });
+
+  it('keeps manual edits on splits whose numbering did not change', () => {
+    const tasks = [
+      createSplitTask('a', 'Task', 0, 2, { title: 'Task <I> - research' }),
+      createSplitTask('a', 'Task', 1, 2),
+    ];
+    const merged = createTask({ id: 'a', title: 'Task', timeEstimate: 4 * HOUR });
+    const schedule = [
+      createItem('a', 0, '2024-01-16T09:00:00'),
+      createItem('a', 1, '2024-01-16T11:00:00'),
+    ];
+
+    const diff = ScheduleDiff.diff(schedule, [merged], tasks, config);
+
+    for (const { changes } of diff.updates) {
+      expect(changes.title).toBeUndefined();
+      expect(changes.notes).toBeUndefined();
+      expect(changes.dueWithTime).toBeDefined();
+    }
+  });
+
+  it('leaves completed splits alone', () => {
+    const tasks = [
+      createSplitTask('a', 'Task', 0, 2, { isDone: true, timeSpent: 2 * HOUR }),
+      createSplitTask('a', 'Task', 1, 2),
+    ];
+    const merged = createTask({ id: 'a-split-1', title: 'Task', timeEstimate: 2 * HOUR });
+    const schedule = [createItem('a-split-1', 0, '2024-01-15T09:00:00')];
+
+    const diff = ScheduleDiff.diff(schedule, [merged], tasks, config);
+
+    expect(diff.updates.map(u => u.taskId)).toEqual(['a-split-1']);
+    expect(diff.deletes).toEqual([]);
+  });
+
+  it('numbers the open splits after a completed one', () => {
+    const tasks = [
+      createSplitTask('a', 'Task', 0, 3, { isDone: true, timeSpent: HOUR }),
+      createSplitTask('a', 'Task', 1, 3),
+      createSplitTask('a', 'Task', 2, 3),
+    ];
+    const merged = createTask({ id: 'a-split-1', title: 'Task', timeEstimate: 4 * HOUR });
+    const schedule = [createItem('a-split-1', 0, '2024-01-15T09:00:00'), createItem('a-split-1', 1, '2024-01-15T11:00:00')];
+
+    const diff = ScheduleDiff.diff(schedule, [merged], tasks, config);
+
+    // The completed split keeps <I>, so the open ones keep <II> and <III>
+    for (const { changes } of diff.updates) {
+      expect(changes.title).toBeUndefined();
+      expect(changes.notes).toBeUndefined();
+    }
+  });
+
+  it('clears the planning of tasks that were not scheduled', () => {
+    const task = createTask({ id: 'a', dueWithTime: new Date('2024-01-15T09:00:00').getTime(), hasPlannedTime: true });
+
+    const diff = ScheduleDiff.diff([], [task], [task], config);
+
+    expect(diff.updates).toEqual([{
+      taskId: 'a',
+      changes: { dueWithTime: undefined, dueDay: undefined, hasPlannedTime: undefined },
+    }]);
+  });
+});
+
+describe('ScheduleDiff with inflated estimates', () => {
+  it('shares the task estimate between blocks planned for more work', () => {
+    const task = createTask({ id: 'a', timeEstimate: 4 * HOUR });
+    const schedule = [
+      createItem('a', 0, '2024-01-15T09:00:00'),
+      createItem('a', 1, '2024-01-15T11:00:00'),
+      createItem('a', 2, '2024-01-15T13:00:00'),
+    ];
+
+    const diff = ScheduleDiff.diff(schedule, [task], [task], config);
+
+    const estimates = [diff.updates[0].changes.timeEstimate, ...diff.creates.map(c => c.taskData.timeEstimate)];
+    expect(estimates).toEqual([80 * 60000, 80 * 60000, 80 * 60000]);
+  });
+});
+
+describe('ScheduleDiff with tasks that used up their estimate', () => {
+  it('keeps the estimate of one that was not scheduled', () => {
+    const task = createTask({ id: 'a', timeEstimate: 2 * HOUR, timeSpent: 3 * HOUR, dueWithTime: 1, hasPlannedTime: true });
+
+    const diff = ScheduleDiff.diff([], [task], [task], config);
+
+    expect(diff.updates).toEqual([{
+      taskId: 'a',
+      changes: { dueWithTime: undefined, dueDay: undefined, hasPlannedTime: undefined },
+    }]);
+  });
+
+  it('adds the planned extra time to the estimate', () => {
+    const task = createTask({ id: 'a', timeEstimate: 2 * HOUR, timeSpent: 3 * HOUR });
+    const item = createItem('a', 0, '2024-01-15T09:00:00', 4 * HOUR, 3 * HOUR);
+    item.split.overrun = true;
+
+    const diff = ScheduleDiff.diff([item], [task], [task], config);
+
+    expect(diff.updates[0].changes.timeEstimate).toBe(4 * HOUR);
+  });
+});
+
+describe('ScheduleDiff.getTargetIdForTask', () => {
+  it('returns the ID of regular tasks', () => {
+    const task = createTask({ id: 'a' });
+    expect(ScheduleDiff.getTargetIdForTask('a', [task])).toBe('a');
+  });
+
+  it('returns the merged task ID for any split of a group', () => {
+    const tasks = [
+      createSplitTask('a', 'Task', 0, 2),
+      createSplitTask('a', 'Task', 1, 2),
+    ];
+    expect(ScheduleDiff.getTargetIdForTask('a-split-1', tasks)).toBe('a');
+  });
+
+  it('falls back to the first open split when the original is done', () => {
+    const tasks = [
+      createSplitTask('a', 'Task', 0, 2, { isDone: true }),
+      createSplitTask('a', 'Task', 1, 2),
+    ];
+    expect(ScheduleDiff.getTargetIdForTask('a', tasks)).toBe('a-split-1');
+  });
+
+  it('returns null for unknown tasks', () => {
+    expect(ScheduleDiff.getTargetIdForTask('missing', [])).toBeNull();
+  });
+});
+
+describe('ScheduleDiff with kept blocks', () => {
+  it('keeps a kept block on its own split', () => {
+    const at = (time) => new Date(`2024-01-15T${time}:00`).getTime();
+    const tasks = [
+      createSplitTask('a', 'Task A', 0, 2, { dueWithTime: at('13:00'), hasPlannedTime: true }),
+      createSplitTask('a', 'Task A', 1, 2, { dueWithTime: at('09:00'), hasPlannedTime: true }),
+    ];
+    const merged = createTask({ id: 'a', title: 'Task A', timeEstimate: 4 * HOUR });
+    const kept = createItem('a', 0, '2024-01-15T13:00:00');
+    kept.split.existingTaskId = 'a';
+    const schedule = [createItem('a', 0, '2024-01-15T10:00:00'), kept];
+
+    const diff = ScheduleDiff.diff(schedule, [merged], tasks, config);
+
+    // The kept split is untouched apart from its numbering, the other one moves to 10:00
+    const keptUpdate = diff.updates.find(u => u.taskId === 'a');
+    expect(keptUpdate?.changes.dueWithTime).toBeUndefined();
+    const movedUpdate = diff.updates.find(u => u.taskId === 'a-split-1');
+    expect(movedUpdate.changes.dueWithTime).toBe(at('10:00'));
+    expect(diff.creates).toEqual([]);
+    expect(diff.deletes).toEqual([]);
+  });
+});
+
+describe('ScheduleDiff.getPlannedBlocks', () => {
+  const due = new Date('2024-01-15T09:00:00').getTime();
+
+  it('returns a block for each planned open task', () => {
+    const tasks = [
+      createTask({ id: 'a', dueWithTime: due, timeEstimate: 2 * HOUR, timeSpent: HOUR / 2 }),
+      createSplitTask('b', 'Task B', 0, 2, { dueWithTime: due + 2 * HOUR }),
+      createSplitTask('b', 'Task B', 1, 2, { dueWithTime: due + 4 * HOUR }),
+    ];
+
+    const blocks = ScheduleDiff.getPlannedBlocks(tasks, {});
+
+    expect(blocks).toEqual([
+      { taskId: 'a', originalTaskId: 'a', splitIndex: 0, startTime: new Date(due), endTime: new Date(due + 1.5 * HOUR) },
+      { taskId: 'b', originalTaskId: 'b', splitIndex: 0, startTime: new Date(due + 2 * HOUR), endTime: new Date(due + 4 * HOUR) },
+      { taskId: 'b-split-1', originalTaskId: 'b', splitIndex: 1, startTime: new Date(due + 4 * HOUR), endTime: new Date(due + 6 * HOUR) },
+    ]);
+  });
+
+  it('skips done, unplanned and fixed tasks', () => {
+    const tasks = [
+      createTask({ id: 'done', dueWithTime: due, isDone: true }),
+      createTask({ id: 'unplanned' }),
+      createTask({ id: 'fixed', dueWithTime: due, tagIds: ['fixed-tag'] }),
+    ];
+
+    expect(ScheduleDiff.getPlannedBlocks(tasks, { doNotRescheduleTagId: 'fixed-tag' })).toEqual([]);
+  });
+});
@@ -45,6 +45,11 @@ describe('TaskMerger.escapeTitle', () => {
 });
 
 describe('TaskMerger.cleanAutoplanNotes', () => {
+  it('keeps user directives', () => {
+    const notes = 'AutoPlan: block=45 nosplit\n\n[AutoPlan] Split 1/2 of "Task"\n\n[AutoPlan] Original Task ID: abc123';
+    expect(TaskMerger.cleanAutoplanNotes(notes)).toBe('AutoPlan: block=45 nosplit');
+  });
+
   it('removes [AutoPlan] lines from notes', () => {
     const notes = '[AutoPlan] Merged from 3 split tasks.\n\nOriginal Task ID: abc123';
     const cleaned = TaskMerger.cleanAutoplanNotes(notes);
@@ -532,3 +537,131 @@ describe('Orphan split detection helpers', () => {
     expect(splitInfo.originalTaskId).toBe('orig-deleted');
   });
 });
+
+describe('TaskMerger.calculateRollForward', () => {
+  const HOUR = 60 * 60 * 1000;
+
+  it('moves the unused estimate of a split completed early to the next split', () => {
+    const tasks = [
+      createSplitTask('orig', 'Task', 0, 3, { id: 'orig', timeEstimate: 2 * HOUR, timeSpent: 1.5 * HOUR, isDone: true }),
+      createSplitTask('orig', 'Task', 1, 3, { timeEstimate: 2 * HOUR }),
+      createSplitTask('orig', 'Task', 2, 3, { timeEstimate: 2 * HOUR }),
+    ];
+
+    expect(TaskMerger.calculateRollForward(tasks[0], tasks)).toEqual([
+      { taskId: 'orig', changes: { timeEstimate: 1.5 * HOUR } },
+      { taskId: 'orig-split-1', changes: { timeEstimate: 2.5 * HOUR } },
+    ]);
+  });
+
+  it('falls back to an earlier incomplete split when the last split is completed', () => {
+    const tasks = [
+      createSplitTask('orig', 'Task', 0, 2, { id: 'orig', timeEstimate: 2 * HOUR }),
+      createSplitTask('orig', 'Task', 1, 2, { timeEstimate: 2 * HOUR, timeSpent: HOUR, isDone: true }),
+    ];
+
+    const updates = TaskMerger.calculateRollForward(tasks[1], tasks);
+    expect(updates[1]).toEqual({ taskId: 'orig', changes: { timeEstimate: 3 * HOUR } });
+  });
+
+  it('returns no updates when the estimate was used up', () => {
+    const tasks = [
+      createSplitTask('orig', 'Task', 0, 2, { id: 'orig', timeEstimate: 2 * HOUR, timeSpent: 2.5 * HOUR, isDone: true }),
+      createSplitTask('orig', 'Task', 1, 2, { timeEstimate: 2 * HOUR }),
+    ];
+
+    expect(TaskMerger.calculateRollForward(tasks[0], tasks)).toEqual([]);
+  });
+
+  it('returns no updates for regular tasks or when no split is left', () => {
+    const regular = createTask({ timeSpent: HOUR, isDone: true });
+    expect(TaskMerger.calculateRollForward(regular, [regular])).toEqual([]);
+
+    const lastSplit = createSplitTask('orig', 'Task', 0, 1, { timeSpent: HOUR, isDone: true });
+    expect(TaskMerger.calculateRollForward(lastSplit, [lastSplit])).toEqual([]);
+  });
+});
+
+describe('TaskMerger.calculateRelabelUpdates', () => {
+  const config = { splitPrefix: '', splitSuffix: true };
+
+  it('renumbers the remaining splits after one was deleted', () => {
+    const tasks = [
+      createSplitTask('orig', 'Task', 0, 3, { id: 'orig' }),
+      createSplitTask('orig', 'Task', 2, 3),
+    ];
+
+    const updates = TaskMerger.calculateRelabelUpdates(tasks, config);
+
+    expect(updates.length).toBe(2);
+    expect(updates[0].taskId).toBe('orig');
+    expect(updates[0].changes.title).toBe('Task <I>');
+    expect(TaskMerger.parseSplitInfo({ notes: updates[0].changes.notes })).toMatchObject({ splitIndex: 0, totalSplits: 2 });
+    expect(updates[1].taskId).toBe('orig-split-2');
+    expect(updates[1].changes.title).toBe('Task <II>');
+    expect(TaskMerger.parseSplitInfo({ notes: updates[1].changes.notes })).toMatchObject({
+      splitIndex: 1,
+      totalSplits: 2,
+      originalTaskId: 'orig',
+    });
+  });
+
+  it('keeps user notes when relabelling', () => {
+    const split = createSplitTask('orig', 'Task', 1, 2);
+    split.notes = `My notes\n\n${split.notes}`;
+
+    const [update] = TaskMerger.calculateRelabelUpdates([split], config);
+    expect(update.changes.notes).toContain('My notes');
+  });
+
+  it('returns no updates for complete groups', () => {
+    const tasks = [
+      createSplitTask('orig', 'Task', 0, 2, { id: 'orig' }),
+      createSplitTask('orig', 'Task', 1, 2),
+    ];
+
+    expect(TaskMerger.calculateRelabelUpdates(tasks, config)).toEqual([]);
+  });
+
+  it('keeps labels unique after a roll-forward', () => {
+    const HOUR = 60 * 60 * 1000;
+    let tasks = [
+      createSplitTask('orig', 'Task', 0, 4, { id: 'orig', timeEstimate: 2 * HOUR, timeSpent: HOUR, isDone: true }),
+      createSplitTask('orig', 'Task', 1, 4, { timeEstimate: 2 * HOUR }),
+      createSplitTask('orig', 'Task', 2, 4, { timeEstimate: 2 * HOUR }),
+      createSplitTask('orig', 'Task', 3, 4, { timeEstimate: 2 * HOUR }),
+    ];
+    const applyUpdates = (updates) => {
+      tasks = tasks.map(task => {
+        const update = updates.find(u => u.taskId === task.id);
+        return update ? { ...task, ...update.changes } : task;
+      });
+    };
+
+    applyUpdates(TaskMerger.calculateRollForward(tasks[0], tasks));
+    tasks = tasks.filter(t => t.id !== 'orig-split-2');
+    applyUpdates(TaskMerger.calculateRelabelUpdates(tasks, config));
+
+    const labels = tasks.map(t => TaskMerger.parseSplitInfo(t).splitIndex);
+    expect(new Set(labels).size).toBe(tasks.length);
+    expect(new Set(tasks.map(t => t.title)).size).toBe(tasks.length);
+    // The completed split keeps its label, the open ones follow it
+    expect(tasks.find(t => t.id === 'orig').title).toBe('Task <I>');
+    expect(tasks.filter(t => !t.isDone).map(t => t.title)).toEqual(['Task <II>', 'Task <III>']);
+  });
+
+  it('numbers open splits around a completed split with the same label', () => {
+    const tasks = [
+      createSplitTask('orig', 'Task', 0, 2, { id: 'orig-split-1' }),
+      createSplitTask('orig', 'Task', 0, 3, { id: 'orig', isDone: true }),
+      createSplitTask('orig', 'Task', 1, 2, { id: 'orig-split-2' }),
+    ];
+
+    const updates = TaskMerger.calculateRelabelUpdates(tasks, config);
+
+    expect(updates.map(u => [u.taskId, u.changes.title])).toEqual([
+      ['orig-split-1', 'Task <II>'],
+      ['orig-split-2', 'Task <III>'],
+    ]);
+  });
+});
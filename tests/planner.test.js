@@ -3,7 +3,7 @@
  */
 
 import { describe, it, expect } from 'vitest';
-import { AutoPlanner, TaskSplitter, DEFAULT_CONFIG } from '../src/core.js';
+import { AutoPlanner, TaskSplitter, PriorityCalculator, DEFAULT_CONFIG, mulberry32 } from '../src/core.js';
 
 // Helper to create a task
 function createTask(overrides = {}) {
@@ -530,6 +530,47 @@ describe('AutoPlanner.calculateFixedMinutesPerDay', () => {
   });
 });
 
+describe('AutoPlanner.calculateFixedIntervalsPerDay', () => {
+  it('returns the occupied interval of a fixed task in minutes from midnight', () => {
+    const fixedTasks = [{
+      id: 'fixed-1',
+      dueWithTime: new Date('2024-01-15T10:30:00').getTime(),
+      timeEstimate: 90 * 60 * 1000,
+    }];
+    expect(AutoPlanner.calculateFixedIntervalsPerDay(fixedTasks)).toEqual({
+      '2024-01-15': [{ start: 630, end: 720 }],
+    });
+  });
+
+  it('merges overlapping fixed tasks', () => {
+    const fixedTasks = [
+      { id: 'a', dueWithTime: new Date('2024-01-15T10:00:00').getTime(), timeEstimate: 60 * 60 * 1000 },
+      { id: 'b', dueWithTime: new Date('2024-01-15T10:30:00').getTime(), timeEstimate: 60 * 60 * 1000 },
+    ];
+    expect(AutoPlanner.calculateFixedIntervalsPerDay(fixedTasks)['2024-01-15']).toEqual([{ start: 600, end: 690 }]);
+  });
+
+  it('cuts fixed tasks spanning midnight into one interval per day', () => {
+    const fixedTasks = [{
+      id: 'night',
+      dueWithTime: new Date('2024-01-15T22:00:00').getTime(),
+      timeEstimate: 4 * 60 * 60 * 1000,
+    }];
+    expect(AutoPlanner.calculateFixedIntervalsPerDay(fixedTasks)).toEqual({
+      '2024-01-15': [{ start: 1320, end: 1440 }],
+      '2024-01-16': [{ start: 0, end: 120 }],
+    });
+  });
+
+  it('ignores fixed tasks without a scheduled time or estimate', () => {
+    const fixedTasks = [
+      { id: 'a', dueWithTime: null, timeEstimate: 60 * 60 * 1000 },
+      { id: 'b', dueWithTime: new Date('2024-01-15T10:00:00').getTime(), timeEstimate: 0 },
+    ];
+    expect(AutoPlanner.calculateFixedIntervalsPerDay(fixedTasks)).toEqual({});
+  });
+});
+
 describe('AutoPlanner.schedule with fixed tasks', () => {
   const config = {
     ...DEFAULT_CONFIG,
@@ -541,6 +582,10 @@ describe('AutoPlanner.schedule with fixed tasks', () => {
     skipDays: [0, 6],
   };
 
+  const minutesOnDay = (schedule, day) => schedule
+    .filter(s => s.startTime.getDate() === day)
+    .reduce((sum, s) => sum + (s.endTime - s.startTime) / 60000, 0);
+
   it('reduces available time on days with fixed tasks', () => {
     // Create a task that needs 6 hours (fills a whole day normally)
     const task = createTask({
@@ -548,7 +593,7 @@ describe('AutoPlanner.schedule with fixed tasks', () => {
       timeEstimate: 6 * 60 * 60 * 1000, // 6 hours
     });
 
-    // Fixed task takes 4 hours on Jan 15
+    // Fixed task takes 4 hours on Jan 15 (10:00-14:00)
     const fixedTasks = [{
       id: 'fixed-1',
       dueWithTime: new Date('2024-01-15T10:00:00').getTime(),
@@ -559,15 +604,83 @@ describe('AutoPlanner.schedule with fixed tasks', () => {
     const startTime = new Date('2024-01-15T09:00:00'); // Monday
     const result = AutoPlanner.schedule(splits, config, [], [], startTime, fixedTasks);
 
-    expect(result.schedule.length).toBe(3);
+    // Jan 15 has only 2 hours available (9-10 and 14-15), the rest goes to Jan 16
+    expect(minutesOnDay(result.schedule, 15)).toBe(120);
+    expect(minutesOnDay(result.schedule, 16)).toBe(240);
+  });
 
-    // Jan 15 has only 2 hours available (6 - 4 = 2), so only 1 block fits
-    const jan15Blocks = result.schedule.filter(s => s.startTime.getDate() === 15);
-    expect(jan15Blocks.length).toBe(1);
+  it('lays blocks out around a fixed task instead of on top of it', () => {
+    const task = createTask({
+      id: 'task-1',
+      timeEstimate: 2 * 60 * 60 * 1000, // 2 hours
+    });
 
-    // Remaining 2 blocks should be on Jan 16
-    const jan16Blocks = result.schedule.filter(s => s.startTime.getDate() === 16);
-    expect(jan16Blocks.length).toBe(2);
+    // Meeting at 10:00-11:00
+    const fixedTasks = [{
+      id: 'meeting',
+      dueWithTime: new Date('2024-01-15T10:00:00').getTime(),
+      timeEstimate: 60 * 60 * 1000,
+    }];
+
+    const splits = TaskSplitter.splitTask(task, 120, config);
+    const startTime = new Date('2024-01-15T10:00:00');
+    const result = AutoPlanner.schedule(splits, config, [], [], startTime, fixedTasks);
+
+    expect(result.schedule.length).toBe(1);
+    expect(result.schedule[0].startTime.getHours()).toBe(11);
+    expect(result.schedule[0].endTime.getHours()).toBe(13);
+  });
+
+  it('splits a block that a fixed task interrupts', () => {
+    const task = createTask({
+      id: 'task-1',
+      timeEstimate: 2 * 60 * 60 * 1000, // 2 hours
+    });
+
+    // Meeting at 10:00-11:00, the 2-hour block starting at 9:00 does not fit before it
+    const fixedTasks = [{
+      id: 'meeting',
+      dueWithTime: new Date('2024-01-15T10:00:00').getTime(),
+      timeEstimate: 60 * 60 * 1000,
+    }];
+
+    const splits = TaskSplitter.splitTask(task, 120, config);
+    const startTime = new Date('2024-01-15T09:00:00');
+    const result = AutoPlanner.schedule(splits, config, [], [], startTime, fixedTasks);
+
+    expect(result.schedule.length).toBe(2);
+    expect(result.schedule[0].startTime.getHours()).toBe(9);
+    expect(result.schedule[0].endTime.getHours()).toBe(10);
+    expect(result.schedule[1].startTime.getHours()).toBe(11);
+    expect(result.schedule[1].endTime.getHours()).toBe(12);
+  });
+
+  it('blocks the time slot in every time map', () => {
+    const testConfig = {
+      ...config,
+      workdayStartHour: undefined,
+      workdayHours: undefined,
+      skipDays: undefined,
+      timeMaps: {
+        'default': { name: 'Work', days: { 1: { start: '09:00', end: '17:00' } } },
+        'evening': { name: 'Evening', days: { 1: { start: '18:00', end: '21:00' } } },
+      },
+      tagTimeMaps: { 'tag-home': 'evening' },
+    };
+    const task = createTask({ id: 'home', timeEstimate: 60 * 60 * 1000, tagIds: ['tag-home'] });
+
+    // Dinner at 18:00-19:30
+    const fixedTasks = [{
+      id: 'dinner',
+      dueWithTime: new Date('2024-01-15T18:00:00').getTime(),
+      timeEstimate: 90 * 60 * 1000,
+    }];
+
+    const splits = TaskSplitter.splitTask(task, 120, testConfig);
+    const result = AutoPlanner.schedule(splits, testConfig, [], [], new Date('2024-01-15T09:00:00'), fixedTasks);
+
+    expect(result.schedule[0].startTime.getHours()).toBe(19);
+    expect(result.schedule[0].startTime.getMinutes()).toBe(30);
   });
 
   it('skips days entirely filled by fixed tasks', () => {
@@ -655,19 +768,23 @@ describe('AutoPlanner.schedule with fixed tasks', () => {
     const startTime = new Date('2024-01-15T09:00:00');
     const result = AutoPlanner.schedule(splits, config, [], [], startTime, fixedTasks);
 
-    expect(result.schedule.length).toBe(5);
+    // Jan 15: 6h - 4h fixed = 2h available (9-10 and 14-15)
+    expect(minutesOnDay(result.schedule, 15)).toBe(120);
 
-    // Jan 15: 6h - 4h fixed = 2h available = 1 block
-    const jan15Blocks = result.schedule.filter(s => s.startTime.getDate() === 15);
-    expect(jan15Blocks.length).toBe(1);
+    // Jan 16: 6h - 2h fixed = 4h available (9-10 and 12-15)
+    expect(minutesOnDay(result.schedule, 16)).toBe(240);
 
-    // Jan 16: 6h - 2h fixed = 4h available = 2 blocks
-    const jan16Blocks = result.schedule.filter(s => s.startTime.getDate() === 16);
-    expect(jan16Blocks.length).toBe(2);
+    // Jan 17: 6h - 0h fixed = 6h available = remaining 4h
+    expect(minutesOnDay(result.schedule, 17)).toBe(240);
 
-    // Jan 17: 6h - 0h fixed = 6h available = remaining 2 blocks
-    const jan17Blocks = result.schedule.filter(s => s.startTime.getDate() === 17);
-    expect(jan17Blocks.length).toBe(2);
+    // No block overlaps a fixed task
+    for (const block of result.schedule) {
+      for (const fixed of fixedTasks) {
+        const overlaps = block.startTime.getTime() < fixed.dueWithTime + fixed.timeEstimate &&
+          fixed.dueWithTime < block.endTime.getTime();
+        expect(overlaps).toBe(false);
+      }
+    }
   });
 
   it('handles iCal events as fixed tasks blocking time', () => {
@@ -1866,4 +1983,1729 @@ describe('AutoPlanner.schedule with time maps', () => {
     expect(workSchedule.length).toBeGreaterThan(0);
     expect(urgentSchedule.length).toBeGreaterThan(0);
   });
+
+  describe('with multiple intervals per day', () => {
+    const splitShift = [{ startHour: 9, endHour: 12 }, { startHour: 13, endHour: 17 }];
+    const config = {
+      ...DEFAULT_CONFIG,
+      timeMaps: {
+        'default': createTimeMap('Split Shift', {
+          0: null,
+          1: splitShift,
+          2: splitShift,
+          3: splitShift,
+          4: splitShift,
+          5: splitShift,
+          6: null,
+        }),
+      },
+      durationFormula: 'none',
+      oldnessFormula: 'none',
+      skipDays: undefined,
+      workdayStartHour: undefined,
+      workdayHours: undefined,
+    };
+
+    it('never places a block across the gap between intervals', () => {
+      const task = createTask({ id: 'task-1', timeEstimate: 4 * 60 * 60 * 1000 });
+      const splits = TaskSplitter.splitTask(task, 120, config);
+      const startTime = new Date('2024-01-15T09:00:00'); // Monday
+      const result = AutoPlanner.schedule(splits, config, [], [], startTime);
+
+      // 9-11, then 11-12 (dynamic split), then 13-14 after lunch
+      expect(result.schedule.length).toBe(3);
+      expect(result.schedule[0].startTime.getHours()).toBe(9);
+      expect(result.schedule[0].endTime.getHours()).toBe(11);
+      expect(result.schedule[1].startTime.getHours()).toBe(11);
+      expect(result.schedule[1].endTime.getHours()).toBe(12);
+      expect(result.schedule[2].startTime.getHours()).toBe(13);
+      expect(result.schedule[2].endTime.getHours()).toBe(14);
+
+      for (const item of result.schedule) {
+        const lunchStart = new Date(item.startTime);
+        lunchStart.setHours(12, 0, 0, 0);
+        const lunchEnd = new Date(item.startTime);
+        lunchEnd.setHours(13, 0, 0, 0);
+        expect(item.startTime < lunchEnd && item.endTime > lunchStart).toBe(false);
+      }
+    });
+
+    it('uses the full capacity of all intervals in a day', () => {
+      const task = createTask({ id: 'task-1', timeEstimate: 7 * 60 * 60 * 1000 });
+      const splits = TaskSplitter.splitTask(task, 60, config);
+      const startTime = new Date('2024-01-15T09:00:00');
+      const result = AutoPlanner.schedule(splits, config, [], [], startTime);
+
+      expect(result.schedule.length).toBe(7);
+      expect(result.schedule.every(s => s.startTime.getDate() === 15)).toBe(true);
+    });
+
+    it('starts in the next interval when now is inside the gap', () => {
+      const task = createTask({ id: 'task-1', timeEstimate: 1 * 60 * 60 * 1000 });
+      const splits = TaskSplitter.splitTask(task, 60, config);
+      const startTime = new Date('2024-01-15T12:30:00');
+      const result = AutoPlanner.schedule(splits, config, [], [], startTime);
+
+      expect(result.schedule.length).toBe(1);
+      expect(result.schedule[0].startTime.getHours()).toBe(13);
+      expect(result.schedule[0].startTime.getMinutes()).toBe(0);
+    });
+
+    it('leaves an interval tail empty when it is shorter than the minimum block', () => {
+      const testConfig = {
+        ...config,
+        timeMaps: {
+          'default': createTimeMap('Short Morning', {
+            1: [{ startHour: 9, endHour: 10 }, { startHour: 13, endHour: 17 }],
+          }),
+        },
+        minimumBlockSizeMinutes: 90,
+      };
+      const task = createTask({ id: 'task-1', timeEstimate: 2 * 60 * 60 * 1000 });
+      const splits = TaskSplitter.splitTask(task, 120, testConfig);
+      const startTime = new Date('2024-01-15T09:00:00');
+      const result = AutoPlanner.schedule(splits, testConfig, [], [], startTime);
+
+      expect(result.schedule.length).toBe(1);
+      expect(result.schedule[0].startTime.getHours()).toBe(13);
+      expect(result.schedule[0].endTime.getHours()).toBe(15);
+    });
+  });
+});
+
+describe('AutoPlanner.schedule with HH:MM time map boundaries', () => {
+  const officeDay = { start: '08:30', end: '17:15' };
+  const config = {
+    ...DEFAULT_CONFIG,
+    timeMaps: {
+      'default': { name: 'Office', days: { 1: officeDay, 2: officeDay, 3: officeDay, 4: officeDay, 5: officeDay } },
+    },
+    durationFormula: 'none',
+    oldnessFormula: 'none',
+    skipDays: undefined,
+    workdayStartHour: undefined,
+    workdayHours: undefined,
+  };
+
+  it('uses the configured default time map', () => {
+    const lunchDay = [{ start: '08:30', end: '12:00' }, { start: '13:00', end: '17:00' }];
+    const officeConfig = {
+      ...DEFAULT_CONFIG,
+      timeMaps: {
+        'default': {
+          name: 'Office',
+          days: { 1: lunchDay, 2: lunchDay, 3: lunchDay, 4: lunchDay, 5: lunchDay },
+          dateOverrides: { '2024-01-15': null },
+        },
+      },
+    };
+    const task = createTask({ id: 'task-1', timeEstimate: 4 * 60 * 60 * 1000 });
+    const splits = TaskSplitter.splitTask(task, 120, officeConfig);
+    const result = AutoPlanner.schedule(splits, officeConfig, [], [], new Date('2024-01-15T08:00:00'));
+
+    // Monday is off; Tuesday starts at 8:30 and the lunch break stays free
+    expect(result.schedule.map(s => [s.startTime.getDate(), s.startTime.toTimeString().slice(0, 5), s.endTime.toTimeString().slice(0, 5)]))
+      .toEqual([[16, '08:30', '10:30'], [16, '10:30', '12:00'], [16, '13:00', '13:30']]);
+  });
+
+  it('builds the default time map from legacy work hours passed in the config', () => {
+    const legacyConfig = { ...DEFAULT_CONFIG, workdayStartHour: 10, workdayHours: 4 };
+    expect(AutoPlanner.resolveTimeMaps(legacyConfig)['default'].days[1]).toEqual({ startHour: 10, endHour: 14 });
+    expect(AutoPlanner.resolveTimeMaps(DEFAULT_CONFIG)['default']).toEqual(DEFAULT_CONFIG.timeMaps['default']);
+  });
+
+  it('starts blocks at a minute-granular start time', () => {
+    const task = createTask({ id: 'task-1', timeEstimate: 2 * 60 * 60 * 1000 });
+    const splits = TaskSplitter.splitTask(task, 120, config);
+    const result = AutoPlanner.schedule(splits, config, [], [], new Date('2024-01-15T07:00:00'));
+
+    expect(result.schedule.length).toBe(1);
+    expect(result.schedule[0].startTime.getHours()).toBe(8);
+    expect(result.schedule[0].startTime.getMinutes()).toBe(30);
+  });
+
+  it('fills the day up to a minute-granular end time', () => {
+    // 8:30-17:15 = 525 minutes
+    const task = createTask({ id: 'task-1', timeEstimate: 9 * 60 * 60 * 1000 });
+    const splits = TaskSplitter.splitTask(task, 120, config);
+    const result = AutoPlanner.schedule(splits, config, [], [], new Date('2024-01-15T08:30:00'));
+
+    const mondayBlocks = result.schedule.filter(s => s.startTime.getDate() === 15);
+    const mondayMinutes = mondayBlocks.reduce((sum, s) => sum + (s.endTime - s.startTime) / 60000, 0);
+    expect(mondayMinutes).toBe(525);
+    const lastBlock = mondayBlocks[mondayBlocks.length - 1];
+    expect(lastBlock.endTime.getHours()).toBe(17);
+    expect(lastBlock.endTime.getMinutes()).toBe(15);
+  });
+
+  it('counts elapsed minutes from a minute-granular start', () => {
+    const timeMap = config.timeMaps['default'];
+    expect(AutoPlanner.getCurrentDayMinutesForTimeMap(new Date('2024-01-15T09:00:00'), timeMap)).toBe(30);
+  });
+
+  it('advances to a minute-granular start on the next workday', () => {
+    const next = AutoPlanner.advanceToNextWorkdayForTimeMap(new Date('2024-01-15T18:00:00'), config.timeMaps['default']);
+    expect(next.getDate()).toBe(16);
+    expect(next.getHours()).toBe(8);
+    expect(next.getMinutes()).toBe(30);
+  });
+});
+
+describe('AutoPlanner.schedule with date overrides', () => {
+  const workday = { start: '09:00', end: '17:00' };
+  const baseConfig = {
+    ...DEFAULT_CONFIG,
+    timeMaps: {
+      'default': { name: 'Work', days: { 1: workday, 2: workday, 3: workday, 4: workday, 5: workday } },
+    },
+    durationFormula: 'none',
+    oldnessFormula: 'none',
+    skipDays: undefined,
+    workdayStartHour: undefined,
+    workdayHours: undefined,
+  };
+  // Monday 2024-01-15, 9:00
+  const startTime = new Date('2024-01-15T09:00:00');
+
+  it('skips a global holiday', () => {
+    const config = { ...baseConfig, dateOverrides: { '2024-01-15': null } };
+    const task = createTask({ id: 'task-1', timeEstimate: 2 * 60 * 60 * 1000 });
+    const splits = TaskSplitter.splitTask(task, 120, config);
+    const result = AutoPlanner.schedule(splits, config, [], [], startTime);
+
+    expect(result.schedule.length).toBe(1);
+    expect(result.schedule[0].startTime.getDate()).toBe(16);
+    expect(result.schedule[0].startTime.getHours()).toBe(9);
+  });
+
+  it('uses the override hours instead of the weekday hours', () => {
+    // Half day: 9:00-13:00 on Monday
+    const config = { ...baseConfig, dateOverrides: { '2024-01-15': { start: '09:00', end: '13:00' } } };
+    const task = createTask({ id: 'task-1', timeEstimate: 6 * 60 * 60 * 1000 });
+    const splits = TaskSplitter.splitTask(task, 120, config);
+    const result = AutoPlanner.schedule(splits, config, [], [], startTime);
+
+    const mondayBlocks = result.schedule.filter(s => s.startTime.getDate() === 15);
+    const mondayMinutes = mondayBlocks.reduce((sum, s) => sum + (s.endTime - s.startTime) / 60000, 0);
+    expect(mondayMinutes).toBe(240);
+    expect(mondayBlocks[mondayBlocks.length - 1].endTime.getHours()).toBe(13);
+    expect(result.schedule.some(s => s.startTime.getDate() === 16)).toBe(true);
+  });
+
+  it('opens a normally skipped day', () => {
+    // Saturday 2024-01-20 becomes a working day
+    const config = { ...baseConfig, dateOverrides: { '2024-01-20': { start: '10:00', end: '12:00' } } };
+    const task = createTask({ id: 'task-1', timeEstimate: 2 * 60 * 60 * 1000 });
+    const splits = TaskSplitter.splitTask(task, 120, config);
+    const result = AutoPlanner.schedule(splits, config, [], [], new Date('2024-01-20T08:00:00'));
+
+    expect(result.schedule.length).toBe(1);
+    expect(result.schedule[0].startTime.getDate()).toBe(20);
+    expect(result.schedule[0].startTime.getHours()).toBe(10);
+  });
+
+  it('prefers the time map override over the global override', () => {
+    const config = {
+      ...baseConfig,
+      timeMaps: {
+        'default': {
+          ...baseConfig.timeMaps['default'],
+          dateOverrides: { '2024-01-15': { start: '14:00', end: '16:00' } },
+        },
+      },
+      dateOverrides: { '2024-01-15': null },
+    };
+    const task = createTask({ id: 'task-1', timeEstimate: 2 * 60 * 60 * 1000 });
+    const splits = TaskSplitter.splitTask(task, 120, config);
+    const result = AutoPlanner.schedule(splits, config, [], [], startTime);
+
+    expect(result.schedule[0].startTime.getDate()).toBe(15);
+    expect(result.schedule[0].startTime.getHours()).toBe(14);
+  });
+
+  it('only applies a time map override to that time map', () => {
+    const config = {
+      ...baseConfig,
+      timeMaps: {
+        'default': baseConfig.timeMaps['default'],
+        'evening': {
+          name: 'Evening',
+          days: { 1: { start: '18:00', end: '20:00' }, 2: { start: '18:00', end: '20:00' } },
+          dateOverrides: { '2024-01-15': null },
+        },
+      },
+      tagTimeMaps: { 'tag-home': 'evening' },
+    };
+    const workTask = createTask({ id: 'work', timeEstimate: 2 * 60 * 60 * 1000 });
+    const homeTask = createTask({ id: 'home', timeEstimate: 2 * 60 * 60 * 1000, tagIds: ['tag-home'] });
+    const splits = [
+      ...TaskSplitter.splitTask(workTask, 120, config),
+      ...TaskSplitter.splitTask(homeTask, 120, config),
+    ];
+    const result = AutoPlanner.schedule(splits, config, [], [], startTime);
+
+    const work = result.schedule.find(s => s.split.originalTaskId === 'work');
+    const home = result.schedule.find(s => s.split.originalTaskId === 'home');
+    expect(work.startTime.getDate()).toBe(15);
+    expect(home.startTime.getDate()).toBe(16);
+    expect(home.startTime.getHours()).toBe(18);
+  });
+
+  it('skips overridden days when advancing to the next workday', () => {
+    const timeMap = { ...baseConfig.timeMaps['default'], dateOverrides: { '2024-01-16': null } };
+    const next = AutoPlanner.advanceToNextWorkdayForTimeMap(new Date('2024-01-15T18:00:00'), timeMap);
+    expect(next.getDate()).toBe(17);
+    expect(next.getHours()).toBe(9);
+  });
+
+  describe('with a vacation longer than a week', () => {
+    // Off from Tuesday 2024-01-16 to Friday 2024-02-02
+    const dateOverrides = {};
+    for (let day = new Date('2024-01-16T00:00:00'); day <= new Date('2024-02-02T00:00:00'); day.setDate(day.getDate() + 1)) {
+      dateOverrides[AutoPlanner.getDateKey(day)] = null;
+    }
+    const task = createTask({ id: 'task-1', timeEstimate: 10 * 60 * 60 * 1000 });
+
+    it('schedules the rest of the work after the vacation', () => {
+      const config = { ...baseConfig, dateOverrides, maxDaysAhead: 30 };
+      const result = AutoPlanner.schedule(TaskSplitter.splitTask(task, 120, config), config, [], [], startTime);
+
+      const days = result.schedule.map(s => AutoPlanner.getDateKey(s.startTime));
+      expect([...new Set(days)]).toEqual(['2024-01-15', '2024-02-05']);
+      expect(result.schedule[result.schedule.length - 1].endTime).toEqual(new Date('2024-02-05T11:00:00'));
+    });
+
+    it('counts the vacation days towards the planning horizon', () => {
+      const config = { ...baseConfig, dateOverrides, maxDaysAhead: 14 };
+      const result = AutoPlanner.schedule(TaskSplitter.splitTask(task, 120, config), config, [], [], startTime);
+
+      const minutes = result.schedule.reduce((sum, s) => sum + (s.endTime - s.startTime) / 60000, 0);
+      expect(result.schedule.every(s => s.startTime.getDate() === 15)).toBe(true);
+      expect(minutes).toBe(480);
+    });
+  });
+});
+
+describe('AutoPlanner time map interval helpers', () => {
+  const timeMap = {
+    name: 'Split Shift',
+    days: { 1: [{ startHour: 9, endHour: 12 }, { startHour: 13, endHour: 17 }] },
+  };
+  const monday = (time) => new Date(`2024-01-15T${time}:00`);
+
+  it('counts only elapsed minutes inside intervals', () => {
+    expect(AutoPlanner.getCurrentDayMinutesForTimeMap(monday('08:00'), timeMap)).toBe(0);
+    expect(AutoPlanner.getCurrentDayMinutesForTimeMap(monday('10:30'), timeMap)).toBe(90);
+    expect(AutoPlanner.getCurrentDayMinutesForTimeMap(monday('12:30'), timeMap)).toBe(180);
+    expect(AutoPlanner.getCurrentDayMinutesForTimeMap(monday('14:00'), timeMap)).toBe(240);
+    expect(AutoPlanner.getCurrentDayMinutesForTimeMap(monday('20:00'), timeMap)).toBe(420);
+  });
+
+  it('maps working-minute offsets through the intervals', () => {
+    const intervals = [{ start: 540, end: 720 }, { start: 780, end: 1020 }];
+    const day = monday('00:00');
+    expect(AutoPlanner.calculateBlockStartTime(day, 0, intervals).getHours()).toBe(9);
+    expect(AutoPlanner.calculateBlockStartTime(day, 180, intervals).getHours()).toBe(13);
+    const afterLunch = AutoPlanner.calculateBlockStartTime(day, 210, intervals);
+    expect(afterLunch.getHours()).toBe(13);
+    expect(afterLunch.getMinutes()).toBe(30);
+  });
+
+  it('still accepts a start hour for the legacy signature', () => {
+    const start = AutoPlanner.calculateBlockStartTime(monday('00:00'), 90, 9);
+    expect(start.getHours()).toBe(10);
+    expect(start.getMinutes()).toBe(30);
+  });
+
+  it('reports the minutes left before the next gap', () => {
+    const intervals = [{ start: 540, end: 720 }, { start: 780, end: 1020 }];
+    expect(AutoPlanner.getMinutesUntilGap(intervals, 0)).toBe(180);
+    expect(AutoPlanner.getMinutesUntilGap(intervals, 150)).toBe(30);
+    expect(AutoPlanner.getMinutesUntilGap(intervals, 180)).toBe(240);
+    expect(AutoPlanner.getMinutesUntilGap(intervals, 420)).toBe(0);
+  });
+
+  it('advances to the first interval of the next working day', () => {
+    const next = AutoPlanner.advanceToNextWorkdayForTimeMap(new Date('2024-01-14T18:00:00'), timeMap);
+    expect(next.getDate()).toBe(15);
+    expect(next.getHours()).toBe(9);
+  });
+});
+
+describe('AutoPlanner plan stability', () => {
+  const HOUR = 60 * 60 * 1000;
+  const DAY = 24 * HOUR;
+  const workday = { start: '09:00', end: '17:00' };
+  const baseConfig = {
+    ...DEFAULT_CONFIG,
+    timeMaps: {
+      'default': { name: 'Work', days: { 1: workday, 2: workday, 3: workday, 4: workday, 5: workday } },
+    },
+    durationFormula: 'none',
+    oldnessFormula: 'linear',
+    skipDays: undefined,
+    workdayStartHour: undefined,
+    workdayHours: undefined,
+  };
+  // Monday 2024-01-15, 9:00
+  const startTime = new Date('2024-01-15T09:00:00');
+  const at = (time) => new Date(`2024-01-15T${time}:00`);
+
+  // Task A is planned at 10:00; task B is older and therefore more urgent
+  const taskA = createTask({ id: 'a', title: 'A', timeEstimate: 2 * HOUR, created: startTime.getTime() - DAY });
+  const taskB = createTask({ id: 'b', title: 'B', timeEstimate: 2 * HOUR, created: startTime.getTime() - 30 * DAY });
+  const plannedBlocks = [{ taskId: 'a', originalTaskId: 'a', startTime: at('10:00'), endTime: at('12:00') }];
+
+  const run = (config, blocks = plannedBlocks, tasks = [taskA, taskB]) => {
+    const { splits } = TaskSplitter.processAllTasks(tasks, 120, config);
+    return AutoPlanner.schedule(splits, config, [], [], startTime, [], tasks, blocks);
+  };
+  const itemsFor = (result, taskId) => result.schedule.filter(s => s.split.originalTaskId === taskId);
+
+  it('computes the stability horizon', () => {
+    expect(AutoPlanner.getStabilityHorizonEnd(startTime, { stabilityMode: 'none' })).toBeNull();
+    expect(AutoPlanner.getStabilityHorizonEnd(startTime, { stabilityMode: 'today' })).toEqual(new Date('2024-01-16T00:00:00'));
+    expect(AutoPlanner.getStabilityHorizonEnd(startTime, { stabilityMode: 'hours', stabilityHours: 4 })).toEqual(at('13:00'));
+  });
+
+  it('replans everything when plan stability is off', () => {
+    const result = run(baseConfig);
+
+    expect(itemsFor(result, 'b')[0].startTime).toEqual(at('09:00'));
+    expect(itemsFor(result, 'a')[0].startTime).toEqual(at('11:00'));
+    expect(result.schedule.some(s => s.frozen)).toBe(false);
+  });
+
+  it('keeps blocks planned within the rest of today', () => {
+    const result = run({ ...baseConfig, stabilityMode: 'today' });
+
+    const [kept] = itemsFor(result, 'a');
+    expect(kept.startTime).toEqual(at('10:00'));
+    expect(kept.endTime).toEqual(at('12:00'));
+    expect(kept.frozen).toBe(true);
+    expect(kept.split.existingTaskId).toBe('a');
+    expect(itemsFor(result, 'a').length).toBe(1);
+
+    // B is planned around the kept block
+    const bItems = itemsFor(result, 'b');
+    expect(bItems[0].startTime).toEqual(at('09:00'));
+    expect(bItems[0].endTime).toEqual(at('10:00'));
+    expect(bItems[1].startTime).toEqual(at('12:00'));
+  });
+
+  it('returns the schedule in chronological order when blocks are kept', () => {
+    const result = run({ ...baseConfig, stabilityMode: 'today' });
+    const starts = result.schedule.map(s => s.startTime.getTime());
+    expect(starts).toEqual([...starts].sort((x, y) => x - y));
+  });
+
+  it('replans blocks that start after the horizon', () => {
+    const blocks = [{ taskId: 'a', originalTaskId: 'a', startTime: at('14:00'), endTime: at('16:00') }];
+    const result = run({ ...baseConfig, stabilityMode: 'hours', stabilityHours: 2 }, blocks);
+
+    expect(result.schedule.some(s => s.frozen)).toBe(false);
+    expect(itemsFor(result, 'b')[0].startTime).toEqual(at('09:00'));
+  });
+
+  it('ignores blocks that already ended', () => {
+    const now = at('13:00');
+    const { splits } = TaskSplitter.processAllTasks([taskA], 120, baseConfig);
+    const result = AutoPlanner.schedule(splits, { ...baseConfig, stabilityMode: 'today' }, [], [], now, [], [taskA], plannedBlocks);
+
+    expect(result.schedule[0].frozen).toBeUndefined();
+    expect(result.schedule[0].startTime).toEqual(at('13:00'));
+  });
+
+  it('only schedules the rest of a task around its kept block', () => {
+    const longA = { ...taskA, timeEstimate: 5 * HOUR };
+    const result = run({ ...baseConfig, stabilityMode: 'today' }, plannedBlocks, [longA]);
+
+    const aItems = itemsFor(result, 'a');
+    const totalMinutes = aItems.reduce((sum, s) => sum + (s.endTime - s.startTime) / 60000, 0);
+    expect(totalMinutes).toBe(300);
+    expect(aItems.filter(s => s.frozen).length).toBe(1);
+  });
+
+  it('keeps no more time than the task still needs', () => {
+    const shortA = { ...taskA, timeEstimate: 1 * HOUR };
+    const result = run({ ...baseConfig, stabilityMode: 'today' }, plannedBlocks, [shortA]);
+
+    expect(result.schedule.length).toBe(1);
+    expect(result.schedule[0].endTime).toEqual(at('11:00'));
+  });
+
+  it('keeps a block in progress from now on', () => {
+    const now = at('11:00');
+    const { splits } = TaskSplitter.processAllTasks([taskA], 120, baseConfig);
+    const result = AutoPlanner.schedule(splits, { ...baseConfig, stabilityMode: 'today' }, [], [], now, [], [taskA], plannedBlocks);
+
+    // The hour before now isn't counted as done, so it is planned after the kept block
+    expect(result.schedule.map(s => [s.startTime, s.endTime, s.frozen])).toEqual([
+      [at('11:00'), at('12:00'), true],
+      [at('12:00'), at('13:00'), undefined],
+    ]);
+  });
+
+  it('keeps the split index of each kept block', () => {
+    const blocks = [
+      { taskId: 'a', originalTaskId: 'a', splitIndex: 0, startTime: at('10:00'), endTime: at('11:00') },
+      { taskId: 'a-split-1', originalTaskId: 'a', splitIndex: 1, startTime: at('14:00'), endTime: at('15:00') },
+    ];
+    const result = run({ ...baseConfig, stabilityMode: 'today' }, blocks);
+
+    expect(itemsFor(result, 'a').map(s => [s.split.existingTaskId, s.split.splitIndex])).toEqual([['a', 0], ['a-split-1', 1]]);
+  });
+
+  it('does not report deadline misses for tasks covered by kept blocks', () => {
+    const dueA = { ...taskA, dueDay: '2024-01-15' };
+    const result = run({ ...baseConfig, stabilityMode: 'today' }, plannedBlocks, [dueA]);
+
+    expect(result.deadlineMisses).toEqual([]);
+  });
+
+  describe('hysteresis', () => {
+    const blocks = [{ taskId: 'a', originalTaskId: 'a', startTime: at('09:00'), endTime: at('11:00') }];
+
+    it('keeps the planned task in its slot when the other task is only slightly more urgent', () => {
+      const result = run({ ...baseConfig, stabilityHysteresis: 100 }, blocks);
+
+      expect(itemsFor(result, 'a')[0].startTime).toEqual(at('09:00'));
+      expect(itemsFor(result, 'b')[0].startTime).toEqual(at('11:00'));
+    });
+
+    it('lets a clearly more urgent task take the slot', () => {
+      const result = run({ ...baseConfig, stabilityHysteresis: 1 }, blocks);
+
+      expect(itemsFor(result, 'b')[0].startTime).toEqual(at('09:00'));
+    });
+  });
+});
+
+describe('AutoPlanner.schedule with dependencies', () => {
+  const HOUR = 60 * 60 * 1000;
+  const DAY = 24 * HOUR;
+  const workday = { start: '09:00', end: '17:00' };
+  const config = {
+    ...DEFAULT_CONFIG,
+    timeMaps: {
+      'default': { name: 'Work', days: { 1: workday, 2: workday, 3: workday, 4: workday, 5: workday } },
+    },
+    durationFormula: 'none',
+    oldnessFormula: 'linear',
+    skipDays: undefined,
+    workdayStartHour: undefined,
+    workdayHours: undefined,
+  };
+  // Monday 2024-01-15, 9:00
+  const startTime = new Date('2024-01-15T09:00:00');
+  const at = (time) => new Date(`2024-01-15T${time}:00`);
+
+  // Deploy is older (more urgent) but depends on the migration
+  const createDeploy = (overrides = {}) => createTask({
+    id: 'deploy', title: 'Deploy', timeEstimate: 2 * HOUR, created: startTime.getTime() - 30 * DAY,
+    notes: 'Depends: Write migration', ...overrides,
+  });
+  const createMigration = (overrides = {}) => createTask({
+    id: 'migrate', title: 'Write migration', timeEstimate: 2 * HOUR, created: startTime.getTime() - DAY, ...overrides,
+  });
+
+  const run = (tasks, fixedTasks = [], runConfig = config) => {
+    const { splits } = TaskSplitter.processAllTasks(tasks, 120, runConfig);
+    return AutoPlanner.schedule(splits, runConfig, [], [], startTime, fixedTasks, [...tasks, ...fixedTasks]);
+  };
+  const itemsFor = (result, taskId) => result.schedule.filter(s => s.split.originalTaskId === taskId);
+
+  it('schedules a task after its prerequisite', () => {
+    const result = run([createDeploy(), createMigration()]);
+
+    expect(itemsFor(result, 'migrate')[0].startTime).toEqual(at('09:00'));
+    expect(itemsFor(result, 'deploy')[0].startTime).toEqual(at('11:00'));
+    expect(result.dependencyCycles).toEqual([]);
+  });
+
+  it('waits for every block of the prerequisite', () => {
+    const result = run([createDeploy(), createMigration({ timeEstimate: 4 * HOUR })]);
+
+    const migrationEnd = Math.max(...itemsFor(result, 'migrate').map(s => s.endTime.getTime()));
+    expect(itemsFor(result, 'migrate').length).toBe(2);
+    expect(itemsFor(result, 'deploy')[0].startTime.getTime()).toBeGreaterThanOrEqual(migrationEnd);
+  });
+
+  it('skips ahead to the end of a fixed prerequisite', () => {
+    const kickoff = createTask({ id: 'kickoff', title: 'Kickoff', dueWithTime: at('10:00').getTime(), timeEstimate: HOUR });
+    const result = run([createDeploy({ notes: 'Depends: Kickoff' })], [kickoff]);
+
+    expect(result.schedule[0].startTime).toEqual(at('11:00'));
+  });
+
+  it('ignores prerequisites that are done', () => {
+    const done = createMigration({ isDone: true });
+    const { splits } = TaskSplitter.processAllTasks([createDeploy()], 120, config);
+    const result = AutoPlanner.schedule(splits, config, [], [], startTime, [], [createDeploy(), done]);
+
+    expect(result.schedule[0].startTime).toEqual(at('09:00'));
+  });
+
+  it('reports cycles and schedules their tasks anyway', () => {
+    const result = run([
+      createDeploy(),
+      createMigration({ notes: 'Depends: Deploy' }),
+    ]);
+
+    expect(result.dependencyCycles.map(cycle => [...cycle].sort())).toEqual([['deploy', 'migrate']]);
+    expect(itemsFor(result, 'deploy')[0].startTime).toEqual(at('09:00'));
+    expect(itemsFor(result, 'migrate').length).toBe(1);
+  });
+
+  it('reports the prerequisites that make a deadline impossible', () => {
+    const result = run([
+      createDeploy({ timeEstimate: HOUR, notes: 'Depends: Write migration\nDeadline: 2024-01-15 12:00' }),
+      createMigration({ timeEstimate: 4 * HOUR }),
+    ]);
+
+    const miss = result.deadlineMisses.find(m => m.taskId === 'deploy');
+    expect(miss).toBeDefined();
+    expect(miss.dependencyChain).toEqual([
+      { taskId: 'migrate', taskTitle: 'Write migration', scheduledCompletionDate: at('13:00') },
+    ]);
+  });
+
+  it('does not schedule a task whose prerequisite does not fit the horizon', () => {
+    const result = run(
+      [createDeploy({ notes: 'Depends: Write migration\nDeadline: 2024-01-20' }), createMigration({ timeEstimate: 10 * HOUR })],
+      [],
+      { ...config, maxDaysAhead: 1 }
+    );
+
+    expect(itemsFor(result, 'deploy')).toEqual([]);
+    const miss = result.deadlineMisses.find(m => m.taskId === 'deploy');
+    expect(miss.dependencyChain).toEqual([
+      { taskId: 'migrate', taskTitle: 'Write migration', scheduledCompletionDate: null },
+    ]);
+  });
+});
+
+describe('AutoPlanner.schedule with start dates', () => {
+  const HOUR = 60 * 60 * 1000;
+  const workday = { start: '09:00', end: '17:00' };
+  const config = {
+    ...DEFAULT_CONFIG,
+    timeMaps: {
+      'default': { name: 'Work', days: { 1: workday, 2: workday, 3: workday, 4: workday, 5: workday } },
+    },
+    durationFormula: 'none',
+    oldnessFormula: 'none',
+    skipDays: undefined,
+    workdayStartHour: undefined,
+    workdayHours: undefined,
+  };
+  // Monday 2024-01-15, 9:00
+  const startTime = new Date('2024-01-15T09:00:00');
+
+  const run = (tasks, runConfig = config) => {
+    const { splits } = TaskSplitter.processAllTasks(tasks, 120, runConfig);
+    return AutoPlanner.schedule(splits, runConfig, [], [], startTime, [], tasks);
+  };
+
+  it('does not schedule a task before its start date', () => {
+    const task = createTask({ id: 'a', timeEstimate: 2 * HOUR, notes: 'Start: 2024-01-17' });
+    const result = run([task]);
+
+    expect(result.schedule[0].startTime).toEqual(new Date('2024-01-17T09:00:00'));
+  });
+
+  it('starts later on the same day when the start date has a time', () => {
+    const waiting = createTask({ id: 'a', timeEstimate: 2 * HOUR, notes: 'Wait: 2024-01-15 13:00' });
+    const result = run([waiting]);
+
+    expect(result.schedule[0].startTime).toEqual(new Date('2024-01-15T13:00:00'));
+  });
+
+  it('fills the time before the start date with other tasks', () => {
+    const waiting = createTask({ id: 'a', timeEstimate: 2 * HOUR, notes: 'Wait: 2024-01-15 11:00', created: 1 });
+    const other = createTask({ id: 'b', timeEstimate: 2 * HOUR });
+    const result = run([waiting, other]);
+
+    const byId = Object.fromEntries(result.schedule.map(s => [s.split.originalTaskId, s.startTime]));
+    expect(byId.b).toEqual(new Date('2024-01-15T09:00:00'));
+    expect(byId.a).toEqual(new Date('2024-01-15T11:00:00'));
+  });
+
+  it('applies the parent start date to subtasks', () => {
+    const parent = createTask({ id: 'parent', timeEstimate: 0, notes: 'Start: 2024-01-16' });
+    const child = createTask({ id: 'child', parentId: 'parent', timeEstimate: 2 * HOUR });
+    const result = run([parent, child]);
+
+    expect(result.schedule[0].split.originalTaskId).toBe('child');
+    expect(result.schedule[0].startTime).toEqual(new Date('2024-01-16T09:00:00'));
+  });
+
+  it('leaves tasks that start after the planning horizon unscheduled', () => {
+    const task = createTask({ id: 'a', timeEstimate: 2 * HOUR, notes: 'Start: 2024-03-01' });
+    const result = run([task], { ...config, maxDaysAhead: 7 });
+
+    expect(result.schedule).toEqual([]);
+  });
+});
+
+describe('AutoPlanner.schedule with directives', () => {
+  const HOUR = 60 * 60 * 1000;
+  const workday = { start: '09:00', end: '17:00' };
+  const config = {
+    ...DEFAULT_CONFIG,
+    timeMaps: {
+      'default': { name: 'Work', days: { 1: workday, 2: workday, 3: workday, 4: workday, 5: workday } },
+      'evening': { name: 'Evening', days: { 1: { start: '18:00', end: '20:00' } } },
+    },
+    durationFormula: 'none',
+    oldnessFormula: 'none',
+    skipDays: undefined,
+    workdayStartHour: undefined,
+    workdayHours: undefined,
+  };
+  // Monday 2024-01-15, 9:00
+  const startTime = new Date('2024-01-15T09:00:00');
+  const at = (time) => new Date(`2024-01-15T${time}:00`);
+  const meeting = (start, end) => createTask({
+    id: `meeting-${start}`, dueWithTime: at(start).getTime(), timeEstimate: at(end) - at(start),
+  });
+
+  const run = (tasks, fixedTasks = []) => {
+    const { splits } = TaskSplitter.processAllTasks(tasks, config.blockSizeMinutes, config);
+    return AutoPlanner.schedule(splits, config, [], [], startTime, fixedTasks, tasks);
+  };
+
+  it('schedules a nosplit task in the first slot that fits it whole', () => {
+    const task = createTask({ id: 'a', timeEstimate: 3 * HOUR, notes: 'AutoPlan: nosplit' });
+    const result = run([task], [meeting('11:00', '12:00')]);
+
+    expect(result.schedule.length).toBe(1);
+    expect(result.schedule[0].startTime).toEqual(at('12:00'));
+    expect(result.schedule[0].endTime).toEqual(at('15:00'));
+  });
+
+  it('lets other tasks use the slot a nosplit task does not fit', () => {
+    const big = createTask({ id: 'big', timeEstimate: 3 * HOUR, notes: 'AutoPlan: nosplit boost=100' });
+    const small = createTask({ id: 'small', timeEstimate: 2 * HOUR });
+    const result = run([big, small], [meeting('11:00', '12:00')]);
+
+    const byId = Object.fromEntries(result.schedule.map(s => [s.split.originalTaskId, s.startTime]));
+    expect(byId.small).toEqual(at('09:00'));
+    expect(byId.big).toEqual(at('12:00'));
+  });
+
+  it('uses gaps smaller than the global minimum for tasks with a lower minimum', () => {
+    // Free gap of 20 minutes between two meetings
+    const task = createTask({ id: 'a', timeEstimate: HOUR, notes: 'AutoPlan: min=15' });
+    const result = run([task], [meeting('09:00', '10:00'), meeting('10:20', '17:00')]);
+
+    expect(result.schedule[0].startTime).toEqual(at('10:00'));
+    expect(result.schedule[0].endTime).toEqual(at('10:20'));
+  });
+
+  it('uses gaps smaller than the global minimum for tasks whose tag has a lower minimum', () => {
+    const tagConfig = { ...config, tagBlockSizes: { admin: { minimumBlockSizeMinutes: 15 } } };
+    const task = createTask({ id: 'a', timeEstimate: HOUR, tagIds: ['admin'] });
+    const { splits } = TaskSplitter.processAllTasks([task], tagConfig.blockSizeMinutes, tagConfig);
+    const result = AutoPlanner.schedule(
+      splits, tagConfig, [], [], startTime, [meeting('09:00', '10:00'), meeting('10:20', '17:00')], [task]
+    );
+
+    expect(result.schedule[0].startTime).toEqual(at('10:00'));
+    expect(result.schedule[0].endTime).toEqual(at('10:20'));
+  });
+
+  it('schedules a task in the time map of its directive', () => {
+    const task = createTask({ id: 'a', timeEstimate: HOUR, notes: 'AutoPlan: map=evening' });
+    const result = run([task]);
+
+    expect(result.schedule[0].timeMapId).toBe('evening');
+    expect(result.schedule[0].startTime).toEqual(at('18:00'));
+  });
+});
+
+describe('AutoPlanner.schedule with atomic tasks', () => {
+  const HOUR = 60 * 60 * 1000;
+  const workday = { start: '09:00', end: '17:00' };
+  const config = {
+    ...DEFAULT_CONFIG,
+    timeMaps: {
+      'default': { name: 'Work', days: { 1: workday, 2: workday, 3: workday, 4: workday, 5: workday } },
+    },
+    atomicTagId: 'atomic',
+    durationFormula: 'none',
+    oldnessFormula: 'none',
+    skipDays: undefined,
+    workdayStartHour: undefined,
+    workdayHours: undefined,
+  };
+  // Monday 2024-01-15, 9:00
+  const startTime = new Date('2024-01-15T09:00:00');
+  const meeting = (day, start, end) => createTask({
+    id: `meeting-${day}-${start}`,
+    dueWithTime: new Date(`2024-01-${day}T${start}:00`).getTime(),
+    timeEstimate: new Date(`2024-01-${day}T${end}:00`) - new Date(`2024-01-${day}T${start}:00`),
+  });
+
+  const run = (tasks, fixedTasks = [], cfg = config) => {
+    const { splits } = TaskSplitter.processAllTasks(tasks, cfg.blockSizeMinutes, cfg);
+    return AutoPlanner.schedule(splits, cfg, [], [], startTime, fixedTasks, tasks);
+  };
+
+  it('moves an atomic task to the first day with a large enough window', () => {
+    const task = createTask({ id: 'a', timeEstimate: 6 * HOUR, tagIds: ['atomic'] });
+    // Monday is broken up by a meeting at noon
+    const result = run([task], [meeting(15, '12:00', '13:00')]);
+
+    expect(result.schedule.length).toBe(1);
+    expect(result.schedule[0].startTime).toEqual(new Date('2024-01-16T09:00:00'));
+    expect(result.schedule[0].endTime).toEqual(new Date('2024-01-16T15:00:00'));
+    expect(result.unschedulableTasks).toEqual([]);
+  });
+
+  it('reports an atomic task longer than any window', () => {
+    const task = createTask({ id: 'a', title: 'Huge', timeEstimate: 10 * HOUR, tagIds: ['atomic'] });
+    const result = run([task]);
+
+    expect(result.schedule).toEqual([]);
+    expect(result.unschedulableTasks).toEqual([
+      { taskId: 'a', taskTitle: 'Huge', minutes: 600, largestWindowMinutes: 480, reason: 'too-long' },
+    ]);
+  });
+
+  it('reports an atomic task crowded out by other tasks within the horizon', () => {
+    const task = createTask({ id: 'a', title: 'Deep', timeEstimate: 6 * HOUR, tagIds: ['atomic'] });
+    const urgent = createTask({ id: 'urgent', timeEstimate: 4 * HOUR, notes: 'AutoPlan: boost=100' });
+    const result = run([task, urgent], [], { ...config, maxDaysAhead: 1 });
+
+    expect(result.schedule.every(item => item.split.originalTaskId === 'urgent')).toBe(true);
+    expect(result.unschedulableTasks).toEqual([
+      { taskId: 'a', taskTitle: 'Deep', minutes: 360, largestWindowMinutes: 480, reason: 'no-free-window' },
+    ]);
+  });
+});
+
+describe('AutoPlanner.schedule with caps', () => {
+  const HOUR = 60 * 60 * 1000;
+  const workday = { start: '09:00', end: '17:00' };
+  const config = {
+    ...DEFAULT_CONFIG,
+    timeMaps: {
+      'default': { name: 'Work', days: { 1: workday, 2: workday, 3: workday, 4: workday, 5: workday } },
+    },
+    durationFormula: 'none',
+    oldnessFormula: 'none',
+    skipDays: undefined,
+    workdayStartHour: undefined,
+    workdayHours: undefined,
+  };
+  // Monday 2024-01-15, 9:00
+  const startTime = new Date('2024-01-15T09:00:00');
+  const allProjects = [{ id: 'work', title: 'Work' }];
+
+  const run = (tasks, cfg) => {
+    const { splits } = TaskSplitter.processAllTasks(tasks, cfg.blockSizeMinutes, cfg);
+    return AutoPlanner.schedule(splits, cfg, [], allProjects, startTime, [], tasks);
+  };
+  const minutesPerDay = (schedule, taskId) => {
+    const perDay = {};
+    for (const item of schedule.filter(i => i.split.originalTaskId === taskId)) {
+      const day = AutoPlanner.getDateKey(item.startTime);
+      perDay[day] = (perDay[day] || 0) + (item.endTime - item.startTime) / 60000;
+    }
+    return perDay;
+  };
+
+  it('spreads a capped project over several days and lets other work fill the gap', () => {
+    const cfg = { ...config, projectCaps: { work: { dailyMinutes: 180 } } };
+    const big = createTask({ id: 'big', projectId: 'work', timeEstimate: 8 * HOUR, notes: 'AutoPlan: boost=100' });
+    const other = createTask({ id: 'other', projectId: 'home', timeEstimate: 4 * HOUR });
+    const result = run([big, other], cfg);
+
+    expect(minutesPerDay(result.schedule, 'big')).toEqual({ '2024-01-15': 180, '2024-01-16': 180, '2024-01-17': 120 });
+    expect(minutesPerDay(result.schedule, 'other')).toEqual({ '2024-01-15': 240 });
+    expect(result.capDeferrals).toEqual([
+      { taskId: 'big', taskTitle: 'Test Task', cap: 'max 3h/day on project "Work"', dateKeys: ['2024-01-15', '2024-01-16'] },
+    ]);
+  });
+
+  it('limits the number of blocks per day of a task', () => {
+    const task = createTask({ id: 'a', timeEstimate: 6 * HOUR, notes: 'AutoPlan: cap=1block/day' });
+    const result = run([task], config);
+
+    expect(minutesPerDay(result.schedule, 'a')).toEqual({ '2024-01-15': 120, '2024-01-16': 120, '2024-01-17': 120 });
+    expect(result.capDeferrals[0].cap).toBe('max 1 block/day on this task');
+  });
+
+  it('carries weekly caps over to the next week', () => {
+    const cfg = { ...config, tagCaps: { admin: { weeklyMinutes: 240 } } };
+    const task = createTask({ id: 'a', tagIds: ['admin'], timeEstimate: 6 * HOUR });
+    const result = run([task], cfg);
+
+    expect(minutesPerDay(result.schedule, 'a')).toEqual({ '2024-01-15': 240, '2024-01-22': 120 });
+  });
+
+  it('reports no deferrals without caps', () => {
+    const result = run([createTask({ id: 'a' })], config);
+    expect(result.capDeferrals).toEqual([]);
+  });
+});
+
+describe('AutoPlanner.schedule with weekly quotas', () => {
+  const HOUR = 60 * 60 * 1000;
+  const workday = { start: '09:00', end: '17:00' };
+  const config = {
+    ...DEFAULT_CONFIG,
+    timeMaps: {
+      'default': { name: 'Work', days: { 1: workday, 2: workday, 3: workday, 4: workday, 5: workday } },
+    },
+    projectQuotas: { learning: { weeklyMinutes: 240 } },
+    durationFormula: 'none',
+    oldnessFormula: 'none',
+    skipDays: undefined,
+    workdayStartHour: undefined,
+    workdayHours: undefined,
+    maxDaysAhead: 7,
+  };
+  // Monday 2024-01-15, 9:00
+  const startTime = new Date('2024-01-15T09:00:00');
+  const allProjects = [{ id: 'learning', title: 'Learning' }];
+  const urgent = createTask({ id: 'urgent', projectId: 'work', timeEstimate: 40 * HOUR, notes: 'AutoPlan: boost=100' });
+  const course = createTask({ id: 'course', projectId: 'learning', timeEstimate: 10 * HOUR });
+
+  const run = (tasks, allTasks = tasks) => {
+    const { splits } = TaskSplitter.processAllTasks(tasks, config.blockSizeMinutes, config);
+    return AutoPlanner.schedule(splits, config, [], allProjects, startTime, [], allTasks);
+  };
+  const minutesPerDay = (schedule, taskId) => {
+    const perDay = {};
+    for (const item of schedule.filter(i => i.split.originalTaskId === taskId)) {
+      const day = AutoPlanner.getDateKey(item.startTime);
+      perDay[day] = (perDay[day] || 0) + (item.endTime - item.startTime) / 60000;
+    }
+    return perDay;
+  };
+
+  it('reserves the quota evenly over the week ahead of more urgent work', () => {
+    const result = run([urgent, course]);
+
+    expect(minutesPerDay(result.schedule, 'course')).toEqual({
+      '2024-01-15': 48, '2024-01-16': 48, '2024-01-17': 48, '2024-01-18': 48, '2024-01-19': 48,
+    });
+    expect(result.schedule[0].split.originalTaskId).toBe('course');
+    expect(result.quotaFulfilment[0]).toEqual({
+      scope: 'project', id: 'learning', label: 'project "Learning"', weekKey: '2024-01-15',
+      quotaMinutes: 240, loggedMinutes: 0, scheduledMinutes: 240,
+    });
+  });
+
+  it('counts time already logged this week toward the quota', () => {
+    const done = createTask({
+      id: 'done', projectId: 'learning', isDone: true, timeSpentOnDay: { '2024-01-15': 2 * HOUR, '2024-01-12': HOUR },
+    });
+    const result = run([urgent, course], [urgent, course, done]);
+
+    expect(result.quotaFulfilment[0].loggedMinutes).toBe(120);
+    expect(result.quotaFulfilment[0].scheduledMinutes).toBe(120);
+    expect(minutesPerDay(result.schedule, 'course')['2024-01-15']).toBeUndefined();
+  });
+
+  it('fills the rest of the capacity by urgency', () => {
+    const result = run([urgent, course]);
+    const urgentMinutes = Object.values(minutesPerDay(result.schedule, 'urgent')).reduce((a, b) => a + b, 0);
+
+    expect(urgentMinutes).toBe(5 * 8 * 60 - 240);
+  });
+});
+
+describe('AutoPlanner.schedule with time-of-day preferences', () => {
+  const HOUR = 60 * 60 * 1000;
+  const workday = { start: '09:00', end: '17:00' };
+  const config = {
+    ...DEFAULT_CONFIG,
+    timeMaps: {
+      'default': { name: 'Work', days: { 1: workday, 2: workday, 3: workday, 4: workday, 5: workday } },
+    },
+    tagTimePreferences: { deep: { end: '12:00' }, admin: { start: '15:00' } },
+    durationFormula: 'none',
+    oldnessFormula: 'none',
+    skipDays: undefined,
+    workdayStartHour: undefined,
+    workdayHours: undefined,
+  };
+  // Monday 2024-01-15, 9:00
+  const startTime = new Date('2024-01-15T09:00:00');
+  const at = (time) => new Date(`2024-01-15T${time}:00`);
+
+  const run = (tasks, cfg = config) => {
+    const { splits } = TaskSplitter.processAllTasks(tasks, cfg.blockSizeMinutes, cfg);
+    return AutoPlanner.schedule(splits, cfg, [], [], startTime, [], tasks);
+  };
+  const startOf = (result, taskId) => result.schedule.find(i => i.split.originalTaskId === taskId).startTime;
+
+  it('fills slots with the tasks that prefer them', () => {
+    const admin = createTask({ id: 'admin', tagIds: ['admin'], timeEstimate: 2 * HOUR });
+    const deep = createTask({ id: 'deep', tagIds: ['deep'], timeEstimate: 2 * HOUR });
+    const other = createTask({ id: 'other', timeEstimate: 4 * HOUR });
+    const result = run([admin, deep, other]);
+
+    expect(startOf(result, 'deep')).toEqual(at('09:00'));
+    expect(startOf(result, 'other')).toEqual(at('11:00'));
+    expect(startOf(result, 'admin')).toEqual(at('15:00'));
+    expect(result.schedule[0].urgencyComponents.timePreference).toBe(5);
+  });
+
+  it('lets urgent tasks override a preference', () => {
+    const admin = createTask({ id: 'admin', tagIds: ['admin'], timeEstimate: 2 * HOUR, notes: 'AutoPlan: boost=20' });
+    const deep = createTask({ id: 'deep', tagIds: ['deep'], timeEstimate: 2 * HOUR });
+    const result = run([admin, deep]);
+
+    expect(startOf(result, 'admin')).toEqual(at('09:00'));
+  });
+
+  it('ignores preferences with a weight of 0', () => {
+    const admin = createTask({ id: 'admin', tagIds: ['admin'], timeEstimate: 2 * HOUR, created: 1 });
+    const deep = createTask({ id: 'deep', tagIds: ['deep'], timeEstimate: 2 * HOUR, created: 2 });
+    const result = run([admin, deep], { ...config, timePreferenceWeight: 0 });
+
+    expect(startOf(result, 'admin')).toEqual(at('09:00'));
+  });
+});
+
+describe('AutoPlanner.schedule with buffers and breaks', () => {
+  const HOUR = 60 * 60 * 1000;
+  const workday = { start: '09:00', end: '17:00' };
+  const config = {
+    ...DEFAULT_CONFIG,
+    timeMaps: {
+      'default': { name: 'Work', days: { 1: workday, 2: workday, 3: workday, 4: workday, 5: workday } },
+    },
+    durationFormula: 'none',
+    oldnessFormula: 'none',
+    skipDays: undefined,
+    workdayStartHour: undefined,
+    workdayHours: undefined,
+  };
+  // Monday 2024-01-15, 9:00
+  const startTime = new Date('2024-01-15T09:00:00');
+  const at = (time) => new Date(`2024-01-15T${time}:00`);
+
+  const run = (tasks, cfg) => {
+    const { splits } = TaskSplitter.processAllTasks(tasks, cfg.blockSizeMinutes, cfg);
+    return AutoPlanner.schedule(splits, cfg, [], [], startTime, [], tasks);
+  };
+  const times = (result) => result.schedule.map(i => [i.startTime, i.endTime]);
+
+  it('leaves a buffer after each block', () => {
+    const a = createTask({ id: 'a', timeEstimate: 2 * HOUR, notes: 'AutoPlan: boost=10' });
+    const b = createTask({ id: 'b', timeEstimate: 2 * HOUR });
+    const result = run([a, b], { ...config, bufferMinutes: 10 });
+
+    expect(times(result)).toEqual([[at('09:00'), at('11:00')], [at('11:10'), at('13:10')]]);
+    expect(result.breaks).toEqual([{ kind: 'buffer', startTime: at('11:00'), endTime: at('11:10'), timeMapId: 'default' }]);
+  });
+
+  it('only leaves buffers between different tasks if configured', () => {
+    const a = createTask({ id: 'a', timeEstimate: 4 * HOUR, notes: 'AutoPlan: boost=10' });
+    const b = createTask({ id: 'b', timeEstimate: 2 * HOUR });
+    const result = run([a, b], { ...config, bufferMinutes: 10, bufferOnlyOnTaskChange: true });
+
+    expect(times(result)).toEqual([
+      [at('09:00'), at('11:00')], [at('11:00'), at('13:00')], [at('13:10'), at('15:10')],
+    ]);
+  });
+
+  it('takes a break after the configured amount of work', () => {
+    const a = createTask({ id: 'a', timeEstimate: 4 * HOUR, notes: 'AutoPlan: block=60' });
+    const result = run([a], { ...config, breakEveryMinutes: 120, breakMinutes: 10 });
+
+    expect(times(result)).toEqual([
+      [at('09:00'), at('10:00')], [at('10:00'), at('11:00')], [at('11:10'), at('12:10')], [at('12:10'), at('13:10')],
+    ]);
+    expect(result.breaks.map(b => [b.kind, b.startTime])).toEqual([['break', at('11:00')]]);
+  });
+
+  it('cuts a block at the next break', () => {
+    const a = createTask({ id: 'a', timeEstimate: 3 * HOUR, notes: 'AutoPlan: block=180' });
+    const result = run([a], { ...config, breakEveryMinutes: 120, breakMinutes: 15 });
+
+    expect(times(result)).toEqual([[at('09:00'), at('11:00')], [at('11:15'), at('12:15')]]);
+  });
+
+  it('takes breaks only after work, even with breaks due before the minimum block', () => {
+    const a = createTask({ id: 'a', timeEstimate: 2 * HOUR });
+    const result = run([a], { ...config, breakEveryMinutes: 15, breakMinutes: 5 });
+
+    // Breaks come after a minimum block (30 minutes) of work
+    expect(times(result)).toEqual([
+      [at('09:00'), at('09:30')], [at('09:35'), at('10:05')], [at('10:10'), at('10:40')], [at('10:45'), at('11:15')],
+    ]);
+    expect(result.breaks.map(b => [b.startTime, b.endTime])).toEqual([
+      [at('09:30'), at('09:35')], [at('10:05'), at('10:10')], [at('10:40'), at('10:45')],
+    ]);
+  });
+
+  it('takes no breaks with a break length of 0', () => {
+    const a = createTask({ id: 'a', timeEstimate: 2 * HOUR });
+    const result = run([a], { ...config, breakEveryMinutes: 30, breakMinutes: 0 });
+
+    expect(times(result)).toEqual([[at('09:00'), at('11:00')]]);
+    expect(result.breaks).toEqual([]);
+  });
+
+  it('does not count pauses as long as a break towards the next break', () => {
+    const a = createTask({ id: 'a', timeEstimate: 3 * HOUR, notes: 'AutoPlan: block=90' });
+    const meeting = createTask({ id: 'm', dueWithTime: at('10:30').getTime(), timeEstimate: HOUR });
+    const { splits } = TaskSplitter.processAllTasks([a], 120, config);
+    const cfg = { ...config, breakEveryMinutes: 120, breakMinutes: 10 };
+    const result = AutoPlanner.schedule(splits, cfg, [], [], startTime, [meeting], [a]);
+
+    expect(times(result)).toEqual([[at('09:00'), at('10:30')], [at('11:30'), at('13:00')]]);
+    expect(result.breaks).toEqual([]);
+  });
+});
+
+describe('AutoPlanner.getContextSwitchPenalty', () => {
+  const config = { projectContextSwitch: { a: { penalty: 5 } }, tagContextSwitch: { deep: { penalty: 3 }, misc: {} } };
+
+  it('charges the penalties of the project and tags that are left', () => {
+    const previous = { id: 'p', projectId: 'a', tagIds: ['deep', 'misc'] };
+    expect(AutoPlanner.getContextSwitchPenalty(previous, { id: 't', projectId: 'b', tagIds: [] }, config)).toBe(8);
+    expect(AutoPlanner.getContextSwitchPenalty(previous, { id: 't', projectId: 'a', tagIds: [] }, config)).toBe(3);
+    expect(AutoPlanner.getContextSwitchPenalty(previous, { id: 't', projectId: 'a', tagIds: ['deep'] }, config)).toBe(0);
+  });
+
+  it('is 0 for the first block and for the same task', () => {
+    const task = { id: 't', projectId: 'a', tagIds: ['deep'] };
+    expect(AutoPlanner.getContextSwitchPenalty(null, task, config)).toBe(0);
+    expect(AutoPlanner.getContextSwitchPenalty(task, { ...task, projectId: 'b' }, config)).toBe(0);
+  });
+});
+
+describe('AutoPlanner.schedule with context switch penalties', () => {
+  const HOUR = 60 * 60 * 1000;
+  const workday = { start: '09:00', end: '17:00' };
+  const config = {
+    ...DEFAULT_CONFIG,
+    timeMaps: {
+      'default': { name: 'Work', days: { 1: workday, 2: workday, 3: workday, 4: workday, 5: workday } },
+    },
+    durationFormula: 'none',
+    oldnessFormula: 'none',
+    skipDays: undefined,
+    workdayStartHour: undefined,
+    workdayHours: undefined,
+  };
+  const startTime = new Date('2024-01-15T09:00:00');
+  const tasks = [
+    createTask({ id: 'a1', projectId: 'a', timeEstimate: 2 * HOUR, notes: 'AutoPlan: boost=10' }),
+    createTask({ id: 'b1', projectId: 'b', timeEstimate: 2 * HOUR, notes: 'AutoPlan: boost=9' }),
+    createTask({ id: 'a2', projectId: 'a', timeEstimate: 2 * HOUR, notes: 'AutoPlan: boost=8' }),
+  ];
+
+  const run = (cfg) => {
+    const { splits } = TaskSplitter.processAllTasks(tasks, cfg.blockSizeMinutes, cfg);
+    return AutoPlanner.schedule(splits, cfg, [], [], startTime, [], tasks);
+  };
+
+  it('orders by urgency alone without penalties', () => {
+    const result = run(config);
+    expect(result.schedule.map(i => i.split.originalTaskId)).toEqual(['a1', 'b1', 'a2']);
+  });
+
+  it('stays in the project when switching away costs more than the urgency gained', () => {
+    const result = run({ ...config, projectContextSwitch: { a: { penalty: 5 } } });
+
+    expect(result.schedule.map(i => i.split.originalTaskId)).toEqual(['a1', 'a2', 'b1']);
+    expect(result.schedule[1].urgencyComponents.contextSwitch).toBe(0);
+    expect(result.schedule[2].urgencyComponents.contextSwitch).toBe(-5);
+  });
+
+  it('reports the penalty in the urgency components', () => {
+    const result = run({ ...config, projectContextSwitch: { a: { penalty: 0.5 } } });
+
+    expect(result.schedule.map(i => i.split.originalTaskId)).toEqual(['a1', 'b1', 'a2']);
+    expect(result.schedule[1].urgencyComponents.contextSwitch).toBe(-0.5);
+  });
+});
+
+describe('AutoPlanner.createUrgencyCalculator', () => {
+  const HOUR = 60 * 60 * 1000;
+  const config = {
+    ...DEFAULT_CONFIG,
+    durationFormula: 'log',
+    oldnessFormula: 'linear',
+    tagPriorities: { Urgent: 4 },
+    projectPriorities: { Work: 2 },
+    tagTimePreferences: { urgent: { start: '09:00', end: '12:00' } },
+  };
+  const tags = [{ id: 'urgent', title: 'Urgent' }];
+  const projects = [{ id: 'work', title: 'Work' }];
+  const task = createTask({
+    id: 'task-1', tagIds: ['urgent'], projectId: 'work', notes: 'Deadline: 2024-01-20\nAutoPlan: boost=3',
+  });
+  const split = { originalTaskId: 'task-1', originalTask: task, splitIndex: 0, estimatedMs: 2 * HOUR };
+
+  it('matches PriorityCalculator.calculateUrgency for the remaining time and slot time', () => {
+    const calculate = AutoPlanner.createUrgencyCalculator(config, tags, projects, [task]);
+
+    for (const time of [new Date('2024-01-15T10:00:00'), new Date('2024-01-18T14:00:00')]) {
+      const expected = PriorityCalculator.calculateUrgency(
+        { ...task, timeEstimate: 3 * HOUR, timeSpent: 0 }, config, tags, projects, time, [task]
+      );
+      const timePreference = time.getHours() < 12 ? 5 : -5;
+      const result = calculate(split, 3 * HOUR, time);
+
+      expect(result.urgency).toBe(expected.total + timePreference);
+      expect(result.urgencyComponents).toEqual({ ...expected.components, timePreference });
+    }
+  });
+
+  it('gives the same result as calculateSplitUrgency', () => {
+    const time = new Date('2024-01-16T09:00:00');
+    const calculate = AutoPlanner.createUrgencyCalculator(config, tags, projects, [task]);
+    const other = { ...split, splitIndex: 1, estimatedMs: HOUR };
+
+    const { urgency, urgencyComponents } = AutoPlanner.calculateSplitUrgency(
+      split, [split, other], config, tags, projects, time, [task]
+    );
+
+    expect(calculate(split, 3 * HOUR, time)).toEqual({ urgency, urgencyComponents });
+  });
+});
+
+describe('AutoPlanner.optimizeSchedule', () => {
+  const HOUR = 60 * 60 * 1000;
+  const workday = { start: '09:00', end: '17:00' };
+  const config = {
+    ...DEFAULT_CONFIG,
+    timeMaps: {
+      'default': { name: 'Work', days: { 1: workday, 2: workday, 3: workday, 4: workday, 5: workday } },
+    },
+    durationFormula: 'none',
+    oldnessFormula: 'none',
+    skipDays: undefined,
+    workdayStartHour: undefined,
+    workdayHours: undefined,
+    schedulingMode: 'optimal',
+  };
+  const startTime = new Date('2024-01-15T09:00:00');
+
+  const run = (tasks, cfg = config) => {
+    const { splits } = TaskSplitter.processAllTasks(tasks, cfg.blockSizeMinutes, cfg);
+    return {
+      greedy: AutoPlanner.schedule(splits.map(s => ({ ...s })), cfg, [], [], startTime, [], tasks),
+      optimal: AutoPlanner.optimizeSchedule(splits, cfg, [], [], startTime, [], tasks),
+    };
+  };
+  const getStartOrder = (result) => [...new Set(result.schedule.map(i => i.split.originalTaskId))];
+
+  it('meets a deadline the greedy order misses', () => {
+    const tasks = [
+      createTask({ id: 'a', timeEstimate: 8 * HOUR, notes: 'AutoPlan: boost=20' }),
+      createTask({ id: 'b', timeEstimate: 8 * HOUR, notes: 'Deadline: 2024-01-15' }),
+    ];
+    const { greedy, optimal } = run(tasks);
+
+    expect(greedy.deadlineMisses.map(m => m.taskId)).toEqual(['b']);
+    expect(optimal.deadlineMisses).toEqual([]);
+    expect(getStartOrder(optimal)).toEqual(['b', 'a']);
+    expect(optimal.optimization.greedyLatenessMinutes).toBeGreaterThan(0);
+    expect(optimal.optimization.latenessMinutes).toBe(0);
+    expect(optimal.optimization.provablyInfeasible).toBe(false);
+  });
+
+  it('keeps to the urgency order where it costs no lateness', () => {
+    const tasks = [
+      createTask({ id: 'a', timeEstimate: 2 * HOUR, notes: 'AutoPlan: boost=20' }),
+      createTask({ id: 'b', timeEstimate: 6 * HOUR, notes: 'Deadline: 2024-01-15' }),
+      createTask({ id: 'c', timeEstimate: 2 * HOUR, notes: 'AutoPlan: boost=10' }),
+    ];
+    const { greedy, optimal } = run(tasks);
+
+    expect(getStartOrder(greedy)).toEqual(['a', 'c', 'b']);
+    expect(getStartOrder(optimal)).toEqual(['a', 'b', 'c']);
+    expect(optimal.deadlineMisses).toEqual([]);
+  });
+
+  it('returns the greedy schedule when it misses no deadline', () => {
+    const tasks = [
+      createTask({ id: 'a', timeEstimate: 2 * HOUR, notes: 'Deadline: 2024-01-19' }),
+      createTask({ id: 'b', timeEstimate: 2 * HOUR }),
+    ];
+    const { greedy, optimal } = run(tasks);
+
+    expect(getStartOrder(optimal)).toEqual(getStartOrder(greedy));
+    expect(optimal.optimization.evaluations).toBe(1);
+  });
+
+  it('reports deadlines that no order can meet', () => {
+    const tasks = [
+      createTask({ id: 'a', timeEstimate: 4 * HOUR, notes: 'Deadline: 2024-01-15' }),
+      createTask({ id: 'b', timeEstimate: 6 * HOUR, notes: 'Deadline: 2024-01-15' }),
+      createTask({ id: 'c', timeEstimate: 2 * HOUR }),
+    ];
+    const { optimal } = run(tasks);
+
+    expect(optimal.optimization.provablyInfeasible).toBe(true);
+    expect(optimal.optimization.infeasibleDeadlines).toEqual([expect.objectContaining({
+      taskIds: ['a', 'b'], workMinutes: 600, capacityMinutes: 480, timeMapIds: ['default'],
+    })]);
+  });
+
+  it('counts the overlapping hours of time maps once', () => {
+    const focusConfig = {
+      ...config,
+      timeMaps: { ...config.timeMaps, 'focus': { name: 'Focus', days: { 1: { start: '09:00', end: '12:00' } } } },
+      tagTimeMaps: { focus: 'focus' },
+      projectTimeMaps: { work: 'default' },
+    };
+    const tasks = [createTask({ id: 'a', timeEstimate: 10 * HOUR, tagIds: ['focus'], projectId: 'work', notes: 'Deadline: 2024-01-15' })];
+    const { splits } = TaskSplitter.processAllTasks(tasks, focusConfig.blockSizeMinutes, focusConfig);
+
+    // 9:00-17:00 and 9:00-12:00 together are 8 hours, not 11
+    expect(AutoPlanner.findInfeasibleDeadlines(splits, focusConfig, startTime, [], tasks)).toEqual([expect.objectContaining({
+      taskIds: ['a'], workMinutes: 600, capacityMinutes: 480, timeMapIds: ['default', 'focus'],
+    })]);
+  });
+
+  it('stops searching when the time budget is used up', () => {
+    const tasks = [
+      createTask({ id: 'a', timeEstimate: 8 * HOUR, notes: 'AutoPlan: boost=20' }),
+      createTask({ id: 'b', timeEstimate: 8 * HOUR, notes: 'Deadline: 2024-01-15' }),
+    ];
+    const { optimal } = run(tasks, { ...config, optimizeTimeBudgetMs: 0 });
+
+    expect(optimal.optimization.timedOut).toBe(true);
+    expect(optimal.optimization.evaluations).toBe(1);
+    expect(optimal.deadlineMisses.map(m => m.taskId)).toEqual(['b']);
+  });
+});
+
+describe('AutoPlanner.schedule with a task order', () => {
+  it('lets tasks take slots in the given order instead of by urgency', () => {
+    const config = {
+      ...DEFAULT_CONFIG,
+      durationFormula: 'none',
+      oldnessFormula: 'none',
+      taskOrder: ['b', 'a'],
+    };
+    const tasks = [
+      createTask({ id: 'a', timeEstimate: 2 * 60 * 60 * 1000, notes: 'AutoPlan: boost=20' }),
+      createTask({ id: 'b', timeEstimate: 2 * 60 * 60 * 1000 }),
+      createTask({ id: 'c', timeEstimate: 2 * 60 * 60 * 1000, notes: 'AutoPlan: boost=5' }),
+    ];
+    const { splits } = TaskSplitter.processAllTasks(tasks, 120, config);
+    const result = AutoPlanner.schedule(splits, config, [], [], new Date('2024-01-15T09:00:00'), [], tasks);
+
+    expect(result.schedule.map(i => i.split.originalTaskId)).toEqual(['b', 'a', 'c']);
+  });
+});
+
+describe('AutoPlanner.findLatestBlocks', () => {
+  const workday = { start: '09:00', end: '17:00' };
+  const options = {
+    timeMapIds: ['default'],
+    timeMaps: { 'default': { name: 'Work', days: { 1: workday, 2: workday, 3: workday, 4: workday, 5: workday } } },
+    busyIntervalsPerDay: {},
+    earliestStart: new Date('2024-01-15T09:00:00'),
+    latestEnd: new Date('2024-01-17T12:00:00'),
+    blockSizeMinutes: 120,
+    minBlockMinutes: 30,
+    noSplit: false,
+  };
+  const times = (blocks) => blocks.map(b => [b.startTime.toTimeString().slice(0, 5), b.endTime.toTimeString().slice(0, 5), b.startTime.getDate()]);
+
+  it('lays out blocks backwards from the latest end', () => {
+    const blocks = AutoPlanner.findLatestBlocks(300, options);
+
+    expect(times(blocks)).toEqual([['15:00', '17:00', 16], ['09:00', '10:00', 17], ['10:00', '12:00', 17]]);
+    expect(blocks.every(b => b.timeMapId === 'default')).toBe(true);
+  });
+
+  it('skips busy time and slots shorter than the minimum block', () => {
+    const busyIntervalsPerDay = { '2024-01-17': [{ start: 9 * 60 + 20, end: 10 * 60 }] };
+    const blocks = AutoPlanner.findLatestBlocks(180, { ...options, busyIntervalsPerDay });
+
+    expect(times(blocks)).toEqual([['16:00', '17:00', 16], ['10:00', '12:00', 17]]);
+  });
+
+  it('puts atomic work in one block and returns null when it does not fit', () => {
+    expect(times(AutoPlanner.findLatestBlocks(240, { ...options, noSplit: true }))).toEqual([['13:00', '17:00', 16]]);
+    expect(AutoPlanner.findLatestBlocks(600, { ...options, noSplit: true })).toBeNull();
+    expect(AutoPlanner.findLatestBlocks(2000, options)).toBeNull();
+  });
+});
+
+describe('AutoPlanner.schedule in the as-late-as-possible mode', () => {
+  const HOUR = 60 * 60 * 1000;
+  const workday = { start: '09:00', end: '17:00' };
+  const config = {
+    ...DEFAULT_CONFIG,
+    timeMaps: {
+      'default': { name: 'Work', days: { 1: workday, 2: workday, 3: workday, 4: workday, 5: workday } },
+    },
+    durationFormula: 'none',
+    oldnessFormula: 'none',
+    skipDays: undefined,
+    workdayStartHour: undefined,
+    workdayHours: undefined,
+    schedulingMode: 'alap',
+    alapMarginHours: 24,
+  };
+  const startTime = new Date('2024-01-15T09:00:00');
+
+  const run = (tasks, cfg = config) => {
+    const { splits } = TaskSplitter.processAllTasks(tasks, cfg.blockSizeMinutes, cfg);
+    return AutoPlanner.schedule(splits, cfg, [], [], startTime, [], tasks);
+  };
+  const blocksOf = (result, taskId) => result.schedule
+    .filter(i => i.split.originalTaskId === taskId)
+    .map(i => `${i.startTime.getDate()} ${i.startTime.toTimeString().slice(0, 5)}-${i.endTime.toTimeString().slice(0, 5)}`);
+
+  it('plans deadline tasks as late as the margin allows and other work first', () => {
+    const tasks = [
+      createTask({ id: 'due', title: 'Report', timeEstimate: 4 * HOUR, notes: 'Deadline: 2024-01-19' }),
+      createTask({ id: 'free', timeEstimate: 4 * HOUR }),
+    ];
+    const result = run(tasks);
+
+    expect(blocksOf(result, 'free')).toEqual(['15 09:00-11:00', '15 11:00-13:00']);
+    expect(blocksOf(result, 'due')).toEqual(['18 13:00-15:00', '18 15:00-17:00']);
+    const reserved = result.schedule.filter(i => i.reserved);
+    expect(reserved.map(i => [i.split.splitIndex, i.split.totalSplits, i.split.title])).toEqual([
+      [0, 2, 'Report <I>'], [1, 2, 'Report <II>'],
+    ]);
+    expect(result.deadlineMisses).toEqual([]);
+  });
+
+  it('reports the slack of every deadline task', () => {
+    const tasks = [createTask({ id: 'due', timeEstimate: 4 * HOUR, notes: 'Deadline: 2024-01-19' })];
+    const result = run(tasks);
+
+    expect(result.deadlineSlack).toEqual([expect.objectContaining({
+      taskId: 'due', slackMinutes: 31 * 60, reserved: true,
+    })]);
+  });
+
+  it('drops the margin when the work only fits before the deadline itself', () => {
+    const tasks = [createTask({ id: 'due', timeEstimate: 8 * HOUR, notes: 'Deadline: 2024-01-15' })];
+    const result = run(tasks);
+
+    expect(blocksOf(result, 'due')).toEqual(['15 09:00-11:00', '15 11:00-13:00', '15 13:00-15:00', '15 15:00-17:00']);
+    expect(result.deadlineMisses).toEqual([]);
+  });
+
+  it('schedules tasks with dependencies forward', () => {
+    const tasks = [
+      createTask({ id: 'first', title: 'First', timeEstimate: 2 * HOUR, notes: 'Deadline: 2024-01-19' }),
+      createTask({ id: 'second', timeEstimate: 2 * HOUR, notes: 'Deadline: 2024-01-19\nDepends: First' }),
+    ];
+    const result = run(tasks);
+
+    expect(result.schedule.some(i => i.reserved)).toBe(false);
+    expect(blocksOf(result, 'first')).toEqual(['15 09:00-11:00']);
+  });
+});
+
+describe('AutoPlanner.schedule deadline health', () => {
+  const HOUR = 60 * 60 * 1000;
+  const workday = { start: '09:00', end: '17:00' };
+  const config = {
+    ...DEFAULT_CONFIG,
+    timeMaps: {
+      'default': { name: 'Work', days: { 1: workday, 2: workday, 3: workday, 4: workday, 5: workday } },
+    },
+    durationFormula: 'none',
+    oldnessFormula: 'none',
+    skipDays: undefined,
+    workdayStartHour: undefined,
+    workdayHours: undefined,
+  };
+  const startTime = new Date('2024-01-15T09:00:00');
+
+  const run = (tasks, fixedTasks = []) => {
+    const { splits } = TaskSplitter.processAllTasks(tasks, config.blockSizeMinutes, config);
+    return AutoPlanner.schedule(splits, config, [], [], startTime, fixedTasks, tasks);
+  };
+  const healthOf = (result, taskId) => result.deadlineHealth.find(entry => entry.taskId === taskId);
+
+  it('reports work, capacity and slack before the deadline', () => {
+    const tasks = [createTask({ id: 'due', timeEstimate: 4 * HOUR, notes: 'Deadline: 2024-01-19' })];
+    const result = run(tasks);
+
+    expect(healthOf(result, 'due')).toEqual(expect.objectContaining({
+      remainingHours: 4, capacityHours: 40, claimedShare: 0, slackHours: 36, risk: 'low',
+    }));
+  });
+
+  it('counts time taken by more urgent tasks and fixed tasks', () => {
+    const tasks = [
+      createTask({ id: 'hot', timeEstimate: 8 * HOUR, notes: 'Deadline: 2024-01-15' }),
+      createTask({ id: 'due', timeEstimate: 28 * HOUR, notes: 'Deadline: 2024-01-19' }),
+    ];
+    const fixedTasks = [{ id: 'meeting', dueWithTime: new Date('2024-01-16T09:00:00').getTime(), timeEstimate: 2 * HOUR }];
+    const result = run(tasks, fixedTasks);
+
+    expect(healthOf(result, 'due')).toEqual(expect.objectContaining({
+      remainingHours: 28, capacityHours: 38, slackHours: 2, risk: 'medium',
+    }));
+    expect(healthOf(result, 'due').claimedShare).toBeCloseTo(8 / 38);
+    expect(healthOf(result, 'hot')).toEqual(expect.objectContaining({ claimedShare: 0, slackHours: 0 }));
+  });
+
+  it('marks deadlines that cannot be met as high risk', () => {
+    const tasks = [createTask({ id: 'due', timeEstimate: 10 * HOUR, notes: 'Deadline: 2024-01-15' })];
+    const result = run(tasks);
+
+    expect(healthOf(result, 'due')).toEqual(expect.objectContaining({
+      remainingHours: 10, capacityHours: 8, slackHours: -2, risk: 'high',
+    }));
+  });
+
+  it('counts the overlapping hours of time maps once', () => {
+    const focusConfig = {
+      ...config,
+      timeMaps: { ...config.timeMaps, 'focus': { name: 'Focus', days: { 1: { start: '09:00', end: '12:00' } } } },
+      tagTimeMaps: { focus: 'focus' },
+      projectTimeMaps: { work: 'default' },
+    };
+    const tasks = [createTask({ id: 'due', timeEstimate: 4 * HOUR, tagIds: ['focus'], projectId: 'work', notes: 'Deadline: 2024-01-15' })];
+    const { splits } = TaskSplitter.processAllTasks(tasks, focusConfig.blockSizeMinutes, focusConfig);
+    const result = AutoPlanner.schedule(splits, focusConfig, [], [], startTime, [], tasks);
+
+    expect(healthOf(result, 'due')).toEqual(expect.objectContaining({ capacityHours: 8, slackHours: 4 }));
+  });
+});
+
+describe('AutoPlanner.simulateDeadlineProbabilities', () => {
+  const HOUR = 60 * 60 * 1000;
+  const workday = { start: '09:00', end: '17:00' };
+  const config = {
+    ...DEFAULT_CONFIG,
+    timeMaps: {
+      'default': { name: 'Work', days: { 1: workday, 2: workday, 3: workday, 4: workday, 5: workday } },
+    },
+    durationFormula: 'none',
+    oldnessFormula: 'none',
+    skipDays: undefined,
+    workdayStartHour: undefined,
+    workdayHours: undefined,
+    monteCarloRuns: 40,
+  };
+  const startTime = new Date('2024-01-15T09:00:00');
+  const simulate = (tasks, allTasks = tasks, cfg = config, historyTasks = allTasks) =>
+    AutoPlanner.simulateDeadlineProbabilities(tasks, cfg, [], [], startTime, [], allTasks, [], historyTasks);
+  const history = (ratio, overrides = {}) => Array.from({ length: 5 }, (_, i) =>
+    createTask({ id: `done${i}`, isDone: true, timeEstimate: 2 * HOUR, timeSpent: 2 * HOUR * ratio, ...overrides }));
+
+  it('is certain about tasks without uncertainty', () => {
+    const tasks = [
+      createTask({ id: 'fits', timeEstimate: 4 * HOUR, notes: 'Deadline: 2024-01-19' }),
+      createTask({ id: 'late', timeEstimate: 10 * HOUR, notes: 'Deadline: 2024-01-15' }),
+      createTask({ id: 'free', timeEstimate: 2 * HOUR }),
+    ];
+    const result = simulate(tasks);
+
+    expect(result.runs).toBe(40);
+    expect(result.deadlineProbabilities.map(p => [p.taskId, p.probability])).toEqual([['fits', 1], ['late', 0]]);
+  });
+
+  it('draws estimates from the range in the notes, reproducibly', () => {
+    // Monday has 8 hours: the task is on time whenever it takes at most 8 of its 6-10 hours
+    const tasks = [createTask({ id: 'due', timeEstimate: 8 * HOUR, notes: 'Deadline: 2024-01-15\nAutoPlan: estimate=6h-10h' })];
+    const result = simulate(tasks);
+
+    const { probability } = result.deadlineProbabilities[0];
+    expect(probability).toBeGreaterThan(0.2);
+    expect(probability).toBeLessThan(0.8);
+    expect(simulate(tasks)).toEqual(result);
+  });
+
+  it('varies other estimates by the overruns of done tasks', () => {
+    const tasks = [createTask({ id: 'due', timeEstimate: 6 * HOUR, notes: 'Deadline: 2024-01-15' })];
+
+    expect(simulate(tasks, [...tasks, ...history(2)]).deadlineProbabilities[0].probability).toBe(0);
+    expect(simulate(tasks, [...tasks, ...history(1.2)]).deadlineProbabilities[0].probability).toBe(1);
+    // Too few done tasks to learn from
+    expect(simulate(tasks, [...tasks, ...history(2).slice(0, 4)]).deadlineProbabilities[0].probability).toBe(1);
+  });
+
+  it('learns the overruns from the history tasks, not the merged tasks', () => {
+    const tasks = [createTask({ id: 'due', timeEstimate: 6 * HOUR, notes: 'Deadline: 2024-01-15' })];
+    const doneSplits = history(2).map((task, i) => ({
+      ...task, notes: `[AutoPlan] Split ${i + 1}/5 of "Done"\n[AutoPlan] Original Task ID: done`,
+    }));
+
+    expect(simulate(tasks, tasks, config, [...tasks, ...doneSplits]).deadlineProbabilities[0].probability).toBe(0);
+  });
+
+  it('inflates the estimates like the real run', () => {
+    // 6-7 hours fit into Monday, 9-10.5 hours with the learned factor of 1.5 don't
+    const tasks = [createTask({ id: 'due', projectId: 'work', timeEstimate: 6 * HOUR, notes: 'Deadline: 2024-01-15\nAutoPlan: estimate=6h-7h' })];
+    const allTasks = [...tasks, ...history(1.5, { projectId: 'work' })];
+
+    expect(simulate(tasks, allTasks).deadlineProbabilities[0].probability).toBe(1);
+    expect(simulate(tasks, allTasks, { ...config, inflateEstimates: true }).deadlineProbabilities[0].probability).toBe(0);
+  });
+
+  it('schedules in the optimal mode', () => {
+    const tasks = [
+      createTask({ id: 'a', timeEstimate: 8 * HOUR, notes: 'AutoPlan: boost=20' }),
+      createTask({ id: 'b', timeEstimate: 8 * HOUR, notes: 'Deadline: 2024-01-15' }),
+    ];
+
+    expect(simulate(tasks).deadlineProbabilities[0].probability).toBe(0);
+    expect(simulate(tasks, tasks, { ...config, schedulingMode: 'optimal', monteCarloRuns: 2 }).deadlineProbabilities[0].probability).toBe(1);
+  });
+});
+
+describe('AutoPlanner.schedule on a large task list', () => {
+  const HOUR = 60 * 60 * 1000;
+  const startTime = new Date('2024-01-15T08:00:00');
+
+  // 200 tasks with deadlines, start dates, dependencies, caps, quotas, preferences and two time maps
+  const createFixture = () => {
+    const random = mulberry32(19);
+    const pick = (items) => items[Math.floor(random() * items.length)];
+    const tasks = [];
+    for (let i = 0; i < 200; i++) {
+      const notes = [];
+      if (random() < 0.3) notes.push(`Deadline: 2024-01-${16 + Math.floor(random() * 14)}`);
+      if (random() < 0.1) notes.push(`Start: 2024-01-${16 + Math.floor(random() * 5)} ${10 + Math.floor(random() * 5)}:00`);
+      if (i > 0 && random() < 0.1) notes.push(`Depends: task-${Math.floor(random() * i)}`);
+      const options = [];
+      if (random() < 0.2) options.push(`boost=${Math.floor(random() * 5)}`);
+      if (random() < 0.1) options.push('cap=1h/day');
+      if (random() < 0.05) options.push('nosplit');
+      if (options.length > 0) notes.push(`AutoPlan: ${options.join(' ')}`);
+      tasks.push(createTask({
+        id: `task-${i}`,
+        title: `Task ${i}`,
+        timeEstimate: (1 + Math.floor(random() * 16)) * 15 * 60000,
+        timeSpent: random() < 0.2 ? 15 * 60000 : 0,
+        tagIds: random() < 0.5 ? [pick(['t1', 't2', 'evening'])] : [],
+        projectId: pick(['p1', 'p2', null]),
+        created: startTime.getTime() - Math.floor(random() * 40) * 24 * HOUR,
+        notes: notes.join('\n'),
+      }));
+    }
+    const config = {
+      ...DEFAULT_CONFIG,
+      timeMaps: {
+        default: { name: 'Work', days: { 1: { startHour: 9, endHour: 17 }, 2: { startHour: 9, endHour: 17 },
+          3: { startHour: 9, endHour: 17 }, 4: { startHour: 9, endHour: 17 }, 5: { startHour: 9, endHour: 17 } } },
+        evening: { name: 'Evening', days: { 1: { startHour: 18, endHour: 21 }, 3: { startHour: 18, endHour: 21 },
+          6: { startHour: 10, endHour: 14 } } },
+      },
+      tagTimeMaps: { evening: 'evening' },
+      durationFormula: 'log',
+      oldnessFormula: 'linear',
+      tagPriorities: { T1: 3, T2: -1 },
+      projectPriorities: { P1: 2 },
+      projectCaps: { p2: { dailyMinutes: 120 } },
+      projectQuotas: { p1: { weeklyMinutes: 300 } },
+      tagTimePreferences: { t2: { start: '09:00', end: '12:00' } },
+      projectContextSwitch: { p1: { penalty: 2 } },
+      bufferMinutes: 5,
+      breakEveryMinutes: 90,
+      maxDaysAhead: 30,
+    };
+    const allTags = ['t1', 't2', 'evening'].map(id => ({ id, title: id.toUpperCase() }));
+    const allProjects = ['p1', 'p2'].map(id => ({ id, title: id.toUpperCase() }));
+    return { tasks, config, allTags, allProjects };
+  };
+
+  // A short description of the output: block and break counts, the first blocks and a checksum of all of them
+  const describeResult = (result) => {
+    const blocks = result.schedule.map(item => `${item.split.originalTaskId}/${item.split.splitIndex} ` +
+      `${AutoPlanner.getDateKey(item.startTime)} ${item.startTime.getHours()}:${item.startTime.getMinutes()} ` +
+      `${item.endTime - item.startTime}`);
+    let checksum = 0x811c9dc5;
+    for (const char of [...blocks, ...result.capDeferrals.map(d => `${d.taskId} ${d.dateKeys}`)].join('\n')) {
+      checksum = Math.imul(checksum ^ char.charCodeAt(0), 0x01000193) >>> 0;
+    }
+    return {
+      blocks: blocks.length,
+      breaks: result.breaks.length,
+      firstBlocks: result.schedule.slice(0, 3).map(item => item.split.originalTaskId),
+      capDeferrals: result.capDeferrals.length,
+      deadlineMisses: result.deadlineMisses.length,
+      checksum,
+    };
+  };
+
+  it('gives the same schedule as the scheduler without task queues', () => {
+    const { tasks, config, allTags, allProjects } = createFixture();
+    const { splits } = TaskSplitter.processAllTasks(tasks, config.blockSizeMinutes, config);
+
+    const result = AutoPlanner.schedule(splits, config, allTags, allProjects, startTime, [], tasks);
+
+    expect(describeResult(result)).toEqual({
+      blocks: 238,
+      breaks: 206,
+      firstBlocks: ['task-91', 'task-2', 'task-2'],
+      capDeferrals: 63,
+      deadlineMisses: 49,
+      checksum: 693331391,
+    });
+  });
+
+  it('gives the same schedule for a task order as the scheduler without task queues', () => {
+    const { tasks, config, allTags, allProjects } = createFixture();
+    const { splits } = TaskSplitter.processAllTasks(tasks, config.blockSizeMinutes, config);
+    const taskOrder = tasks.filter((task, i) => i % 3 === 0).map(task => task.id).reverse();
+
+    const result = AutoPlanner.schedule(splits, { ...config, taskOrder }, allTags, allProjects, startTime, [], tasks);
+
+    expect(describeResult(result)).toEqual({
+      blocks: 249,
+      breaks: 216,
+      firstBlocks: ['task-198', 'task-183', 'task-195'],
+      capDeferrals: 66,
+      deadlineMisses: 45,
+      checksum: 1299738390,
+    });
+  });
+
+  it('gives the same schedule for other formulas, a context switch bonus and plan stability', () => {
+    const { tasks, config, allTags, allProjects } = createFixture();
+    const { splits } = TaskSplitter.processAllTasks(tasks, config.blockSizeMinutes, config);
+    const otherConfig = {
+      ...config,
+      durationFormula: 'inverse',
+      oldnessFormula: 'exponential',
+      deadlineFormula: 'aggressive',
+      tagContextSwitch: { t1: { penalty: -1 } },
+      stabilityHysteresis: 2,
+    };
+    const plannedBlocks = [{
+      taskId: 'task-5', originalTaskId: 'task-5', splitIndex: 0,
+      startTime: new Date('2024-01-15T10:00:00'), endTime: new Date('2024-01-15T11:00:00'),
+    }];
+
+    const result = AutoPlanner.schedule(splits, otherConfig, allTags, allProjects, startTime, [], tasks, plannedBlocks);
+
+    expect(describeResult(result)).toEqual({
+      blocks: 254,
+      breaks: 219,
+      firstBlocks: ['task-115', 'task-188', 'task-115'],
+      capDeferrals: 65,
+      deadlineMisses: 50,
+      checksum: 4253393131,
+    });
+  });
+
+  it('gives the same schedule with a shared urgency cache as without', () => {
+    const { tasks, config, allTags, allProjects } = createFixture();
+    const run = (weights, taskInfoById) => AutoPlanner.schedule(
+      TaskSplitter.processAllTasks(tasks, config.blockSizeMinutes, config).splits, { ...config, ...weights },
+      allTags, allProjects, startTime, [], tasks, [], taskInfoById
+    );
+    const taskInfoById = new Map();
+    run({}, taskInfoById);
+
+    const weights = { urgencyWeight: 0.5, deadlineWeight: 18 };
+    expect(describeResult(run(weights, taskInfoById))).toEqual(describeResult(run(weights)));
+  });
 });
@@ -418,3 +418,25 @@ describe('PriorityCalculator.calculateUrgency', () => {
     expect(result.total).toBeGreaterThan(result.components.duration + result.components.oldness);
   });
 });
+
+describe('PriorityCalculator.calculateUrgency with a directive boost', () => {
+  const config = { durationFormula: 'none', oldnessFormula: 'none', deadlineFormula: 'none' };
+
+  it('adds the boost to the urgency', () => {
+    const task = createTask({ notes: 'AutoPlan: boost=5' });
+    const urgency = PriorityCalculator.calculateUrgency(task, config, []);
+    expect(urgency.total).toBe(5);
+    expect(urgency.components.boost).toBe(5);
+  });
+
+  it('scales the boost with the urgency weight', () => {
+    const task = createTask({ notes: 'AutoPlan: boost=-4' });
+    const urgency = PriorityCalculator.calculateUrgency(task, { ...config, urgencyWeight: 0.5 }, []);
+    expect(urgency.total).toBe(-2);
+  });
+
+  it('has no boost without a directive', () => {
+    const urgency = PriorityCalculator.calculateUrgency(createTask(), config, []);
+    expect(urgency.components.boost).toBe(0);
+  });
+});
@@ -191,6 +191,13 @@ describe('TaskSplitter.splitTask', () => {
   });
 });
 
+describe('TaskSplitter.getSplitTitle', () => {
+  it('adds the roman numeral suffix and prefix from the config', () => {
+    expect(TaskSplitter.getSplitTitle('Task', 1, { splitSuffix: true })).toBe('Task <II>');
+    expect(TaskSplitter.getSplitTitle('Task', 0, { splitPrefix: '> ', splitSuffix: false })).toBe('> Task');
+  });
+});
+
 describe('TaskSplitter.isAlreadyProcessed', () => {
   it('detects tasks already processed by AutoPlan', () => {
     const processed = createTask({
@@ -625,3 +632,108 @@ describe('TaskSplitter.splitTask with partially worked subtasks', () => {
     expect(splits[0].virtualTagIds).toEqual(['urgent']);
   });
 });
+
+describe('TaskSplitter.splitTask with a directive', () => {
+  const config = { ...DEFAULT_CONFIG, splitSuffix: true };
+
+  it('uses the block size of the directive', () => {
+    const task = createTask({ timeEstimate: 3 * 60 * 60 * 1000, notes: 'AutoPlan: block=60' });
+    const splits = TaskSplitter.splitTask(task, 120, config);
+    expect(splits.length).toBe(3);
+    expect(splits[0].estimatedHours).toBe(1);
+  });
+
+  it('keeps a nosplit task in one block', () => {
+    const task = createTask({ timeEstimate: 5 * 60 * 60 * 1000, timeSpent: 60 * 60 * 1000, notes: 'AutoPlan: nosplit' });
+    const splits = TaskSplitter.splitTask(task, 120, config);
+    expect(splits.length).toBe(1);
+    expect(splits[0].estimatedHours).toBe(5);
+    expect(splits[0].noSplit).toBe(true);
+  });
+
+  it('passes the minimum block size on to the splits', () => {
+    const task = createTask({ notes: 'AutoPlan: min=15' });
+    const splits = TaskSplitter.splitTask(task, 120, config);
+    expect(splits.every(s => s.minBlockMinutes === 15)).toBe(true);
+  });
+});
+
+describe('TaskSplitter.splitTask with the atomic tag', () => {
+  const config = { ...DEFAULT_CONFIG, splitSuffix: true, atomicTagId: 'atomic' };
+
+  it('keeps an atomic task in one block', () => {
+    const task = createTask({ timeEstimate: 5 * 60 * 60 * 1000, tagIds: ['atomic'] });
+    const splits = TaskSplitter.splitTask(task, 120, config);
+    expect(splits.length).toBe(1);
+    expect(splits[0].estimatedHours).toBe(5);
+    expect(splits[0].noSplit).toBe(true);
+  });
+});
+
+describe('TaskSplitter.processAllTasks with block sizes per tag and project', () => {
+  const config = {
+    ...DEFAULT_CONFIG,
+    splitSuffix: true,
+    projectBlockSizes: { writing: { blockSizeMinutes: 90 } },
+    tagBlockSizes: { admin: { blockSizeMinutes: 15, minimumBlockSizeMinutes: 5 } },
+  };
+
+  it('splits each task with its own block size', () => {
+    const tasks = [
+      createTask({ id: 'essay', projectId: 'writing', timeEstimate: 3 * 60 * 60 * 1000 }),
+      createTask({ id: 'mail', projectId: 'other', tagIds: ['admin'], timeEstimate: 30 * 60 * 1000 }),
+      createTask({ id: 'code', projectId: 'other', timeEstimate: 4 * 60 * 60 * 1000 }),
+    ];
+    const { splits } = TaskSplitter.processAllTasks(tasks, 120, config);
+    const countFor = (id) => splits.filter(s => s.originalTaskId === id).length;
+
+    expect(countFor('essay')).toBe(2);
+    expect(countFor('mail')).toBe(2);
+    expect(countFor('code')).toBe(2);
+    expect(splits.find(s => s.originalTaskId === 'mail').minBlockMinutes).toBe(5);
+    expect(splits.find(s => s.originalTaskId === 'code').minBlockMinutes).toBeUndefined();
+  });
+});
+
+describe('TaskSplitter with overrun factors', () => {
+  const HOUR = 60 * 60 * 1000;
+  const config = { ...DEFAULT_CONFIG, splitSuffix: true };
+
+  it('inflates the remaining work, keeping the time spent on the first block', () => {
+    const task = createTask({ timeEstimate: 4 * HOUR, timeSpent: HOUR });
+    const splits = TaskSplitter.splitTask(task, 120, config, [], 2);
+
+    expect(splits.map(s => s.estimatedHours)).toEqual([3, 2, 2]);
+    expect(splits[0].timeSpentMs).toBe(HOUR);
+  });
+
+  it('applies the factors learned for the project and tags', () => {
+    const overrunFactors = [{ scope: 'project', id: 'project-1', factor: 1.5, samples: 5 }];
+    const tasks = [createTask({ id: 'a' }), createTask({ id: 'b', projectId: 'other' })];
+    const { splits } = TaskSplitter.processAllTasks(tasks, 120, config, overrunFactors);
+
+    expect(splits.filter(s => s.originalTaskId === 'a').map(s => s.estimatedHours)).toEqual([2, 2, 2]);
+    expect(splits.filter(s => s.originalTaskId === 'b').map(s => s.estimatedHours)).toEqual([2, 2]);
+  });
+});
+
+describe('TaskSplitter with tasks that used up their estimate', () => {
+  const HOUR = 60 * 60 * 1000;
+  const overrunTask = createTask({ id: 'over', timeEstimate: 2 * HOUR, timeSpent: 3 * HOUR });
+
+  it('skips them and reports them', () => {
+    const { splits, skippedOverrunTasks } = TaskSplitter.processAllTasks([overrunTask, createTask()], 120, DEFAULT_CONFIG);
+
+    expect(splits.map(s => s.originalTaskId)).toEqual(['task-1', 'task-1']);
+    expect(skippedOverrunTasks).toEqual([overrunTask]);
+  });
+
+  it('plans the extra time of the overrun policy', () => {
+    const config = { ...DEFAULT_CONFIG, overrunPolicy: 'block', overrunBlockMinutes: 45 };
+    const { splits, skippedOverrunTasks } = TaskSplitter.processAllTasks([overrunTask], 120, config);
+
+    expect(skippedOverrunTasks).toEqual([]);
+    expect(splits).toHaveLength(1);
+    expect(splits[0]).toMatchObject({ estimatedHours: 3.75, timeSpentMs: 3 * HOUR, overrun: true });
+  });
+});
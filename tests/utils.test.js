@@ -2,7 +2,7 @@
  * Tests for AutoPlan utility functions
  */
 
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
 import {
   toRoman,
   hoursBetween,
@@ -12,9 +12,42 @@ import {
   getRemainingHours,
   getTaskDueDate,
   parseDeadlineFromNotes,
+  parseStartFromNotes,
+  getTaskStartDate,
+  parseDependenciesFromNotes,
+  resolveTaskReference,
+  getTaskDependencyIds,
+  findDependencyCycles,
   escapeRegex,
   isFixedTask,
   isBacklogTask,
+  getDayIntervals,
+  getTimeMapDayMinutes,
+  getTimeMapIdsForTask,
+  getBlockSizesForTask,
+  resolveTimeMapId,
+  parseAutoplanDirective,
+  parseCap,
+  getCapsForTask,
+  getQuotasForTask,
+  getTimePreferencesForTask,
+  isAtomicTask,
+  parseTimeOfDay,
+  formatTimeOfDay,
+  getDateKey,
+  getDateOverride,
+  getDayIntervalsForDate,
+  getTimeMapDateMinutes,
+  subtractIntervals,
+  shouldAutoRunToday,
+  summarizeWarnings,
+  createBatchDebouncer,
+  parseEstimateRange,
+  getOverrunRatios,
+  mulberry32,
+  createPriorityQueue,
+  getOverrunHours,
+  migrateLegacyWorkHours,
 } from '../src/core.js';
 
 describe('toRoman', () => {
@@ -312,6 +345,21 @@ describe('parseDeadlineFromNotes', () => {
     expect(result.getDate()).toBe(20);
   });
 
+  it('parses ISO dates as the start of the local day', () => {
+    const result = parseDeadlineFromNotes('Deadline: 2024-01-20');
+    expect(result).toEqual(new Date(2024, 0, 20));
+    expect(result.getHours()).toBe(0);
+  });
+
+  it('parses ISO dates with a time in local time', () => {
+    expect(parseDeadlineFromNotes('Deadline: 2024-01-20 9.15')).toEqual(new Date(2024, 0, 20, 9, 15));
+  });
+
+  it('only matches "Deadline:" as a whole word', () => {
+    expect(parseDeadlineFromNotes('Redeadline: 2024-01-20')).toBe(null);
+    expect(parseDeadlineFromNotes('(deadline: 2024-01-20)')).toEqual(new Date(2024, 0, 20));
+  });
+
   it('returns null for notes without deadline', () => {
     const notes = 'Just some regular notes here';
     expect(parseDeadlineFromNotes(notes)).toBe(null);
@@ -414,3 +462,699 @@ describe('isBacklogTask', () => {
     expect(isBacklogTask(task, projects)).toBe(false);
   });
 });
+
+describe('getDayIntervals', () => {
+  it('returns an empty list for skipped days', () => {
+    const timeMap = { days: { 0: null } };
+    expect(getDayIntervals(timeMap, 0)).toEqual([]);
+    expect(getDayIntervals(timeMap, 1)).toEqual([]);
+    expect(getDayIntervals(null, 1)).toEqual([]);
+  });
+
+  it('normalizes a single interval to minutes from midnight', () => {
+    const timeMap = { days: { 1: { startHour: 9, endHour: 17 } } };
+    expect(getDayIntervals(timeMap, 1)).toEqual([{ start: 540, end: 1020 }]);
+  });
+
+  it('sorts multiple intervals', () => {
+    const timeMap = { days: { 1: [{ startHour: 13, endHour: 17 }, { startHour: 9, endHour: 12 }] } };
+    expect(getDayIntervals(timeMap, 1)).toEqual([
+      { start: 540, end: 720 },
+      { start: 780, end: 1020 },
+    ]);
+  });
+
+  it('merges overlapping intervals and drops invalid ones', () => {
+    const timeMap = { days: { 1: [
+      { startHour: 9, endHour: 12 },
+      { startHour: 11, endHour: 14 },
+      { startHour: 18, endHour: 18 },
+    ] } };
+    expect(getDayIntervals(timeMap, 1)).toEqual([{ start: 540, end: 840 }]);
+  });
+
+  it('supports HH:MM boundaries', () => {
+    const timeMap = { days: { 1: { start: '08:30', end: '17:15' } } };
+    expect(getDayIntervals(timeMap, 1)).toEqual([{ start: 510, end: 1035 }]);
+  });
+
+  it('mixes HH:MM and legacy hour intervals in the same day', () => {
+    const timeMap = { days: { 1: [{ start: '13:30', end: '17:00' }, { startHour: 9, endHour: 12 }] } };
+    expect(getDayIntervals(timeMap, 1)).toEqual([
+      { start: 540, end: 720 },
+      { start: 810, end: 1020 },
+    ]);
+  });
+
+  it('drops intervals with unparseable boundaries', () => {
+    const timeMap = { days: { 1: [{ start: 'soon', end: '17:00' }, { start: '09:00', end: '10:00' }] } };
+    expect(getDayIntervals(timeMap, 1)).toEqual([{ start: 540, end: 600 }]);
+  });
+
+  it('treats an empty list as a skipped day', () => {
+    const timeMap = { days: { 1: [] } };
+    expect(getDayIntervals(timeMap, 1)).toEqual([]);
+  });
+});
+
+describe('getTimeMapDayMinutes', () => {
+  it('sums the minutes of all intervals', () => {
+    const timeMap = { days: { 1: [{ startHour: 9, endHour: 12 }, { startHour: 13, endHour: 17 }] } };
+    expect(getTimeMapDayMinutes(timeMap, 1)).toBe(420);
+  });
+
+  it('returns 0 for skipped days', () => {
+    expect(getTimeMapDayMinutes({ days: { 1: null } }, 1)).toBe(0);
+  });
+});
+
+describe('migrateLegacyWorkHours', () => {
+  it('moves the legacy work hours into the default time map', () => {
+    const stored = {
+      workdayStartHour: 8,
+      workdayHours: 10,
+      skipDays: [0],
+      timeMaps: {
+        'default': { name: 'Default', days: { 1: { start: '09:00', end: '17:00' } }, dateOverrides: { '2024-12-25': null } },
+        'evening': { name: 'Evening', days: { 1: { start: '19:00', end: '21:00' } } },
+      },
+      bufferMinutes: 5,
+    };
+    const migrated = migrateLegacyWorkHours(stored);
+
+    expect(migrated).not.toHaveProperty('workdayStartHour');
+    expect(migrated).not.toHaveProperty('workdayHours');
+    expect(migrated).not.toHaveProperty('skipDays');
+    expect(migrated.bufferMinutes).toBe(5);
+    expect(migrated.timeMaps['default'].days[0]).toBeNull();
+    expect(migrated.timeMaps['default'].days[1]).toEqual({ startHour: 8, endHour: 18 });
+    expect(migrated.timeMaps['default'].days[6]).toEqual({ startHour: 8, endHour: 18 });
+    expect(migrated.timeMaps['default'].dateOverrides).toEqual({ '2024-12-25': null });
+    expect(migrated.timeMaps['evening']).toEqual(stored.timeMaps['evening']);
+  });
+
+  it('creates the default time map for configs without time maps', () => {
+    const migrated = migrateLegacyWorkHours({ workdayStartHour: 7 });
+    expect(migrated.timeMaps['default'].days[1]).toEqual({ startHour: 7, endHour: 15 });
+    expect(migrated.timeMaps['default'].days[0]).toBeNull();
+  });
+
+  it('returns null when there is nothing to migrate', () => {
+    expect(migrateLegacyWorkHours({ timeMaps: {} })).toBeNull();
+  });
+});
+
+describe('parseTimeOfDay', () => {
+  it('parses HH:MM strings', () => {
+    expect(parseTimeOfDay('08:30')).toBe(510);
+    expect(parseTimeOfDay('8:30')).toBe(510);
+    expect(parseTimeOfDay('17.15')).toBe(1035);
+    expect(parseTimeOfDay('24:00')).toBe(1440);
+  });
+
+  it('parses legacy hour numbers', () => {
+    expect(parseTimeOfDay(9)).toBe(540);
+    expect(parseTimeOfDay(8.5)).toBe(510);
+  });
+
+  it('returns null for invalid values', () => {
+    expect(parseTimeOfDay('25:00')).toBe(null);
+    expect(parseTimeOfDay('09:75')).toBe(null);
+    expect(parseTimeOfDay('nine')).toBe(null);
+    expect(parseTimeOfDay(null)).toBe(null);
+    expect(parseTimeOfDay(undefined)).toBe(null);
+    expect(parseTimeOfDay(-1)).toBe(null);
+  });
+});
+
+describe('formatTimeOfDay', () => {
+  it('formats minutes from midnight as HH:MM', () => {
+    expect(formatTimeOfDay(510)).toBe('08:30');
+    expect(formatTimeOfDay(1035)).toBe('17:15');
+    expect(formatTimeOfDay(0)).toBe('00:00');
+  });
+});
+
+describe('getDateKey', () => {
+  it('formats a date as YYYY-MM-DD in local time', () => {
+    expect(getDateKey(new Date('2024-01-05T23:30:00'))).toBe('2024-01-05');
+  });
+});
+
+describe('date overrides', () => {
+  const timeMap = {
+    name: 'Work',
+    days: { 1: { start: '09:00', end: '17:00' } },
+    dateOverrides: { '2024-01-22': { start: '09:00', end: '12:00' } },
+  };
+  const globalOverrides = { '2024-01-15': null, '2024-01-22': null };
+
+  it('returns undefined when a date has no override', () => {
+    expect(getDateOverride(timeMap, new Date('2024-01-08T10:00:00'), globalOverrides)).toBeUndefined();
+  });
+
+  it('returns null for a day off', () => {
+    expect(getDateOverride(timeMap, new Date('2024-01-15T10:00:00'), globalOverrides)).toBeNull();
+  });
+
+  it('prefers the time map override over the global one', () => {
+    expect(getDateOverride(timeMap, new Date('2024-01-22T10:00:00'), globalOverrides))
+      .toEqual({ start: '09:00', end: '12:00' });
+  });
+
+  it('falls back to the weekday schedule without an override', () => {
+    expect(getDayIntervalsForDate(timeMap, new Date('2024-01-08T10:00:00'), globalOverrides))
+      .toEqual([{ start: 540, end: 1020 }]);
+  });
+
+  it('uses the override intervals on overridden dates', () => {
+    expect(getDayIntervalsForDate(timeMap, new Date('2024-01-15T10:00:00'), globalOverrides)).toEqual([]);
+    expect(getTimeMapDateMinutes(timeMap, new Date('2024-01-22T10:00:00'), globalOverrides)).toBe(180);
+  });
+});
+
+describe('subtractIntervals', () => {
+  const workday = [{ start: 540, end: 720 }, { start: 780, end: 1020 }];
+
+  it('keeps intervals without busy time', () => {
+    expect(subtractIntervals(workday, [])).toEqual(workday);
+    expect(subtractIntervals(workday)).toEqual(workday);
+  });
+
+  it('cuts a busy interval out of the middle of an interval', () => {
+    expect(subtractIntervals(workday, [{ start: 600, end: 660 }])).toEqual([
+      { start: 540, end: 600 },
+      { start: 660, end: 720 },
+      { start: 780, end: 1020 },
+    ]);
+  });
+
+  it('trims busy time spanning a gap', () => {
+    expect(subtractIntervals(workday, [{ start: 690, end: 810 }])).toEqual([
+      { start: 540, end: 690 },
+      { start: 810, end: 1020 },
+    ]);
+  });
+
+  it('removes fully covered intervals', () => {
+    expect(subtractIntervals(workday, [{ start: 500, end: 730 }])).toEqual([{ start: 780, end: 1020 }]);
+  });
+});
+
+describe('shouldAutoRunToday', () => {
+  const now = new Date('2024-01-15T08:00:00');
+
+  it('does not run when auto-run is disabled', () => {
+    expect(shouldAutoRunToday({ autoRunOnStart: false }, now)).toBe(false);
+    expect(shouldAutoRunToday({}, now)).toBe(false);
+  });
+
+  it('runs when enabled and not run yet', () => {
+    expect(shouldAutoRunToday({ autoRunOnStart: true, lastAutoRunDate: null }, now)).toBe(true);
+  });
+
+  it('runs again on a later day', () => {
+    expect(shouldAutoRunToday({ autoRunOnStart: true, lastAutoRunDate: '2024-01-14' }, now)).toBe(true);
+  });
+
+  it('runs at most once per day', () => {
+    expect(shouldAutoRunToday({ autoRunOnStart: true, lastAutoRunDate: '2024-01-15' }, now)).toBe(false);
+  });
+});
+
+describe('summarizeWarnings', () => {
+  it('is empty without warnings', () => {
+    expect(summarizeWarnings([])).toBe('');
+  });
+
+  it('lists a few warnings in full', () => {
+    expect(summarizeWarnings(['"A" is late'])).toBe('1 warning: "A" is late');
+    expect(summarizeWarnings(['a', 'b', 'c'])).toBe('3 warnings: a; b; c');
+  });
+
+  it('counts the warnings beyond the first few', () => {
+    const warnings = Array.from({ length: 40 }, (_, i) => `"Task ${i}" is late`);
+    expect(summarizeWarnings(warnings)).toBe('40 warnings: "Task 0" is late; "Task 1" is late; "Task 2" is late and 37 more');
+  });
+});
+
+describe('createBatchDebouncer', () => {
+  it('hands a burst of events to the handler in one batch', () => {
+    vi.useFakeTimers();
+    try {
+      const handler = vi.fn();
+      const debouncer = createBatchDebouncer(handler, 1000);
+
+      debouncer.push('a');
+      vi.advanceTimersByTime(500);
+      debouncer.push('b');
+      vi.advanceTimersByTime(999);
+      expect(handler).not.toHaveBeenCalled();
+
+      vi.advanceTimersByTime(1);
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler).toHaveBeenCalledWith(['a', 'b']);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('flushes pending events immediately', () => {
+    const handler = vi.fn();
+    const debouncer = createBatchDebouncer(handler, 1000);
+
+    debouncer.flush();
+    expect(handler).not.toHaveBeenCalled();
+
+    debouncer.push('a');
+    debouncer.flush();
+    expect(handler).toHaveBeenCalledWith(['a']);
+  });
+
+  it('drops pending events on cancel', () => {
+    vi.useFakeTimers();
+    try {
+      const handler = vi.fn();
+      const debouncer = createBatchDebouncer(handler, 1000);
+
+      debouncer.push('a');
+      debouncer.cancel();
+      vi.advanceTimersByTime(2000);
+      expect(handler).not.toHaveBeenCalled();
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
+
+describe('parseDependenciesFromNotes', () => {
+  it('returns an empty list without dependencies', () => {
+    expect(parseDependenciesFromNotes(null)).toEqual([]);
+    expect(parseDependenciesFromNotes('Just some notes')).toEqual([]);
+  });
+
+  it('parses comma-separated references', () => {
+    expect(parseDependenciesFromNotes('Depends: Write migration, task-42')).toEqual(['Write migration', 'task-42']);
+  });
+
+  it('supports the alternative spellings on separate lines', () => {
+    const notes = 'Intro\ndepends on: A\nBlocked by: B\nDeadline: 2024-01-20';
+    expect(parseDependenciesFromNotes(notes)).toEqual(['A', 'B']);
+  });
+
+  it('keeps commas inside quoted titles', () => {
+    expect(parseDependenciesFromNotes('Depends: "Fix bug, part 2", Deploy')).toEqual(['Fix bug, part 2', 'Deploy']);
+  });
+
+  it('does not list a reference twice', () => {
+    expect(parseDependenciesFromNotes('Depends: A, A\nBlocked by: A')).toEqual(['A']);
+  });
+});
+
+describe('resolveTaskReference', () => {
+  const tasks = [
+    { id: 'a', title: 'Write migration', isDone: true },
+    { id: 'b', title: 'Write Migration', isDone: false },
+    { id: 'c', title: 'a' },
+  ];
+
+  it('matches task IDs before titles', () => {
+    expect(resolveTaskReference('a', tasks).id).toBe('a');
+  });
+
+  it('matches titles case-insensitively, preferring open tasks', () => {
+    expect(resolveTaskReference('write migration', tasks).id).toBe('b');
+  });
+
+  it('returns null for unknown references', () => {
+    expect(resolveTaskReference('Unknown', tasks)).toBeNull();
+  });
+});
+
+describe('getTaskDependencyIds', () => {
+  it('resolves references and ignores unknown ones and the task itself', () => {
+    const tasks = [
+      { id: 'deploy', title: 'Deploy', notes: 'Depends: Write migration, Deploy, Missing, migrate' },
+      { id: 'migrate', title: 'Write migration' },
+    ];
+    expect(getTaskDependencyIds(tasks[0], tasks)).toEqual(['migrate']);
+  });
+});
+
+describe('findDependencyCycles', () => {
+  it('finds no cycles in a chain', () => {
+    const graph = new Map([['c', ['b']], ['b', ['a']]]);
+    expect(findDependencyCycles(graph)).toEqual([]);
+  });
+
+  it('finds each cycle once', () => {
+    const graph = new Map([
+      ['a', ['b']],
+      ['b', ['a']],
+      ['c', ['d']],
+      ['d', ['e']],
+      ['e', ['c']],
+      ['f', ['a']],
+    ]);
+    const cycles = findDependencyCycles(graph).map(cycle => [...cycle].sort());
+    expect(cycles).toHaveLength(2);
+    expect(cycles).toContainEqual(['a', 'b']);
+    expect(cycles).toContainEqual(['c', 'd', 'e']);
+  });
+});
+
+describe('parseStartFromNotes', () => {
+  it('parses "Start:" and "Wait:" dates as the start of the local day', () => {
+    for (const notes of ['Start: 2024-03-03', 'notes\nwait: 2024-03-03']) {
+      const result = parseStartFromNotes(notes);
+      expect(result.getFullYear()).toBe(2024);
+      expect(result.getMonth()).toBe(2);
+      expect(result.getDate()).toBe(3);
+      expect(result.getHours()).toBe(0);
+    }
+  });
+
+  it('parses a time', () => {
+    const result = parseStartFromNotes('Start: 03/03/2024 9:30');
+    expect(result.getDate()).toBe(3);
+    expect(result.getHours()).toBe(9);
+    expect(result.getMinutes()).toBe(30);
+  });
+
+  it('does not match other keywords', () => {
+    expect(parseStartFromNotes('Deadline: 2024-03-03')).toBe(null);
+    expect(parseStartFromNotes('Kickstart: 2024-03-03')).toBe(null);
+    expect(parseStartFromNotes(null)).toBe(null);
+  });
+});
+
+describe('getTaskStartDate', () => {
+  it('returns the start date from the notes', () => {
+    const task = { id: 'a', notes: 'Wait: 2024-03-03' };
+    expect(getTaskStartDate(task).getDate()).toBe(3);
+  });
+
+  it('inherits the start date from the parent task', () => {
+    const parent = { id: 'parent', notes: 'Start: 2024-03-03' };
+    const child = { id: 'child', parentId: 'parent', notes: '' };
+    expect(getTaskStartDate(child, [parent, child]).getDate()).toBe(3);
+  });
+
+  it('prefers the task own start date over the parent', () => {
+    const parent = { id: 'parent', notes: 'Start: 2024-03-03' };
+    const child = { id: 'child', parentId: 'parent', notes: 'Start: 2024-03-05' };
+    expect(getTaskStartDate(child, [parent, child]).getDate()).toBe(5);
+  });
+
+  it('returns null without a start date', () => {
+    expect(getTaskStartDate({ id: 'a', notes: 'Some notes' })).toBe(null);
+  });
+});
+
+describe('parseAutoplanDirective', () => {
+  it('parses all options', () => {
+    const notes = 'Some notes\nAutoPlan: block=45 min=15 map=deep-work boost=5 nosplit';
+    expect(parseAutoplanDirective(notes)).toEqual({
+      blockSizeMinutes: 45,
+      minBlockSizeMinutes: 15,
+      timeMap: 'deep-work',
+      boost: 5,
+      noSplit: true,
+    });
+  });
+
+  it('returns only the options that are set', () => {
+    expect(parseAutoplanDirective('autoplan: boost=-2.5')).toEqual({ boost: -2.5 });
+    expect(parseAutoplanDirective('Just notes')).toEqual({});
+    expect(parseAutoplanDirective(null)).toEqual({});
+  });
+
+  it('supports quoted time map names', () => {
+    expect(parseAutoplanDirective('AutoPlan: map="Deep work" block=90').timeMap).toBe('Deep work');
+  });
+
+  it('ignores invalid and unknown options', () => {
+    expect(parseAutoplanDirective('AutoPlan: block=0 min=abc boost=x color=red nosplit=maybe')).toEqual({});
+  });
+
+  it('does not treat split markers as directives', () => {
+    const notes = '[AutoPlan] Split 1/2 of "Task"\n\n[AutoPlan] Original Task ID: abc';
+    expect(parseAutoplanDirective(notes)).toEqual({});
+  });
+});
+
+describe('resolveTimeMapId', () => {
+  const config = { timeMaps: { 'tm-1': { name: 'Deep Work', days: {} } } };
+
+  it('resolves IDs and names', () => {
+    expect(resolveTimeMapId('tm-1', config)).toBe('tm-1');
+    expect(resolveTimeMapId('deep work', config)).toBe('tm-1');
+    expect(resolveTimeMapId('default', config)).toBe('default');
+  });
+
+  it('returns null for unknown time maps', () => {
+    expect(resolveTimeMapId('evening', config)).toBe(null);
+  });
+});
+
+describe('getTimeMapIdsForTask with a directive', () => {
+  const config = {
+    timeMaps: { 'tm-1': { name: 'Deep Work', days: {} }, 'tm-2': { name: 'Admin', days: {} } },
+    projectTimeMaps: { 'project-1': 'tm-2' },
+    tagTimeMaps: {},
+  };
+
+  it('uses the directive time map instead of the project mapping', () => {
+    const task = { projectId: 'project-1', tagIds: [], notes: 'AutoPlan: map="Deep Work"' };
+    expect(getTimeMapIdsForTask(task, config)).toEqual(['tm-1']);
+  });
+
+  it('falls back to the mappings for unknown time maps', () => {
+    const task = { projectId: 'project-1', tagIds: [], notes: 'AutoPlan: map=evening' };
+    expect(getTimeMapIdsForTask(task, config)).toEqual(['tm-2']);
+  });
+});
+
+describe('isAtomicTask', () => {
+  const config = { atomicTagId: 'atomic' };
+
+  it('detects the atomic tag', () => {
+    expect(isAtomicTask({ tagIds: ['atomic'] }, config)).toBe(true);
+    expect(isAtomicTask({ tagIds: ['other'] }, config)).toBe(false);
+  });
+
+  it('detects the nosplit and atomic directives', () => {
+    expect(isAtomicTask({ tagIds: [], notes: 'AutoPlan: nosplit' }, config)).toBe(true);
+    expect(isAtomicTask({ tagIds: [], notes: 'AutoPlan: atomic' }, config)).toBe(true);
+  });
+
+  it('is false without an atomic tag configured', () => {
+    expect(isAtomicTask({ tagIds: ['atomic'] }, { atomicTagId: null })).toBe(false);
+  });
+});
+
+describe('getBlockSizesForTask', () => {
+  const config = {
+    blockSizeMinutes: 120,
+    minimumBlockSizeMinutes: 30,
+    projectBlockSizes: { writing: { blockSizeMinutes: 90 } },
+    tagBlockSizes: {
+      review: { blockSizeMinutes: 30, minimumBlockSizeMinutes: 15 },
+      admin: { blockSizeMinutes: 15, minimumBlockSizeMinutes: 5 },
+    },
+  };
+
+  it('uses the global sizes without overrides', () => {
+    expect(getBlockSizesForTask({ tagIds: [] }, config)).toEqual({ blockSizeMinutes: 120, minimumBlockSizeMinutes: 30 });
+  });
+
+  it('uses the sizes of the first configured tag', () => {
+    expect(getBlockSizesForTask({ tagIds: ['other', 'review', 'admin'] }, config))
+      .toEqual({ blockSizeMinutes: 30, minimumBlockSizeMinutes: 15 });
+  });
+
+  it('prefers the project over tags, per size', () => {
+    expect(getBlockSizesForTask({ projectId: 'writing', tagIds: ['review'] }, config))
+      .toEqual({ blockSizeMinutes: 90, minimumBlockSizeMinutes: 15 });
+  });
+
+  it('prefers the directive over project and tags', () => {
+    const task = { projectId: 'writing', tagIds: ['review'], notes: 'AutoPlan: block=45' };
+    expect(getBlockSizesForTask(task, config)).toEqual({ blockSizeMinutes: 45, minimumBlockSizeMinutes: 15 });
+  });
+
+  it('falls back to the defaults for missing or invalid global sizes', () => {
+    expect(getBlockSizesForTask({}, { minimumBlockSizeMinutes: 0 }, 0))
+      .toEqual({ blockSizeMinutes: 120, minimumBlockSizeMinutes: 30 });
+  });
+});
+
+describe('parseCap', () => {
+  it('parses hours, minutes and blocks per day or week', () => {
+    expect(parseCap('3h/day')).toEqual({ dailyMinutes: 180 });
+    expect(parseCap('90m/day')).toEqual({ dailyMinutes: 90 });
+    expect(parseCap('12h/week')).toEqual({ weeklyMinutes: 720 });
+    expect(parseCap('1block/day')).toEqual({ dailyBlocks: 1 });
+    expect(parseCap('2 blocks / week')).toEqual({ weeklyBlocks: 2 });
+  });
+
+  it('rejects invalid caps', () => {
+    expect(parseCap('3h')).toBeNull();
+    expect(parseCap('0h/day')).toBeNull();
+    expect(parseCap('0.5block/day')).toBeNull();
+    expect(parseCap('3h/month')).toBeNull();
+    expect(parseCap(undefined)).toBeNull();
+  });
+
+  it('is read from directives, more than once', () => {
+    expect(parseAutoplanDirective('AutoPlan: cap=1block/day cap=5h/week cap=bad').caps)
+      .toEqual({ dailyBlocks: 1, weeklyMinutes: 300 });
+  });
+});
+
+describe('parseEstimateRange', () => {
+  it('parses ranges in hours and minutes', () => {
+    expect(parseEstimateRange('3h-6h')).toEqual({ minMinutes: 180, maxMinutes: 360 });
+    expect(parseEstimateRange('90m-2h')).toEqual({ minMinutes: 90, maxMinutes: 120 });
+    expect(parseEstimateRange('1 - 1.5h')).toEqual({ minMinutes: 60, maxMinutes: 90 });
+  });
+
+  it('rejects invalid ranges', () => {
+    expect(parseEstimateRange('3h')).toBeNull();
+    expect(parseEstimateRange('6h-3h')).toBeNull();
+    expect(parseEstimateRange('0h-2h')).toBeNull();
+    expect(parseEstimateRange('2-3')).toBeNull();
+    expect(parseEstimateRange(undefined)).toBeNull();
+  });
+
+  it('is read from directives', () => {
+    expect(parseAutoplanDirective('AutoPlan: estimate=2h-5h boost=1')).toEqual({
+      estimateRange: { minMinutes: 120, maxMinutes: 300 }, boost: 1,
+    });
+  });
+});
+
+describe('getCapsForTask', () => {
+  const config = {
+    projectCaps: { work: { dailyMinutes: 180 } },
+    tagCaps: { admin: { weeklyMinutes: 720 }, empty: {} },
+  };
+
+  it('collects the caps of the task, its project and its tags', () => {
+    const task = { id: 't1', projectId: 'work', tagIds: ['admin', 'empty', 'other'], notes: 'AutoPlan: cap=1block/day' };
+    expect(getCapsForTask(task, config)).toEqual([
+      { scope: 'task', id: 't1', limits: { dailyBlocks: 1 } },
+      { scope: 'project', id: 'work', limits: { dailyMinutes: 180 } },
+      { scope: 'tag', id: 'admin', limits: { weeklyMinutes: 720 } },
+    ]);
+  });
+
+  it('is empty for uncapped tasks', () => {
+    expect(getCapsForTask({ id: 't1', projectId: 'home', tagIds: [] }, config)).toEqual([]);
+  });
+});
+
+describe('getQuotasForTask', () => {
+  it('collects the quotas of the project and tags of a task', () => {
+    const config = { projectQuotas: { learning: { weeklyMinutes: 240 } }, tagQuotas: { maint: { weeklyMinutes: 360 }, off: {} } };
+    expect(getQuotasForTask({ projectId: 'learning', tagIds: ['maint', 'off'] }, config)).toEqual([
+      { scope: 'project', id: 'learning', weeklyMinutes: 240 },
+      { scope: 'tag', id: 'maint', weeklyMinutes: 360 },
+    ]);
+    expect(getQuotasForTask({ projectId: 'other' }, config)).toEqual([]);
+  });
+});
+
+describe('getTimePreferencesForTask', () => {
+  const config = {
+    projectTimePreferences: { work: { start: '09:00', end: '12:00' } },
+    tagTimePreferences: { admin: { start: '15:00' }, broken: { start: '14:00', end: '10:00' } },
+  };
+
+  it('collects the windows of the project and tags in minutes', () => {
+    expect(getTimePreferencesForTask({ projectId: 'work', tagIds: ['admin', 'broken'] }, config)).toEqual([
+      { start: 540, end: 720 },
+      { start: 900, end: 1440 },
+    ]);
+  });
+
+  it('lets the directive replace the other preferences', () => {
+    const task = { projectId: 'work', tagIds: ['admin'], notes: 'AutoPlan: prefer=08:00-10:00 prefer=16:00-18:00' };
+    expect(getTimePreferencesForTask(task, config)).toEqual([{ start: 480, end: 600 }, { start: 960, end: 1080 }]);
+  });
+
+  it('is empty without preferences', () => {
+    expect(getTimePreferencesForTask({ projectId: 'other', tagIds: [] }, config)).toEqual([]);
+  });
+});
+
+describe('getOverrunRatios', () => {
+  it('divides the time spent by the estimate of done tasks', () => {
+    const HOUR = 60 * 60 * 1000;
+    const tasks = [
+      { isDone: true, timeEstimate: 2 * HOUR, timeSpent: 3 * HOUR },
+      { isDone: true, timeEstimate: 4 * HOUR, timeSpent: 2 * HOUR },
+      { isDone: false, timeEstimate: 2 * HOUR, timeSpent: 5 * HOUR },
+      { isDone: true, timeEstimate: 0, timeSpent: HOUR },
+      { isDone: true, timeEstimate: HOUR, timeSpent: 0 },
+    ];
+    expect(getOverrunRatios(tasks)).toEqual([1.5, 0.5]);
+  });
+});
+
+describe('mulberry32', () => {
+  it('repeats the numbers of a seed', () => {
+    const first = mulberry32(42);
+    const second = mulberry32(42);
+    const numbers = Array.from({ length: 5 }, () => first());
+    expect(Array.from({ length: 5 }, () => second())).toEqual(numbers);
+    expect(numbers.every(n => n >= 0 && n < 1)).toBe(true);
+  });
+
+  it('gives other numbers for another seed', () => {
+    expect(mulberry32(1)()).not.toBe(mulberry32(2)());
+  });
+});
+
+describe('createPriorityQueue', () => {
+  it('hands out the items in the order of the comparator', () => {
+    const random = mulberry32(7);
+    const items = Array.from({ length: 50 }, () => Math.floor(random() * 20));
+    const queue = createPriorityQueue((a, b) => a - b, items);
+    queue.push(-1);
+    queue.push(25);
+
+    const popped = [];
+    while (queue.size > 0) popped.push(queue.pop());
+    expect(popped).toEqual([-1, ...items, 25].sort((a, b) => a - b));
+  });
+
+  it('peeks at the first item without removing it', () => {
+    const queue = createPriorityQueue((a, b) => b.urgency - a.urgency, [{ urgency: 1 }, { urgency: 3 }]);
+    expect(queue.peek()).toEqual({ urgency: 3 });
+    expect(queue.size).toBe(2);
+  });
+
+  it('is empty without items', () => {
+    const queue = createPriorityQueue((a, b) => a - b);
+    expect(queue.size).toBe(0);
+    expect(queue.pop()).toBeUndefined();
+  });
+});
+
+describe('getOverrunHours', () => {
+  const HOUR = 60 * 60 * 1000;
+  const overrun = { timeEstimate: 2 * HOUR, timeSpent: 3 * HOUR };
+
+  it('plans nothing for tasks with time left or with the skip policy', () => {
+    expect(getOverrunHours({ timeEstimate: 2 * HOUR, timeSpent: HOUR }, { overrunPolicy: 'block' })).toBe(0);
+    expect(getOverrunHours(overrun, {})).toBe(0);
+    expect(getOverrunHours(overrun, { overrunPolicy: 'skip' })).toBe(0);
+  });
+
+  it('plans an extra block or a share of the estimate', () => {
+    expect(getOverrunHours(overrun, { overrunPolicy: 'block', overrunBlockMinutes: 30 })).toBe(0.5);
+    expect(getOverrunHours(overrun, { overrunPolicy: 'percent', overrunPercent: 50 })).toBe(1);
+    expect(getOverrunHours({ timeEstimate: 2 * HOUR, timeSpent: 2 * HOUR }, { overrunPolicy: 'percent' })).toBe(0.5);
+  });
+});